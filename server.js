@@ -6,10 +6,15 @@ const jwt = require('jsonwebtoken');
 const cookieParser = require('cookie-parser');
 const crypto = require('crypto');
 const path = require('path');
+const fs = require('fs');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const mongoSanitize = require('express-mongo-sanitize');
 const hpp = require('hpp');
+const ExcelJS = require('exceljs');
+const archiver = require('archiver');
+const nodemailer = require('nodemailer');
+const validator = require('validator');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -71,7 +76,8 @@ const apiLimiter = rateLimit({
 
 app.use(generalLimiter);
 
-// 3. Body Parser with size limits
+// 3. Body Parser with size limits (email templates are HTML and need more room; parsed first, so the 10kb parsers skip them)
+app.use('/dashboard/settings/email-templates', express.json({ limit: '64kb' }), express.urlencoded({ extended: true, limit: '64kb' }));
 app.use(express.json({ limit: '10kb' })); // Limit body size to prevent DoS
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 
@@ -86,8 +92,8 @@ app.use(mongoSanitize({
   }
 }));
 
-// 6. HTTP Parameter Pollution Prevention
-app.use(hpp());
+// 6. HTTP Parameter Pollution Prevention (row-based settings forms post arrays on purpose)
+app.use(hpp({ whitelist: ['serviceCatalog', 'schedule', 'reminderStages'] }));
 
 // 7. XSS Protection (manual sanitization function)
 const sanitizeInput = (input) => {
@@ -143,6 +149,18 @@ app.use(express.static(path.join(__dirname, 'public'), {
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
+// Views get t() and the date helpers in the language the route passes as `locale`,
+// else the owner's dashboard language, else the browser's (see LOCALIZATION)
+app.use((req, res, next) => {
+  const render = res.render.bind(res);
+  res.render = (view, options = {}, callback) => {
+    if (typeof options === 'function') return res.render(view, {}, options);
+    const locale = resolveLocale(options.locale, options.owner?.settings?.locale, getBrowserLocale(req));
+    return render(view, { ...getViewLocaleHelpers(locale), ...options, locale }, callback);
+  };
+  next();
+});
+
 // MongoDB Connection
 mongoose.connect(process.env.MONGODB_URI)
   .then(() => console.log('Connected to MongoDB'))
@@ -157,9 +175,53 @@ const teamMemberSchema = new mongoose.Schema({
   phone: { type: String, default: '' },
   color: { type: String, default: '#10b981' },
   isActive: { type: Boolean, default: true },
+  // Weekly working hours; empty = business hours on working days
+  weeklySchedule: [{
+    _id: false,
+    day: { type: Number, min: 0, max: 6 }, // 0 = Sunday
+    startTime: String, // HH:MM
+    endTime: String
+  }],
+  // Date-specific changes (holiday, sick day, extra shift) that replace the weekly schedule
+  scheduleExceptions: [{
+    date: String, // YYYY-MM-DD
+    isOff: { type: Boolean, default: true },
+    startTime: String,
+    endTime: String,
+    note: { type: String, default: '' }
+  }],
+  capacity: { type: Number, default: 1 }, // parallel bookings this member can take per slot
+  calendarFeedToken: { type: String, default: null }, // secret for this member's .ics subscription feed
   createdAt: { type: Date, default: Date.now }
 });
 
+// Service Schema (embedded in Owner settings)
+const serviceSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  duration: { type: Number, default: 60 }, // minutes
+  price: { type: Number, default: 0 },
+  deposit: { type: Number, default: 0 }, // amount taken up front when booking
+  buffer: { type: Number, default: 0 }, // minutes kept free after the service
+  color: { type: String, default: '#10b981' },
+  isActive: { type: Boolean, default: true },
+  teamMemberIds: { type: [mongoose.Schema.Types.ObjectId], default: [] } // empty = any team member
+});
+
+// Email Template Schema (embedded in Owner emailSettings)
+const emailTemplateSchema = new mongoose.Schema({
+  subject: { type: String, default: '' },
+  heading: { type: String, default: '' },
+  body: { type: String, default: '' },
+  updatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Reminder Stage Schema (embedded in Owner settings) - one automatic reminder
+const reminderStageSchema = new mongoose.Schema({
+  hoursBefore: { type: Number, required: true },
+  template: { type: String, default: 'reminder' }, // one of REMINDER_TEMPLATE_TYPES
+  notifyBy: { type: String, default: '' } // see NOTIFICATION_PREFERENCES; empty = as the client gets booking messages
+}, { _id: false });
+
 const ownerSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true, lowercase: true },
   password: { type: String, default: null },
@@ -170,6 +232,8 @@ const ownerSchema = new mongoose.Schema({
   clinicPhone: { type: String, default: '' },
   clinicAddress: { type: String, default: '' },
   websiteUrl: { type: String, default: '' },
+  slug: { type: String, unique: true, sparse: true, lowercase: true }, // public API address: /api/public/:slug/...
+  calendarFeedToken: { type: String, unique: true, sparse: true }, // secret for the whole clinic's .ics feed
   teamMembers: [teamMemberSchema],
   settings: {
     startHour: { type: Number, default: 9 },
@@ -177,8 +241,16 @@ const ownerSchema = new mongoose.Schema({
     closedDays: { type: [Number], default: [0, 6] },
     workingDays: { type: [Number], default: [1, 2, 3, 4, 5] },
     slotsPerHour: { type: Number, default: 1 },
+    // Names of active services, kept in sync with serviceCatalog for the booking widget
     services: { type: [String], default: ['Consultation'] },
-    requireTeamMember: { type: Boolean, default: false }
+    serviceCatalog: [serviceSchema],
+    requireTeamMember: { type: Boolean, default: false },
+    timezone: { type: String, default: 'UTC' }, // IANA name, e.g. Europe/Berlin
+    locale: { type: String, default: 'en' }, // dashboard and client email language: en, de, es, fr
+    notifyBy: { type: String, default: 'email' }, // default channels for booking messages, see NOTIFICATION_PREFERENCES
+    phoneCountryCode: { type: String, default: '' }, // calling code (e.g. 49) for client phone numbers entered without one
+    // Automatic reminders; empty = none
+    reminderStages: { type: [reminderStageSchema], default: () => [{ hoursBefore: 24 }, { hoursBefore: 2, template: 'reminder-soon' }] }
   },
   reviews: [{
     bookingId: Number,
@@ -199,15 +271,9 @@ const ownerSchema = new mongoose.Schema({
     textColor: { type: String, default: '#374151' },
     businessName: { type: String, default: '' },
     emailFooter: { type: String, default: '' },
-    // Confirmation email
-    confirmationSubject: { type: String, default: 'Booking Confirmed' },
-    confirmationMessage: { type: String, default: 'Your appointment has been confirmed. Here are the details:' },
-    // Cancellation email
-    cancellationSubject: { type: String, default: 'Booking Cancelled' },
-    cancellationMessage: { type: String, default: 'Your appointment has been cancelled.' },
-    // Reminder email
-    reminderSubject: { type: String, default: 'Appointment Reminder' },
-    reminderMessage: { type: String, default: 'This is a reminder for your upcoming appointment.' }
+    whatsappMessage: { type: String, default: '' }, // reminder text for the WhatsApp button and text message reminders; empty = built-in
+    // Edited client email templates by type (confirmation, reminder, ...); other types use the defaults
+    templates: { type: Map, of: emailTemplateSchema, default: () => new Map() }
   },
   createdAt: { type: Date, default: Date.now }
 });
@@ -240,6 +306,185 @@ const bookingSchema = new mongoose.Schema({
 
 const Booking = mongoose.model('Booking', bookingSchema);
 
+// Waitlist Schema - clients waiting for a freed slot in a date range
+const waitlistEntrySchema = new mongoose.Schema({
+  ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Owner', required: true, index: true },
+  clientName: { type: String, required: true },
+  clientEmail: { type: String, required: true, lowercase: true },
+  clientPhone: { type: String, default: '' },
+  service: { type: String, default: '' }, // empty = any service
+  teamMemberId: { type: mongoose.Schema.Types.ObjectId, default: null }, // null = any team member
+  teamMemberName: { type: String, default: '' },
+  dateFrom: { type: String, required: true }, // YYYY-MM-DD
+  dateTo: { type: String, required: true },
+  notes: { type: String, default: '' },
+  status: { type: String, enum: ['waiting', 'offered', 'booked', 'removed'], default: 'waiting' },
+  source: { type: String, enum: ['dashboard', 'public'], default: 'dashboard' },
+  offer: {
+    token: { type: String, default: null },
+    date: String,
+    time: String,
+    service: String,
+    teamMemberId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    teamMemberName: String,
+    sourceBookingId: Number,
+    sentAt: Date,
+    expiresAt: Date
+  },
+  // Slots ("date time") this client already let expire, so they are not offered again
+  skippedSlots: { type: [String], default: [] },
+  bookingId: { type: Number, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+waitlistEntrySchema.index({ 'offer.token': 1 }, { sparse: true });
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+// Closure Schema - business or team member closed for a date range (holidays, time off)
+const closureSchema = new mongoose.Schema({
+  ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Owner', required: true },
+  dateFrom: { type: String, required: true }, // YYYY-MM-DD, inclusive
+  dateTo: { type: String, required: true },
+  // Optional window on each day of the range; empty = closed all day
+  startTime: { type: String, default: '' },
+  endTime: { type: String, default: '' },
+  teamMemberId: { type: mongoose.Schema.Types.ObjectId, default: null }, // null = whole business
+  teamMemberName: { type: String, default: '' },
+  reason: { type: String, default: '' },
+  source: { type: String, enum: ['dashboard', 'ical'], default: 'dashboard' },
+  icalUid: { type: String, default: null }, // UID of the imported event, so re-imports skip it
+  createdAt: { type: Date, default: Date.now }
+});
+
+closureSchema.index({ ownerId: 1, dateFrom: 1, dateTo: 1 });
+
+const Closure = mongoose.model('Closure', closureSchema);
+
+// Booking History - append-only log of every change to a booking (entries are never updated or deleted)
+const bookingHistorySchema = new mongoose.Schema({
+  ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Owner', required: true },
+  bookingId: { type: Number, required: true }, // numeric id of the booking in bookingdb
+  action: { type: String, required: true }, // created, updated, cancelled, completed, no-show, ...
+  actor: {
+    type: { type: String, enum: ['owner', 'super-admin', 'client', 'system'], required: true },
+    name: { type: String, default: '' }
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+bookingHistorySchema.index({ ownerId: 1, bookingId: 1, createdAt: 1 });
+
+const BookingHistory = mongoose.model('BookingHistory', bookingHistorySchema);
+
+// Client - one record per person per owner. Bookings point to it with clientId (the booking keeps
+// its own copy of name, email and phone as they were when it was made).
+const clientSchema = new mongoose.Schema({
+  ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Owner', required: true },
+  name: { type: String, required: true },
+  email: { type: String, default: '', lowercase: true, trim: true },
+  phone: { type: String, default: '' },
+  phoneKey: { type: String, default: '' }, // digits only, to recognise clients who never gave an email
+  tags: { type: [String], default: [] },
+  notes: { type: String, default: '' }, // private, never shown to the client
+  dateOfBirth: { type: String, default: '' }, // YYYY-MM-DD
+  language: { type: String, default: '' }, // en, de, es, fr for their emails and pages; empty = the business's language
+  notifyBy: { type: String, default: '' }, // email, sms, whatsapp, email-sms, email-whatsapp; empty = the business's default
+  marketingConsent: { type: Boolean, default: false },
+  marketingConsentAt: { type: Date, default: null },
+  // Opted out of non-essential email (reminders, review requests, marketing)
+  emailOptOut: { type: Boolean, default: false },
+  emailOptOutAt: { type: Date, default: null },
+  emailOptOutSource: { type: String, default: '' }, // link (unsubscribe link or mail client button), dashboard
+  source: { type: String, default: 'booking' }, // booking, dashboard, widget, waitlist, import
+  mergedEmails: { type: [String], default: [] }, // emails of clients merged into this one, still matched on new bookings
+  notDuplicateOf: { type: [String], default: [] }, // client ids the owner said are a different person
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+clientSchema.index({ ownerId: 1, email: 1 });
+clientSchema.index({ ownerId: 1, mergedEmails: 1 });
+clientSchema.index({ ownerId: 1, phoneKey: 1 });
+
+const Client = mongoose.model('Client', clientSchema);
+
+// ClientMerge - record of two client records merged into one, with a copy of the removed record
+const clientMergeSchema = new mongoose.Schema({
+  ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Owner', required: true },
+  keptClientId: { type: String, required: true },
+  mergedClient: { type: mongoose.Schema.Types.Mixed, required: true },
+  bookingIds: { type: [Number], default: [] },
+  contact: { name: String, email: String, phone: String }, // the details kept on every booking
+  reasons: { type: [String], default: [] },
+  actor: {
+    type: { type: String, enum: ['owner', 'super-admin'], required: true },
+    name: { type: String, default: '' }
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+clientMergeSchema.index({ ownerId: 1, createdAt: -1 });
+
+const ClientMerge = mongoose.model('ClientMerge', clientMergeSchema);
+
+// DataRequestLog - proof that a client's access or erasure request was handled. Holds a keyed hash
+// of the email, never the email itself, so it can be checked later without keeping personal data.
+const dataRequestLogSchema = new mongoose.Schema({
+  ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Owner', required: true },
+  action: { type: String, enum: ['export', 'anonymize', 'delete'], required: true },
+  subjectHash: { type: String, required: true },
+  counts: { type: mongoose.Schema.Types.Mixed, default: {} }, // records found or changed per collection
+  actor: {
+    type: { type: String, enum: ['owner', 'super-admin'], required: true },
+    name: { type: String, default: '' }
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+dataRequestLogSchema.index({ ownerId: 1, subjectHash: 1 });
+
+const DataRequestLog = mongoose.model('DataRequestLog', dataRequestLogSchema);
+
+// EmailOutbox - every outgoing email and text message, queued here and sent by the outbox worker with retries
+const emailOutboxSchema = new mongoose.Schema({
+  ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Owner', default: null }, // null for owner invitations
+  channel: { type: String, enum: ['email', 'sms', 'whatsapp'], default: 'email' },
+  type: { type: String, required: true }, // confirmation, cancellation, reminder, review-request, waitlist-offer, invitation, test
+  bookingId: { type: Number, default: null },
+  to: { type: String, required: true }, // email addresses, or the phone number in E.164 form
+  subject: { type: String, default: '' }, // for text messages, the start of the text
+  // Brevo-shaped request body for email (see EMAIL TRANSPORTS), { to, text, locale } for text messages
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: ['queued', 'sending', 'sent', 'failed'], default: 'queued' },
+  attemptCount: { type: Number, default: 0 }, // since it was queued or last resent
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date, default: null },
+  attempts: [{
+    at: { type: Date, default: Date.now },
+    ok: Boolean,
+    transport: { type: String, default: '' }, // brevo, smtp or file; twilio, whatsapp-cloud or stub for text messages
+    statusCode: { type: Number, default: null },
+    messageId: { type: String, default: '' },
+    error: { type: String, default: '' }
+  }],
+  messageId: { type: String, default: '' },
+  lastError: { type: String, default: '' },
+  sentAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ ownerId: 1, createdAt: -1 });
+
+const EmailOutbox = mongoose.model('EmailOutbox', emailOutboxSchema);
+
 // JWT Middleware
 const authenticateToken = (req, res, next) => {
   const token = req.cookies.token;
@@ -278,10 +523,10 @@ function generateInvitationCode() {
   return crypto.randomBytes(16).toString('hex');
 }
 
-// Send Invitation Email via Brevo
+// Send Invitation Email
 async function sendInvitationEmail(email, invitationCode, clinicName) {
-  if (!process.env.BREVO_API_KEY) {
-    console.log('Skipping email - BREVO_API_KEY not configured');
+  if (!getEmailTransport()) {
+    console.log('Skipping email - no email transport configured');
     return false;
   }
 
@@ -360,177 +605,675 @@ async function sendInvitationEmail(email, invitationCode, clinicName) {
 </html>
   `;
 
-  try {
-    const response = await fetch('https://api.brevo.com/v3/smtp/email', {
-      method: 'POST',
-      headers: {
-        'accept': 'application/json',
-        'api-key': process.env.BREVO_API_KEY,
-        'content-type': 'application/json'
-      },
-      body: JSON.stringify({
-        sender: {
-          name: 'Booking Dashboard',
-          email: process.env.BREVO_SENDER_EMAIL
-        },
-        to: [{ email }],
-        subject: 'You\'re Invited to Booking Dashboard',
-        htmlContent: emailHtml
-      })
-    });
+  return queueEmail('invitation', {
+    sender: {
+      name: 'Booking Dashboard',
+      email: getEmailSenderAddress()
+    },
+    to: [{ email }],
+    subject: 'You\'re Invited to Booking Dashboard',
+    htmlContent: emailHtml
+  }, { ownerId: null });
+}
 
-    if (response.ok) {
-      console.log(`Invitation email sent to ${email}`);
-      return true;
-    }
+// Send Booking Confirmation Email to Client. For a recurring series, `series` is every
+// appointment it confirms (booking first): they are listed and all go in the invite.
+async function sendBookingConfirmationEmail(booking, owner, series = null) {
+  if (!getEmailTransport() || !booking.email) {
+    console.log('Skipping confirmation email - no email transport or client email');
     return false;
-  } catch (error) {
-    console.error('Email sending error:', error.message);
+  }
+
+  const locale = await getClientLocale(owner, { clientId: booking.clientId, email: booking.email });
+  const email = renderOwnerEmail(owner, 'confirmation', {
+    ...getBookingEmailData(owner, booking, locale, series),
+    slotReleaseHours: SLOT_RELEASE_HOURS
+  }, { locale });
+
+  return queueEmail('confirmation', {
+    sender: {
+      name: getEmailBusinessName(owner),
+      email: getEmailSenderAddress()
+    },
+    to: [{ email: booking.email, name: booking.name }],
+    subject: email.subject,
+    htmlContent: email.html,
+    attachment: [buildBookingInviteAttachment(series || booking, owner, 'REQUEST', locale)]
+  }, { ownerId: owner._id, bookingId: booking.id });
+}
+
+// Send Cancellation Email to Client (when owner cancels from dashboard); `series` as for confirmations
+async function sendCancellationEmailToClient(booking, owner, series = null) {
+  if (!getEmailTransport() || !booking.email) {
+    console.log('Skipping cancellation email - no email transport or client email');
     return false;
   }
+
+  const locale = await getClientLocale(owner, { clientId: booking.clientId, email: booking.email });
+  const email = renderOwnerEmail(owner, 'cancellation', getBookingEmailData(owner, booking, locale, series), { locale });
+
+  return queueEmail('cancellation', {
+    sender: { name: getEmailBusinessName(owner), email: getEmailSenderAddress() },
+    to: [{ email: booking.email, name: booking.name }],
+    subject: email.subject,
+    htmlContent: email.html,
+    attachment: [buildBookingInviteAttachment(series || booking, owner, 'CANCEL', locale)]
+  }, { ownerId: owner._id, bookingId: booking.id });
 }
 
-// Send Booking Confirmation Email to Client - Premium Template (identical to booking-api)
-async function sendBookingConfirmationEmail(booking, owner) {
-  if (!process.env.BREVO_API_KEY || !booking.email) {
-    console.log('Skipping confirmation email - no API key or client email');
+// Send Reminder Email to Client (type: one of REMINDER_TEMPLATE_TYPES)
+async function sendReminderEmail(booking, owner, type = 'reminder') {
+  if (!getEmailTransport() || !booking.email) {
+    console.log('Skipping reminder email - no email transport or client email');
+    return false;
+  }
+  if (await isEmailOptedOut(owner, booking.email)) {
+    console.log(`Skipping reminder email - ${booking.email} unsubscribed`);
     return false;
   }
 
-  // Get custom email settings or defaults
-  const emailSettings = owner.emailSettings || {};
-  const primaryColor = emailSettings.primaryColor || '#059669';
-  const secondaryColor = emailSettings.secondaryColor || '#10b981';
-  const businessName = emailSettings.businessName || owner.clinicName || 'Your Business';
-  const confirmationSubject = emailSettings.confirmationSubject || 'Booking Confirmed';
-  const CLINIC_ADDRESS = owner.clinicAddress || '';
-  const CLINIC_EMAIL = owner.email || '';
-  const CLINIC_PHONE = owner.clinicPhone || '';
-
-  const dateObj = new Date(booking.date + 'T' + booking.time);
-  const formattedDate = dateObj.toLocaleDateString('en-US', { 
-    weekday: 'long', 
-    year: 'numeric', 
-    month: 'long', 
-    day: 'numeric' 
+  const locale = await getClientLocale(owner, { clientId: booking.clientId, email: booking.email });
+  const email = renderOwnerEmail(owner, type, getBookingEmailData(owner, booking, locale), { unsubscribeUrl: getUnsubscribeUrl(owner, booking.email), locale });
+
+  return queueEmail(type, {
+    sender: { name: getEmailBusinessName(owner), email: getEmailSenderAddress() },
+    to: [{ email: booking.email, name: booking.name }],
+    subject: email.subject,
+    htmlContent: email.html,
+    headers: getUnsubscribeHeaders(owner, booking.email),
+    attachment: [buildBookingInviteAttachment(booking, owner, 'REQUEST', locale)]
+  }, { ownerId: owner._id, bookingId: booking.id });
+}
+
+// Send Review Request Email
+async function sendReviewRequestEmail(booking, owner, reviewToken) {
+  if (!getEmailTransport() || !booking.email) {
+    console.log('Skipping review request email - no email transport or client email');
+    return false;
+  }
+  if (await isEmailOptedOut(owner, booking.email)) {
+    console.log(`Skipping review request email - ${booking.email} unsubscribed`);
+    return false;
+  }
+
+  const locale = await getClientLocale(owner, { clientId: booking.clientId, email: booking.email });
+  const email = renderOwnerEmail(owner, 'review-request', {
+    ...getBookingEmailData(owner, booking, locale),
+    reviewLink: `${process.env.APP_URL || 'https://dashboard.buildhaze.com'}/review/${reviewToken}`
+  }, { unsubscribeUrl: getUnsubscribeUrl(owner, booking.email), locale });
+
+  return queueEmail('review-request', {
+    sender: { name: getEmailBusinessName(owner), email: getEmailSenderAddress() },
+    to: [{ email: booking.email, name: booking.name }],
+    subject: email.subject,
+    htmlContent: email.html,
+    headers: getUnsubscribeHeaders(owner, booking.email)
+  }, { ownerId: owner._id, bookingId: booking.id });
+}
+
+// Send Waitlist Offer Email - time-limited link to claim a freed slot
+async function sendWaitlistOfferEmail(entry, owner) {
+  if (!getEmailTransport() || !entry.clientEmail) {
+    console.log('Skipping waitlist offer email - no email transport or client email');
+    return false;
+  }
+
+  const locale = await getClientLocale(owner, { email: entry.clientEmail, phone: entry.clientPhone });
+  const email = renderOwnerEmail(owner, 'waitlist-offer', {
+    ...getEmailTemplateData(owner, { clientName: entry.clientName, date: entry.offer.date, time: entry.offer.time, service: entry.offer.service, teamMember: entry.offer.teamMemberName }, locale),
+    claimLink: `${process.env.APP_URL || 'https://dashboard.buildhaze.com'}/waitlist/claim/${entry.offer.token}`,
+    offerExpires: formatOfferExpiry(locale, entry.offer.expiresAt, getOwnerTimezone(owner))
+  }, { locale });
+
+  return queueEmail('waitlist-offer', {
+    sender: { name: getEmailBusinessName(owner), email: getEmailSenderAddress() },
+    to: [{ email: entry.clientEmail, name: entry.clientName }],
+    subject: email.subject,
+    htmlContent: email.html
+  }, { ownerId: owner._id });
+}
+
+// How a client gets booking confirmations, reminders and cancellations. Set per client,
+// otherwise the business's default (settings.notifyBy).
+const NOTIFICATION_PREFERENCES = {
+  email: { label: 'Email', channels: ['email'] },
+  sms: { label: 'SMS', channels: ['sms'] },
+  whatsapp: { label: 'WhatsApp', channels: ['whatsapp'] },
+  'email-sms': { label: 'Email + SMS', channels: ['email', 'sms'] },
+  'email-whatsapp': { label: 'Email + WhatsApp', channels: ['email', 'whatsapp'] }
+};
+
+const NOTIFICATION_CHANNEL_LABELS = { email: 'email', sms: 'SMS', whatsapp: 'WhatsApp' };
+
+const BOOKING_EMAIL_SENDERS = {
+  confirmation: sendBookingConfirmationEmail,
+  cancellation: sendCancellationEmailToClient,
+  reminder: sendReminderEmail,
+  'reminder-early': (booking, owner) => sendReminderEmail(booking, owner, 'reminder-early'),
+  'reminder-soon': (booking, owner) => sendReminderEmail(booking, owner, 'reminder-soon')
+};
+
+// Channels a booking's messages go out on (notifyBy overrides the client's and business's choice).
+// Text channels without a provider, or for a phone number that can't be written in E.164 form,
+// are dropped; if nothing is left, email.
+async function getBookingNotificationChannels(owner, booking, notifyBy = '') {
+  const client = NOTIFICATION_PREFERENCES[notifyBy] ? null : await findBookingClient(owner, { clientId: booking.clientId, email: booking.email, phone: booking.phone });
+  const preference = NOTIFICATION_PREFERENCES[notifyBy] || NOTIFICATION_PREFERENCES[client?.notifyBy] || NOTIFICATION_PREFERENCES[owner.settings?.notifyBy] || NOTIFICATION_PREFERENCES.email;
+  const phone = normalizePhoneE164(booking.phone, owner.settings?.phoneCountryCode);
+  const channels = preference.channels.filter(channel => channel === 'email' || (phone && getTextMessageProvider(channel)));
+  return channels.length > 0 ? channels : ['email'];
+}
+
+// Send a confirmation, reminder or cancellation on each of the booking's channels. `series` lists
+// every appointment of a recurring series a confirmation or cancellation covers (booking first).
+// Resolves to the channels a message was queued on.
+async function sendBookingNotification(type, booking, owner, { notifyBy = '', series = null } = {}) {
+  const sent = [];
+  for (const channel of await getBookingNotificationChannels(owner, booking, notifyBy)) {
+    const queued = channel === 'email'
+      ? await BOOKING_EMAIL_SENDERS[type](booking, owner, series)
+      : await sendBookingTextMessage(channel, type, booking, owner, series);
+    if (queued) sent.push(channel);
+  }
+  return sent;
+}
+
+// Plain text of a booking SMS or WhatsApp message. The owner's own reminder text (settings,
+// written in the business's language) replaces the built-in one; the manage link is always added.
+function renderTextMessage(owner, type, data, locale = getOwnerLocale(owner)) {
+  const vars = { clientName: data.clientName, clinicName: data.businessName, date: data.date, time: data.time, service: data.service };
+  const custom = type === 'reminder' && locale === getOwnerLocale(owner) ? (owner.emailSettings?.whatsappMessage || '').trim() : '';
+  const text = [
+    custom ? fillPlaceholders(custom, vars) : translate(locale, `textMessage.${getCatalogKey(type)}`, vars),
+    data.seriesDates && translate(locale, 'textMessage.seriesDates', { dates: data.seriesDates }),
+    data.cancelLink && type !== 'cancellation' && translate(locale, 'textMessage.manage', { link: data.cancelLink })
+  ];
+  return text.filter(Boolean).join('\n');
+}
+
+// Send a booking SMS or WhatsApp message to the client's phone
+async function sendBookingTextMessage(channel, type, booking, owner, series = null) {
+  const phone = normalizePhoneE164(booking.phone, owner.settings?.phoneCountryCode);
+  if (!phone || !getTextMessageProvider(channel)) {
+    console.log(`Skipping ${type} ${channel} message - no ${channel} provider or usable client phone`);
+    return false;
+  }
+
+  const locale = await getClientLocale(owner, { clientId: booking.clientId, email: booking.email, phone: booking.phone });
+  return queueTextMessage(channel, type, {
+    to: phone,
+    text: renderTextMessage(owner, type, getBookingEmailData(owner, booking, locale, series), locale),
+    locale
+  }, { ownerId: owner._id, bookingId: booking.id });
+}
+
+// Click-to-chat link for the WhatsApp button on the bookings page, with the reminder text filled in
+function getWhatsAppLink(owner, booking) {
+  const phone = normalizePhoneE164(booking.phone, owner.settings?.phoneCountryCode) || booking.phone || '';
+  const text = renderTextMessage(owner, 'reminder', getBookingEmailData(owner, booking));
+  return `https://wa.me/${phone.replace(/\D/g, '')}?text=${encodeURIComponent(text)}`;
+}
+
+// ============================================
+// LOCALIZATION (message catalogs, locale-aware dates and times)
+// ============================================
+
+// One JSON catalog per language in locales/. Keys are dotted paths ('manageBooking.title'),
+// {name} is replaced from the vars, and a { one, other } entry is picked by vars.count.
+const SUPPORTED_LOCALES = ['en', 'de', 'es', 'fr'];
+const DEFAULT_LOCALE = 'en';
+const LOCALE_NAMES = { en: 'English', de: 'Deutsch', es: 'Español', fr: 'Français' };
+const LOCALE_MESSAGES = Object.fromEntries(
+  SUPPORTED_LOCALES.map(locale => [locale, JSON.parse(fs.readFileSync(path.join(__dirname, 'locales', `${locale}.json`), 'utf8'))])
+);
+
+// First supported language among the candidates ('de-AT' counts as 'de'), otherwise English
+function resolveLocale(...candidates) {
+  for (const candidate of candidates) {
+    const base = typeof candidate === 'string' ? candidate.trim().toLowerCase().split(/[-_]/)[0] : '';
+    if (SUPPORTED_LOCALES.includes(base)) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+function lookupMessage(locale, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), LOCALE_MESSAGES[locale]);
+}
+
+// Missing keys fall back to the English text, then to the key itself
+function translate(locale, key, vars = {}) {
+  const language = resolveLocale(locale);
+  let message = lookupMessage(language, key);
+  if (message === undefined) message = lookupMessage(DEFAULT_LOCALE, key);
+  if (message && typeof message === 'object' && typeof vars.count === 'number') {
+    message = message[new Intl.PluralRules(language).select(vars.count)] || message.other;
+  }
+  if (typeof message !== 'string') return key;
+  return fillPlaceholders(message, vars);
+}
+
+// Catalog group of an email or message type: 'reminder-early' -> 'reminderEarly'
+function getCatalogKey(type) {
+  return type.replace(/-(\w)/g, (_, letter) => letter.toUpperCase());
+}
+
+// {name} -> vars.name; placeholders without a value are left as they are
+function fillPlaceholders(message, vars) {
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name] ?? '') : match));
+}
+
+// Calendar date (YYYY-MM-DD) in words, e.g. "Monday, March 2, 2026" / "Montag, 2. März 2026"
+function formatLocaleDate(locale, date, options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return date || '';
+  return new Date(date + 'T00:00:00Z').toLocaleDateString(resolveLocale(locale), { ...options, timeZone: 'UTC' });
+}
+
+// Wall-clock time (HH:MM), e.g. "2:30 PM" / "14:30"
+function formatLocaleTime(locale, time) {
+  if (!/^\d{2}:\d{2}$/.test(time || '')) return time || '';
+  return new Date(`1970-01-01T${time}:00Z`).toLocaleTimeString(resolveLocale(locale), { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' });
+}
+
+// A moment (Date or timestamp) as the business sees it on its own clock
+function formatLocaleDateTime(locale, value, timezone, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+  return new Date(value).toLocaleString(resolveLocale(locale), { ...options, timeZone: timezone || 'UTC' });
+}
+
+function getOwnerLocale(owner) {
+  return resolveLocale(owner?.settings?.locale);
+}
+
+// Language for one client's emails and pages: their own if set on the client record, otherwise the business's
+async function getClientLocale(owner, { clientId, email, phone } = {}) {
+  if (!owner) return DEFAULT_LOCALE;
+  const client = await findBookingClient(owner, { clientId, email, phone });
+  return resolveLocale(client?.language, getOwnerLocale(owner));
+}
+
+// For public pages opened without a known business or client (broken links, errors)
+function getBrowserLocale(req) {
+  return resolveLocale(req.acceptsLanguages(...SUPPORTED_LOCALES));
+}
+
+// Helpers every view gets, bound to the language of the page
+function getViewLocaleHelpers(locale) {
+  return {
+    locale,
+    localeNames: LOCALE_NAMES,
+    t: (key, vars) => translate(locale, key, vars),
+    formatDate: (date, options) => formatLocaleDate(locale, date, options),
+    formatTime: time => formatLocaleTime(locale, time),
+    formatDateTime: (value, timezone, options) => formatLocaleDateTime(locale, value, timezone, options),
+    escapeHtml // for values placed inside markup passed to t() and output with <%-
+  };
+}
+
+// ============================================
+// EMAIL TEMPLATES (placeholders, conditional blocks, shared layout)
+// ============================================
+
+// Owners edit the subject, heading and body of each client email. {{name}} inserts a value
+// (HTML-escaped in the heading and body), {{#if name}}...{{else}}...{{/if}} keeps a block only
+// when the value is set. Blocks can nest. The layout around the body (header colors, logo,
+// footer and the unsubscribe link) is not editable.
+const EMAIL_TEMPLATE_TAG = /\{\{\s*(#if\s+[A-Za-z]\w*|else|\/if|[A-Za-z]\w*)\s*\}\}/g;
+const MAX_EMAIL_TEMPLATE_BODY = 8000;
+
+const COMMON_EMAIL_PLACEHOLDERS = [
+  'clientName', 'businessName', 'date', 'time', 'service', 'teamMember', 'bookingRef',
+  'location', 'clinicPhone', 'clinicEmail', 'websiteLink', 'primaryColor', 'secondaryColor'
+];
+
+const EMAIL_TEMPLATE_TYPES = {
+  confirmation: { label: 'Booking Confirmation', placeholders: ['cancelLink', 'slotReleaseHours', 'seriesDates'] },
+  cancellation: { label: 'Cancellation Notice', placeholders: ['seriesDates'], headerColors: ['#dc2626', '#ef4444'] },
+  reminder: { label: 'Appointment Reminder', placeholders: ['cancelLink'], unsubscribe: true },
+  'reminder-early': { label: 'Early Reminder', placeholders: ['cancelLink'], unsubscribe: true },
+  'reminder-soon': { label: 'Last-Minute Reminder', placeholders: ['cancelLink'], unsubscribe: true },
+  'review-request': { label: 'Review Request', placeholders: ['reviewLink'], unsubscribe: true },
+  'waitlist-offer': { label: 'Waitlist Offer', placeholders: ['claimLink', 'offerExpires'] }
+};
+
+// One line of the details box in the default reminder and waitlist emails
+function defaultDetailRow(label, value) {
+  return `<p style="margin: 0 0 14px;"><strong style="color: #047857; font-size: 16px;">${label}:</strong> <span style="color: #065f46; font-size: 20px; font-weight: 600;">${value}</span></p>`;
+}
+
+// Built-in subject, heading and body of each email in one language. Catalog texts get the
+// {{placeholders}} passed in as vars, so the result is template source like an owner's edit.
+function getDefaultEmailTemplate(type, locale = DEFAULT_LOCALE) {
+  const t = (key, vars) => translate(locale, key, vars);
+  const greeting = t('email.greeting', { name: '<strong>{{clientName}}</strong>' });
+
+  switch (type) {
+    case 'confirmation': return {
+      subject: t('email.confirmation.subject', { date: '{{date}}', time: '{{time}}' }),
+      heading: t('email.confirmation.heading'),
+      body: `<p style="color: #1a1a1a; font-size: 20px; margin: 0 0 16px;">${greeting}</p>
+<p style="color: #666666; font-size: 18px; margin: 0 0 32px; line-height: 1.6;">${t('email.confirmation.intro', { business: '{{businessName}}' })}</p>
+<table width="100%" cellpadding="0" cellspacing="0" style="background: #f8f9fa; border-radius: 12px; border: 1px solid #e9ecef; margin-bottom: 32px;">
+  <tr>
+    <td style="padding: 28px;">
+      <p style="margin: 0 0 14px;"><strong style="color: #6c757d; font-size: 16px;">${t('common.date')}:</strong> <span style="color: #1a1a1a; font-size: 20px; font-weight: 600;">{{date}}</span></p>
+      <p style="margin: 0 0 14px;"><strong style="color: #6c757d; font-size: 16px;">${t('common.time')}:</strong> <span style="color: #1a1a1a; font-size: 20px; font-weight: 600;">{{time}}</span></p>
+      <p style="margin: 0 0 14px;"><strong style="color: #6c757d; font-size: 16px;">${t('common.service')}:</strong> <span style="color: #1a1a1a; font-size: 20px; font-weight: 600;">{{service}}</span></p>
+      {{#if teamMember}}<p style="margin: 0 0 14px;"><strong style="color: #6c757d; font-size: 16px;">${t('common.with')}:</strong> <span style="color: #1a1a1a; font-size: 20px; font-weight: 600;">{{teamMember}}</span></p>{{/if}}
+      {{#if location}}<p style="margin: 0 0 14px;"><strong style="color: #6c757d; font-size: 16px;">${t('email.location')}:</strong> <span style="color: #1a1a1a; font-size: 18px;">{{location}}</span></p>{{/if}}
+      <p style="margin: 0;"><strong style="color: #6c757d; font-size: 16px;">${t('common.reference')}:</strong> <span style="color: #1a1a1a; font-size: 20px; font-weight: 600;">{{bookingRef}}</span></p>
+    </td>
+  </tr>
+</table>
+{{#if seriesDates}}<p style="color: #666666; font-size: 16px; margin: 0 0 32px; line-height: 1.6;">${t('email.confirmation.series', { dates: '{{seriesDates}}' })}</p>{{/if}}
+{{#if cancelLink}}<p style="color: #666666; font-size: 16px; margin: 0 0 20px; line-height: 1.6; text-align: center;">${t('email.confirmation.manageHint', { hours: '{{slotReleaseHours}}' })}</p>
+<p style="text-align: center; margin: 0 0 32px;"><a href="{{cancelLink}}" style="display: inline-block; background: #ffffff; color: {{primaryColor}}; text-decoration: none; padding: 16px 36px; border-radius: 8px; font-size: 16px; font-weight: 600; border: 2px solid {{primaryColor}};">${t('email.confirmation.manageButton')}</a></p>{{/if}}
+{{#if clinicEmail}}<p style="color: #6c757d; font-size: 16px; margin: 0 0 8px; text-align: center;"><a href="mailto:{{clinicEmail}}" style="color: {{primaryColor}}; text-decoration: none;">{{clinicEmail}}</a></p>{{/if}}
+{{#if clinicPhone}}<p style="color: #6c757d; font-size: 16px; margin: 0; text-align: center;"><a href="tel:{{clinicPhone}}" style="color: {{primaryColor}}; text-decoration: none;">{{clinicPhone}}</a></p>{{/if}}`
+    };
+
+    case 'cancellation': return {
+      subject: t('email.cancellation.subject', { date: '{{date}}' }),
+      heading: t('email.cancellation.heading'),
+      body: `<p style="color: #374151; font-size: 20px; margin: 0 0 24px;">${greeting}</p>
+<p style="color: #6b7280; font-size: 18px; margin: 0 0 32px; line-height: 1.7;">${t('email.cancellation.intro')}</p>
+<table width="100%" cellpadding="0" cellspacing="0" style="background: #fef2f2; border: 1px solid #fecaca; border-radius: 12px; margin-bottom: 32px;">
+  <tr>
+    <td style="padding: 28px;">
+      <p style="margin: 0 0 14px;"><strong style="color: #991b1b; font-size: 16px;">${t('common.date')}:</strong> <span style="color: #7f1d1d; font-size: 20px; font-weight: 600;">{{date}}</span></p>
+      <p style="margin: 0 0 14px;"><strong style="color: #991b1b; font-size: 16px;">${t('common.time')}:</strong> <span style="color: #7f1d1d; font-size: 20px; font-weight: 600;">{{time}}</span></p>
+      <p style="margin: 0;"><strong style="color: #991b1b; font-size: 16px;">${t('common.service')}:</strong> <span style="color: #7f1d1d; font-size: 20px; font-weight: 600;">{{service}}</span></p>
+    </td>
+  </tr>
+</table>
+{{#if seriesDates}}<p style="color: #6b7280; font-size: 16px; margin: 0 0 32px; line-height: 1.6;">${t('email.cancellation.series', { dates: '{{seriesDates}}' })}</p>{{/if}}
+<p style="color: #6b7280; font-size: 18px; margin: 0 0 24px; line-height: 1.7;">${t('email.cancellation.apology')}</p>
+{{#if websiteLink}}<p style="text-align: center;"><a href="{{websiteLink}}" style="display: inline-block; background: linear-gradient(135deg, {{primaryColor}} 0%, {{secondaryColor}} 100%); color: #ffffff; text-decoration: none; padding: 18px 44px; border-radius: 10px; font-size: 18px; font-weight: 600;">${t('email.cancellation.bookButton')}</a></p>{{/if}}`
+    };
+
+    // The reminder variants differ in subject, heading and opening line
+    case 'reminder':
+    case 'reminder-early':
+    case 'reminder-soon': return {
+      subject: t(`email.${getCatalogKey(type)}.subject`, { date: '{{date}}', time: '{{time}}' }),
+      heading: t(`email.${getCatalogKey(type)}.heading`),
+      body: `<p style="color: #374151; font-size: 20px; margin: 0 0 24px;">${greeting}</p>
+<p style="color: #6b7280; font-size: 18px; margin: 0 0 32px; line-height: 1.7;">${t(`email.${getCatalogKey(type)}.intro`)}</p>
+<table width="100%" cellpadding="0" cellspacing="0" style="background: linear-gradient(135deg, #ecfdf5 0%, #d1fae5 100%); border: 1px solid #a7f3d0; border-radius: 12px; margin-bottom: 32px;">
+  <tr>
+    <td style="padding: 28px;">
+      ${defaultDetailRow(t('common.date'), '{{date}}')}
+      ${defaultDetailRow(t('common.time'), '{{time}}')}
+      ${defaultDetailRow(t('common.service'), '{{service}}')}
+      {{#if teamMember}}${defaultDetailRow(t('common.with'), '{{teamMember}}')}{{/if}}
+      {{#if location}}<p style="margin: 0;"><strong style="color: #047857; font-size: 16px;">${t('email.location')}:</strong> <span style="color: #065f46; font-size: 18px;">{{location}}</span></p>{{/if}}
+    </td>
+  </tr>
+</table>
+<p style="color: #6b7280; font-size: 18px; margin: 0; text-align: center;">${t('email.reminder.lookForward')}</p>
+{{#if cancelLink}}<p style="color: #9ca3af; font-size: 16px; margin: 16px 0 0; text-align: center;">${t('email.reminder.cantMakeIt', { link: `<a href="{{cancelLink}}" style="color: {{primaryColor}};">${t('email.reminder.rescheduleLink')}</a>` })}</p>{{/if}}
+{{#if clinicPhone}}<p style="color: #9ca3af; font-size: 16px; margin: 16px 0 0; text-align: center;">${t('common.questions', { phone: '{{clinicPhone}}' })}</p>{{/if}}`
+    };
+
+    case 'review-request': return {
+      subject: t('email.reviewRequest.subject', { business: '{{businessName}}' }),
+      heading: t('email.reviewRequest.heading'),
+      body: `<p style="color: #374151; font-size: 20px; margin: 0 0 24px;">${greeting}</p>
+<p style="color: #6b7280; font-size: 18px; margin: 0 0 32px; line-height: 1.7;">${t('email.reviewRequest.intro')}</p>
+<p style="text-align: center; margin: 0 0 32px;"><a href="{{reviewLink}}" style="display: inline-block; padding: 18px 48px; background: linear-gradient(135deg, {{primaryColor}} 0%, {{secondaryColor}} 100%); color: #ffffff; text-decoration: none; border-radius: 12px; font-size: 18px; font-weight: 700;">${t('email.reviewRequest.button')}</a></p>
+<p style="color: #9ca3af; font-size: 14px; margin: 0; text-align: center;">${t('email.reviewRequest.privateNote')}</p>`
+    };
+
+    case 'waitlist-offer': return {
+      subject: t('email.waitlistOffer.subject', { date: '{{date}}', time: '{{time}}' }),
+      heading: t('email.waitlistOffer.heading'),
+      body: `<p style="color: #374151; font-size: 20px; margin: 0 0 24px;">${greeting}</p>
+<p style="color: #6b7280; font-size: 18px; margin: 0 0 32px; line-height: 1.7;">${t('email.waitlistOffer.intro')}</p>
+<table width="100%" cellpadding="0" cellspacing="0" style="background: linear-gradient(135deg, #ecfdf5 0%, #d1fae5 100%); border: 1px solid #a7f3d0; border-radius: 12px; margin-bottom: 32px;">
+  <tr>
+    <td style="padding: 28px;">
+      ${defaultDetailRow(t('common.date'), '{{date}}')}
+      ${defaultDetailRow(t('common.time'), '{{time}}')}
+      ${defaultDetailRow(t('common.service'), '{{service}}')}
+      {{#if teamMember}}${defaultDetailRow(t('common.with'), '{{teamMember}}')}{{/if}}
+    </td>
+  </tr>
+</table>
+<p style="text-align: center; margin: 0 0 24px;"><a href="{{claimLink}}" style="display: inline-block; padding: 18px 48px; background: linear-gradient(135deg, {{primaryColor}} 0%, {{secondaryColor}} 100%); color: #ffffff; text-decoration: none; border-radius: 12px; font-size: 18px; font-weight: 700;">${t('email.waitlistOffer.button')}</a></p>
+<p style="color: #9ca3af; font-size: 14px; margin: 0; text-align: center;">${t('email.waitlistOffer.expires', { expires: '{{offerExpires}}' })}</p>`
+    };
+
+    default: throw new Error(`Unknown email type: ${type}`);
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Template source -> list of text strings, { value } and { if, then, else } nodes. Throws on unbalanced blocks.
+function parseEmailTemplate(source) {
+  const root = [];
+  const open = [];
+  let target = root;
+  let last = 0;
+
+  for (const match of source.matchAll(EMAIL_TEMPLATE_TAG)) {
+    if (match.index > last) target.push(source.slice(last, match.index));
+    last = match.index + match[0].length;
+    const tag = match[1];
+
+    if (tag.startsWith('#if')) {
+      const node = { if: tag.slice(3).trim(), then: [], else: null };
+      target.push(node);
+      open.push(node);
+      target = node.then;
+    } else if (tag === 'else') {
+      const node = open[open.length - 1];
+      if (!node || node.else) throw new Error('{{else}} without a matching {{#if}}');
+      node.else = [];
+      target = node.else;
+    } else if (tag === '/if') {
+      if (!open.pop()) throw new Error('{{/if}} without a matching {{#if}}');
+      const parent = open[open.length - 1];
+      target = parent ? (parent.else || parent.then) : root;
+    } else {
+      target.push({ value: tag });
+    }
+  }
+
+  if (open.length > 0) throw new Error(`{{#if ${open[open.length - 1].if}}} is missing its {{/if}}`);
+  if (last < source.length) target.push(source.slice(last));
+  return root;
+}
+
+function isTemplateValueSet(value) {
+  return value !== undefined && value !== null && value !== '' && value !== false;
+}
+
+function renderTemplateNodes(nodes, data, escape) {
+  return nodes.map(node => {
+    if (typeof node === 'string') return node;
+    if (node.if) return renderTemplateNodes(isTemplateValueSet(data[node.if]) ? node.then : (node.else || []), data, escape);
+    return isTemplateValueSet(data[node.value]) ? escape(String(data[node.value])) : '';
+  }).join('');
+}
+
+function getTemplatePlaceholders(nodes, names = new Set()) {
+  nodes.forEach(node => {
+    if (node.value) names.add(node.value);
+    if (node.if) {
+      names.add(node.if);
+      getTemplatePlaceholders(node.then, names);
+      if (node.else) getTemplatePlaceholders(node.else, names);
+    }
   });
+  return names;
+}
 
-  const emailHtml = `
+// The subject is plain text; heading and body are HTML
+function renderEmailTemplateParts(template, data) {
+  return {
+    subject: renderTemplateNodes(parseEmailTemplate(template.subject), data, value => value).replace(/\s+/g, ' ').trim(),
+    heading: renderTemplateNodes(parseEmailTemplate(template.heading), data, escapeHtml),
+    body: renderTemplateNodes(parseEmailTemplate(template.body), data, escapeHtml)
+  };
+}
+
+function getEmailPlaceholders(type) {
+  return [...COMMON_EMAIL_PLACEHOLDERS, ...EMAIL_TEMPLATE_TYPES[type].placeholders];
+}
+
+// Error message for a template an owner wants to save, or null
+function validateEmailTemplate(type, template) {
+  if (!template.subject.trim()) return 'The subject cannot be empty';
+  if (!template.body.trim()) return 'The email text cannot be empty';
+  if (template.body.length > MAX_EMAIL_TEMPLATE_BODY) return `The email text is too long (max ${MAX_EMAIL_TEMPLATE_BODY} characters)`;
+
+  const allowed = getEmailPlaceholders(type);
+  for (const [part, source] of [['subject', template.subject], ['heading', template.heading], ['email text', template.body]]) {
+    let names;
+    try {
+      names = getTemplatePlaceholders(parseEmailTemplate(source));
+    } catch (error) {
+      return `In the ${part}: ${error.message}`;
+    }
+    const unknown = [...names].find(name => !allowed.includes(name));
+    if (unknown) return `Unknown placeholder {{${unknown}}} in the ${part}`;
+  }
+  return null;
+}
+
+// The owner's saved template, falling back to the default per part. Saved templates are written in
+// the business's language, so emails to clients with another language use that language's defaults.
+function getEmailTemplate(owner, type, locale = getOwnerLocale(owner)) {
+  const templates = owner.emailSettings?.templates;
+  const custom = locale === getOwnerLocale(owner)
+    ? (templates instanceof Map ? templates.get(type) : templates?.[type]) || {}
+    : {};
+  const defaults = getDefaultEmailTemplate(type, locale);
+  return {
+    subject: custom.subject || defaults.subject,
+    heading: custom.heading || defaults.heading,
+    body: custom.body || defaults.body
+  };
+}
+
+function getEmailBusinessName(owner) {
+  return owner.emailSettings?.businessName || owner.clinicName || 'Your Business';
+}
+
+// Values shared by every client email, with the date and time written out in the email's language
+function getEmailTemplateData(owner, { clientName, date, time, service, teamMember, bookingId }, locale = getOwnerLocale(owner)) {
+  const emailSettings = owner.emailSettings || {};
+  return {
+    clientName,
+    businessName: getEmailBusinessName(owner),
+    date: formatLocaleDate(locale, date),
+    time: formatLocaleTime(locale, time),
+    service,
+    teamMember: teamMember || '',
+    bookingRef: bookingId ? `#${bookingId}` : '',
+    location: owner.clinicAddress || '',
+    clinicPhone: owner.clinicPhone || '',
+    clinicEmail: owner.email || '',
+    websiteLink: owner.websiteUrl || '',
+    primaryColor: emailSettings.primaryColor || '#10b981',
+    secondaryColor: emailSettings.secondaryColor || '#059669'
+  };
+}
+
+// `series`: every appointment of a recurring series the email is about, listed in {{seriesDates}}
+function getBookingEmailData(owner, booking, locale = getOwnerLocale(owner), series = null) {
+  return {
+    ...getEmailTemplateData(owner, {
+      clientName: booking.name,
+      date: booking.date,
+      time: booking.time,
+      service: booking.service,
+      teamMember: booking.teamMemberName,
+      bookingId: booking.id
+    }, locale),
+    cancelLink: booking.cancelToken ? `${process.env.APP_URL || 'https://dashboard.buildhaze.com'}/booking/${booking.cancelToken}` : '',
+    seriesDates: series?.length > 1 ? formatSeriesDates(locale, series) : ''
+  };
+}
+
+// "Mon, Oct 26, 2026 at 10:00 AM; Mon, Nov 2, 2026 at 10:00 AM; ..."
+function formatSeriesDates(locale, bookings) {
+  return bookings.map(b => translate(locale, 'common.dateAtTime', {
+    date: formatLocaleDate(locale, b.date, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' }),
+    time: formatLocaleTime(locale, b.time)
+  })).join('; ');
+}
+
+// Made-up booking for the settings preview and test emails
+function getSampleEmailTemplateData(owner) {
+  const appUrl = process.env.APP_URL || 'https://dashboard.buildhaze.com';
+  const timezone = getOwnerTimezone(owner);
+  return {
+    ...getEmailTemplateData(owner, {
+      clientName: 'Jane Doe',
+      date: getTodayInTimezone(timezone, 7),
+      time: '10:00',
+      service: getServiceCatalog(owner).find(s => s.isActive)?.name || 'Consultation',
+      teamMember: owner.teamMembers?.[0]?.name || '',
+      bookingId: 1042
+    }),
+    cancelLink: `${appUrl}/booking/sample`,
+    seriesDates: '',
+    slotReleaseHours: SLOT_RELEASE_HOURS,
+    reviewLink: `${appUrl}/review/sample`,
+    claimLink: `${appUrl}/waitlist/claim/sample`,
+    offerExpires: formatOfferExpiry(getOwnerLocale(owner), new Date(Date.now() + 2 * 60 * 60 * 1000), timezone)
+  };
+}
+
+// "Tue, 14:30 CET" - when a waitlist offer runs out, on the business's clock
+function formatOfferExpiry(locale, expiresAt, timezone) {
+  return formatLocaleDateTime(locale, expiresAt, timezone, { weekday: 'short', hour: '2-digit', minute: '2-digit', timeZoneName: 'short' });
+}
+
+// Branded frame around a rendered body: header with logo and heading, footer with business name
+function renderEmailLayout(owner, type, { heading, body, unsubscribeUrl = null, locale = getOwnerLocale(owner) }) {
+  const emailSettings = owner.emailSettings || {};
+  const businessName = escapeHtml(getEmailBusinessName(owner));
+  const [headerFrom, headerTo] = EMAIL_TEMPLATE_TYPES[type]?.headerColors ||
+    [emailSettings.primaryColor || '#10b981', emailSettings.secondaryColor || '#059669'];
+
+  return `
 <!DOCTYPE html>
-<html>
+<html lang="${locale}">
 <head>
   <meta charset="utf-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
 </head>
-<body style="margin: 0; padding: 0; font-family: 'Helvetica Neue', Arial, sans-serif; background-color: #f5f5f5;">
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #f5f5f5;">
   <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f5f5f5; padding: 40px 20px;">
     <tr>
       <td align="center">
         <table width="600" cellpadding="0" cellspacing="0" style="background: #ffffff; border-radius: 16px; overflow: hidden; border: 1px solid #e5e5e5;">
-          
-          <!-- Header -->
-          <tr>
-            <td style="background: linear-gradient(135deg, ${primaryColor} 0%, ${secondaryColor} 100%); padding: 50px 40px; text-align: center;">
-              <table width="70" height="70" align="center" style="background: rgba(255,255,255,0.2); border-radius: 50%;"><tr><td align="center" valign="middle" style="font-size: 32px; color: #ffffff; font-weight: bold;">&#10003;</td></tr></table>
-              <h1 style="color: #ffffff; margin: 24px 0 8px; font-size: 32px; font-weight: 600;">Booking Confirmed</h1>
-              <p style="color: rgba(255,255,255,0.9); margin: 0; font-size: 18px;">Your appointment has been scheduled</p>
-            </td>
-          </tr>
-          
-          <!-- Greeting -->
-          <tr>
-            <td style="padding: 40px 40px 24px;">
-              <p style="color: #1a1a1a; font-size: 20px; margin: 0; line-height: 1.5;">
-                Dear <strong>${booking.name}</strong>,
-              </p>
-              <p style="color: #666666; font-size: 18px; margin: 16px 0 0; line-height: 1.6;">
-                Thank you for choosing ${businessName}. We look forward to seeing you.
-              </p>
-            </td>
-          </tr>
-          
-          <!-- Appointment Details -->
-          <tr>
-            <td style="padding: 0 40px 32px;">
-              <table width="100%" cellpadding="0" cellspacing="0" style="background: #f8f9fa; border-radius: 12px; border: 1px solid #e9ecef;">
-                <tr>
-                  <td style="padding: 28px;">
-                    <p style="color: #6c757d; font-size: 13px; font-weight: 700; text-transform: uppercase; letter-spacing: 2px; margin: 0 0 24px; border-bottom: 2px solid #e9ecef; padding-bottom: 12px;">Appointment Details</p>
-                    
-                    <table width="100%" cellpadding="0" cellspacing="0">
-                      <tr>
-                        <td style="padding: 16px 0; border-bottom: 1px solid #e9ecef;">
-                          <p style="color: #6c757d; font-size: 14px; margin: 0 0 6px; text-transform: uppercase; letter-spacing: 1px;">Date</p>
-                          <p style="color: #1a1a1a; font-size: 20px; font-weight: 600; margin: 0;">${formattedDate}</p>
-                        </td>
-                      </tr>
-                      <tr>
-                        <td style="padding: 16px 0; border-bottom: 1px solid #e9ecef;">
-                          <p style="color: #6c757d; font-size: 14px; margin: 0 0 6px; text-transform: uppercase; letter-spacing: 1px;">Time</p>
-                          <p style="color: #1a1a1a; font-size: 20px; font-weight: 600; margin: 0;">${booking.time}</p>
-                        </td>
-                      </tr>
-                      <tr>
-                        <td style="padding: 16px 0;${CLINIC_ADDRESS ? ' border-bottom: 1px solid #e9ecef;' : ''}">
-                          <p style="color: #6c757d; font-size: 14px; margin: 0 0 6px; text-transform: uppercase; letter-spacing: 1px;">Service</p>
-                          <p style="color: #1a1a1a; font-size: 20px; font-weight: 600; margin: 0;">${booking.service}</p>
-                        </td>
-                      </tr>
-                      ${CLINIC_ADDRESS ? `<tr>
-                        <td style="padding: 16px 0;">
-                          <p style="color: #6c757d; font-size: 14px; margin: 0 0 6px; text-transform: uppercase; letter-spacing: 1px;">Location</p>
-                          <p style="color: #1a1a1a; font-size: 20px; font-weight: 600; margin: 0;">${CLINIC_ADDRESS}</p>
-                        </td>
-                      </tr>` : ''}
-                    </table>
-                  </td>
-                </tr>
-              </table>
-            </td>
-          </tr>
-          
-          <!-- Reference Number -->
           <tr>
-            <td style="padding: 0 40px 32px;">
-              <table width="100%" cellpadding="0" cellspacing="0" style="background: linear-gradient(135deg, ${primaryColor} 0%, ${secondaryColor} 100%); border-radius: 12px;">
-                <tr>
-                  <td style="padding: 28px; text-align: center;">
-                    <p style="color: rgba(255,255,255,0.9); font-size: 14px; margin: 0 0 8px; text-transform: uppercase; letter-spacing: 2px; font-weight: 600;">Booking Reference</p>
-                    <p style="color: #ffffff; font-size: 28px; font-weight: 700; margin: 0; letter-spacing: 1px;">#${booking.id}</p>
-                  </td>
-                </tr>
-              </table>
+            <td style="background: linear-gradient(135deg, ${escapeHtml(headerFrom)} 0%, ${escapeHtml(headerTo)} 100%); padding: 50px 40px; text-align: center;">
+              ${emailSettings.logoUrl ? `<img src="${escapeHtml(emailSettings.logoUrl)}" alt="${businessName}" style="max-height: 60px; max-width: 200px; margin: 0 0 20px;">` : ''}
+              <h1 style="color: #ffffff; margin: 0 0 12px; font-size: 32px; font-weight: 700;">${heading}</h1>
+              <p style="color: rgba(255,255,255,0.9); margin: 0; font-size: 18px;">${businessName}</p>
             </td>
           </tr>
-          
-          <!-- Cancel Section -->
-          ${owner.websiteUrl ? `<tr>
-            <td style="padding: 0 40px 32px; text-align: center;">
-              <p style="color: #666666; font-size: 16px; margin: 0 0 20px; line-height: 1.6;">Need to reschedule? Cancel up to 6 hours before your appointment.</p>
-              <a href="${owner.websiteUrl}/pages/cancel-booking?token=${booking.cancelToken}&id=${booking.id}" style="display: inline-block; background: #ffffff; color: #dc2626; text-decoration: none; padding: 16px 36px; border-radius: 8px; font-size: 16px; font-weight: 600; border: 2px solid #dc2626;">Cancel Booking</a>
-            </td>
-          </tr>` : ''}
-          
-          <!-- Contact -->
           <tr>
-            <td style="padding: 28px 40px; background: #f8f9fa; border-top: 1px solid #e9ecef;">
-              <p style="color: #6c757d; font-size: 13px; font-weight: 700; text-transform: uppercase; letter-spacing: 2px; margin: 0 0 16px;">Contact Us</p>
-              ${CLINIC_EMAIL ? `<p style="color: #1a1a1a; font-size: 16px; margin: 0 0 8px;">
-                <a href="mailto:${CLINIC_EMAIL}" style="color: #059669; text-decoration: none;">${CLINIC_EMAIL}</a>
-              </p>` : ''}
-              ${CLINIC_PHONE ? `<p style="color: #1a1a1a; font-size: 16px; margin: 0;">
-                <a href="tel:${CLINIC_PHONE}" style="color: #059669; text-decoration: none;">${CLINIC_PHONE}</a>
-              </p>` : ''}
+            <td style="padding: 40px;">
+              ${body}
             </td>
           </tr>
-          
-          <!-- Footer -->
           <tr>
-            <td style="padding: 24px 40px; text-align: center; background: #f8f9fa;">
-              <p style="color: #999999; font-size: 14px; margin: 0;">${new Date().getFullYear()} ${businessName}. All rights reserved.</p>
+            <td style="padding: 24px 40px; border-top: 1px solid #e5e7eb; text-align: center;">
+              <p style="color: #9ca3af; font-size: 13px; margin: 0;">${emailSettings.emailFooter ? escapeHtml(emailSettings.emailFooter) : `${new Date().getFullYear()} ${businessName}`}</p>
+              ${unsubscribeUrl ? `<p style="color: #9ca3af; font-size: 12px; margin: 8px 0 0;">${translate(locale, 'email.footerUnsubscribe', { link: `<a href="${escapeHtml(unsubscribeUrl)}" style="color: #9ca3af;">${translate(locale, 'email.unsubscribeLink')}</a>` })}</p>` : ''}
             </td>
           </tr>
-          
         </table>
       </td>
     </tr>
@@ -538,716 +1281,5047 @@ async function sendBookingConfirmationEmail(booking, owner) {
 </body>
 </html>
   `;
+}
 
+// Subject and full HTML of one client email. A saved template that no longer renders
+// falls back to the default rather than not sending at all.
+function renderOwnerEmail(owner, type, data, { unsubscribeUrl = null, locale = getOwnerLocale(owner) } = {}) {
+  let parts;
   try {
-    const response = await fetch('https://api.brevo.com/v3/smtp/email', {
-      method: 'POST',
-      headers: {
-        'accept': 'application/json',
-        'api-key': process.env.BREVO_API_KEY,
-        'content-type': 'application/json'
-      },
-      body: JSON.stringify({
-        sender: {
-          name: businessName,
-          email: process.env.BREVO_SENDER_EMAIL
-        },
-        to: [{ email: booking.email, name: booking.name }],
-        subject: `${confirmationSubject} - ${formattedDate} at ${booking.time}`,
-        htmlContent: emailHtml
-      })
+    parts = renderEmailTemplateParts(getEmailTemplate(owner, type, locale), data);
+  } catch (error) {
+    console.error(`[EMAIL] ${type} template of ${owner.email} failed, using the default:`, error.message);
+    parts = renderEmailTemplateParts(getDefaultEmailTemplate(type, locale), data);
+  }
+  return {
+    subject: parts.subject,
+    html: renderEmailLayout(owner, type, { heading: parts.heading, body: parts.body, unsubscribeUrl, locale })
+  };
+}
+
+// ============================================
+// EMAIL TRANSPORTS (Brevo, SMTP, local .eml files)
+// ============================================
+
+// Payloads are stored in Brevo's request shape ({ sender, to, subject, htmlContent, headers,
+// attachment }); the other transports convert it. Each send() resolves to
+// { ok, statusCode, messageId, error, permanent } and never throws.
+const EMAIL_TRANSPORTS = {
+  brevo: {
+    isConfigured: () => Boolean(process.env.BREVO_API_KEY),
+    async send(message) {
+      try {
+        const response = await fetch('https://api.brevo.com/v3/smtp/email', {
+          method: 'POST',
+          headers: {
+            'accept': 'application/json',
+            'api-key': process.env.BREVO_API_KEY,
+            'content-type': 'application/json'
+          },
+          body: JSON.stringify(message.payload),
+          signal: AbortSignal.timeout(30000)
+        });
+        const body = await response.json().catch(() => ({}));
+
+        if (response.ok) {
+          return { ok: true, statusCode: response.status, messageId: body.messageId || '' };
+        }
+        return { ok: false, statusCode: response.status, error: body.message || `HTTP ${response.status}`, permanent: isPermanentHttpFailure(response.status) };
+      } catch (error) {
+        return { ok: false, statusCode: null, error: error.message, permanent: false };
+      }
+    }
+  },
+
+  smtp: {
+    isConfigured: () => Boolean(process.env.SMTP_HOST),
+    async send(message) {
+      try {
+        const info = await getSmtpTransporter().sendMail(toMailOptions(message.payload));
+        return { ok: true, statusCode: parseInt(info.response, 10) || null, messageId: info.messageId || '' };
+      } catch (error) {
+        // 5xx replies (unknown mailbox, rejected auth) are final; 4xx and connection errors are retried
+        const statusCode = error.responseCode || null;
+        return { ok: false, statusCode, error: error.response || error.message, permanent: statusCode >= 500 };
+      }
+    }
+  },
+
+  file: {
+    isConfigured: () => true,
+    async send(message) {
+      try {
+        const info = await nodemailer.createTransport({ streamTransport: true, buffer: true })
+          .sendMail(toMailOptions(message.payload));
+        const dir = process.env.EMAIL_FILE_DIR || path.join(__dirname, 'emails');
+        const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.type}-${message._id}.eml`);
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(file, info.message);
+        console.log(`[EMAIL] Wrote ${file}`);
+        return { ok: true, statusCode: null, messageId: info.messageId || '' };
+      } catch (error) {
+        return { ok: false, statusCode: null, error: error.message, permanent: false };
+      }
+    }
+  }
+};
+
+// Bad address, bad request or auth problem - retrying won't help (except throttling and timeouts)
+function isPermanentHttpFailure(status) {
+  return status >= 400 && status < 500 && ![408, 429].includes(status);
+}
+
+// EMAIL_TRANSPORT picks one explicitly. Otherwise Brevo if it has a key, SMTP if it has
+// a host, and outside production the file sink, so development never silently drops mail.
+// Null when nothing usable is configured.
+function getEmailTransport() {
+  let name = process.env.EMAIL_TRANSPORT;
+  if (!name) {
+    if (EMAIL_TRANSPORTS.brevo.isConfigured()) name = 'brevo';
+    else if (EMAIL_TRANSPORTS.smtp.isConfigured()) name = 'smtp';
+    else if (process.env.NODE_ENV !== 'production') name = 'file';
+    else return null;
+  }
+  const transport = EMAIL_TRANSPORTS[name];
+  if (!transport || !transport.isConfigured()) return null;
+  return { name, ...transport };
+}
+
+function getEmailSenderAddress() {
+  return process.env.EMAIL_FROM || process.env.BREVO_SENDER_EMAIL;
+}
+
+// Reused so SMTP connections are pooled across sends
+let smtpTransporter = null;
+function getSmtpTransporter() {
+  if (!smtpTransporter) {
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    smtpTransporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+      pool: true
     });
+  }
+  return smtpTransporter;
+}
+
+// Brevo payload -> nodemailer message
+function toMailOptions(payload) {
+  return {
+    from: { name: payload.sender?.name || '', address: payload.sender?.email },
+    to: payload.to.map(recipient => ({ name: recipient.name || '', address: recipient.email })),
+    subject: payload.subject,
+    html: payload.htmlContent,
+    headers: payload.headers || {},
+    attachments: (payload.attachment || []).map(file => ({
+      filename: file.name,
+      content: file.content,
+      encoding: 'base64'
+    }))
+  };
+}
+
+// ============================================
+// TEXT MESSAGE PROVIDERS (SMS, WhatsApp Business, local stub)
+// ============================================
+
+// Payloads are { to (E.164), text, locale }. send() resolves like an email transport's.
+const TEXT_MESSAGE_PROVIDERS = {
+  twilio: {
+    channels: ['sms'],
+    isConfigured: () => Boolean(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN &&
+      (process.env.TWILIO_FROM || process.env.TWILIO_MESSAGING_SERVICE_SID)),
+    async send(message) {
+      try {
+        const accountSid = process.env.TWILIO_ACCOUNT_SID;
+        const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(accountSid)}/Messages.json`, {
+          method: 'POST',
+          headers: {
+            'authorization': 'Basic ' + Buffer.from(`${accountSid}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64'),
+            'content-type': 'application/x-www-form-urlencoded'
+          },
+          body: new URLSearchParams({
+            To: message.payload.to,
+            Body: message.payload.text,
+            ...(process.env.TWILIO_MESSAGING_SERVICE_SID
+              ? { MessagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID }
+              : { From: process.env.TWILIO_FROM })
+          }),
+          signal: AbortSignal.timeout(30000)
+        });
+        const body = await response.json().catch(() => ({}));
 
-    if (response.ok) {
-      console.log(`Confirmation email sent to ${booking.email}`);
-      return true;
+        if (response.ok) {
+          return { ok: true, statusCode: response.status, messageId: body.sid || '' };
+        }
+        return { ok: false, statusCode: response.status, error: body.message || `HTTP ${response.status}`, permanent: isPermanentHttpFailure(response.status) };
+      } catch (error) {
+        return { ok: false, statusCode: null, error: error.message, permanent: false };
+      }
     }
-    return false;
+  },
+
+  // WhatsApp Business Cloud API. Outside a conversation the client started in the last 24 hours,
+  // WhatsApp only delivers approved templates: WHATSAPP_TEMPLATE names one whose body is a
+  // single {{1}} variable (one per language), which gets the whole text.
+  'whatsapp-cloud': {
+    channels: ['whatsapp'],
+    isConfigured: () => Boolean(process.env.WHATSAPP_TOKEN && process.env.WHATSAPP_PHONE_NUMBER_ID),
+    async send(message) {
+      const { to, text, locale } = message.payload;
+      const template = process.env.WHATSAPP_TEMPLATE;
+      try {
+        const response = await fetch(`https://graph.facebook.com/v20.0/${encodeURIComponent(process.env.WHATSAPP_PHONE_NUMBER_ID)}/messages`, {
+          method: 'POST',
+          headers: {
+            'authorization': `Bearer ${process.env.WHATSAPP_TOKEN}`,
+            'content-type': 'application/json'
+          },
+          body: JSON.stringify({
+            messaging_product: 'whatsapp',
+            to: to.replace(/^\+/, ''),
+            ...(template
+              ? {
+                  type: 'template',
+                  template: {
+                    name: template,
+                    language: { code: locale || DEFAULT_LOCALE },
+                    // Template variables can't contain line breaks
+                    components: [{ type: 'body', parameters: [{ type: 'text', text: text.replace(/\s*\n\s*/g, ' ') }] }]
+                  }
+                }
+              : { type: 'text', text: { body: text } })
+          }),
+          signal: AbortSignal.timeout(30000)
+        });
+        const body = await response.json().catch(() => ({}));
+
+        if (response.ok) {
+          return { ok: true, statusCode: response.status, messageId: body.messages?.[0]?.id || '' };
+        }
+        return { ok: false, statusCode: response.status, error: body.error?.message || `HTTP ${response.status}`, permanent: isPermanentHttpFailure(response.status) };
+      } catch (error) {
+        return { ok: false, statusCode: null, error: error.message, permanent: false };
+      }
+    }
+  },
+
+  // Writes each message to a .txt file instead of sending it, for development and testing
+  stub: {
+    channels: ['sms', 'whatsapp'],
+    isConfigured: () => true,
+    async send(message) {
+      try {
+        const dir = process.env.TEXT_MESSAGE_DIR || path.join(__dirname, 'messages');
+        const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.channel}-${message.type}-${message._id}.txt`);
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(file, `To: ${message.payload.to}\nChannel: ${message.channel}\n\n${message.payload.text}\n`);
+        console.log(`[MESSAGES] Wrote ${file}`);
+        return { ok: true, statusCode: null, messageId: '' };
+      } catch (error) {
+        return { ok: false, statusCode: null, error: error.message, permanent: false };
+      }
+    }
+  }
+};
+
+// SMS_PROVIDER / WHATSAPP_PROVIDER pick one explicitly. Otherwise the provider for the channel
+// that has credentials, and outside production the stub. Null when nothing usable is configured.
+function getTextMessageProvider(channel) {
+  let name = process.env[channel === 'sms' ? 'SMS_PROVIDER' : 'WHATSAPP_PROVIDER'];
+  if (!name) {
+    name = Object.keys(TEXT_MESSAGE_PROVIDERS).find(key =>
+      key !== 'stub' && TEXT_MESSAGE_PROVIDERS[key].channels.includes(channel) && TEXT_MESSAGE_PROVIDERS[key].isConfigured());
+    if (!name && process.env.NODE_ENV !== 'production') name = 'stub';
+    if (!name) return null;
+  }
+  const provider = TEXT_MESSAGE_PROVIDERS[name];
+  if (!provider || !provider.channels.includes(channel) || !provider.isConfigured()) return null;
+  return { name, ...provider };
+}
+
+// ============================================
+// EMAIL OUTBOX (queued sending with retries)
+// ============================================
+
+// Attempts before a message is marked failed; retries wait 1, 2, 4, 8 and 16 minutes
+const OUTBOX_MAX_ATTEMPTS = 6;
+const OUTBOX_RETRY_BASE_MS = 60 * 1000;
+// A message still "sending" after this long belongs to a worker that died mid-send
+const OUTBOX_LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Store an email for the outbox worker and return straight away, so a slow or failing
+// mail provider never holds up a request. True once the message is safely queued.
+async function queueEmail(type, payload, { ownerId = null, bookingId = null } = {}) {
+  try {
+    await EmailOutbox.create({
+      ownerId,
+      type,
+      bookingId,
+      to: payload.to.map(r => r.email).join(', '),
+      subject: payload.subject,
+      payload
+    });
+    setImmediate(processEmailOutbox);
+    return true;
   } catch (error) {
-    console.error('Confirmation email error:', error.message);
+    console.error(`[OUTBOX] Failed to queue ${type} email:`, error.message);
     return false;
   }
 }
 
-// Send Cancellation Email to Client (when owner cancels from dashboard)
-async function sendCancellationEmailToClient(booking, owner) {
-  if (!process.env.BREVO_API_KEY || !booking.email) {
-    console.log('Skipping cancellation email - no API key or client email');
+// Same for an SMS or WhatsApp message; payload is { to, text, locale }
+async function queueTextMessage(channel, type, payload, { ownerId = null, bookingId = null } = {}) {
+  try {
+    await EmailOutbox.create({
+      ownerId,
+      channel,
+      type,
+      bookingId,
+      to: payload.to,
+      subject: payload.text.slice(0, 200),
+      payload
+    });
+    setImmediate(processEmailOutbox);
+    return true;
+  } catch (error) {
+    console.error(`[OUTBOX] Failed to queue ${type} ${channel} message:`, error.message);
     return false;
   }
+}
 
-  const emailSettings = owner.emailSettings || {};
-  const primaryColor = emailSettings.primaryColor || '#10b981';
-  const businessName = emailSettings.businessName || owner.clinicName || 'Your Business';
-  const cancellationSubject = emailSettings.cancellationSubject || 'Appointment Cancelled';
-  const cancellationMessage = emailSettings.cancellationMessage || 'We regret to inform you that your appointment has been cancelled.';
-
-  const dateObj = new Date(booking.date + 'T' + booking.time);
-  const formattedDate = dateObj.toLocaleDateString('en-US', { 
-    weekday: 'long', 
-    year: 'numeric', 
-    month: 'long', 
-    day: 'numeric' 
-  });
-
-  const emailHtml = `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-</head>
-<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #f5f5f5;">
-  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f5f5f5; padding: 40px 20px;">
-    <tr>
-      <td align="center">
-        <table width="600" cellpadding="0" cellspacing="0" style="background: #ffffff; border-radius: 16px; overflow: hidden; border: 1px solid #e5e5e5;">
-          <tr>
-            <td style="background: linear-gradient(135deg, #dc2626 0%, #ef4444 100%); padding: 50px 40px; text-align: center;">
-              <h1 style="color: #ffffff; margin: 0; font-size: 32px; font-weight: 700;">${cancellationSubject}</h1>
-              <p style="color: rgba(255,255,255,0.9); margin: 12px 0 0; font-size: 18px;">${businessName}</p>
-            </td>
-          </tr>
-          <tr>
-            <td style="padding: 40px;">
-              <p style="color: #374151; font-size: 20px; margin: 0 0 24px;">Dear <strong>${booking.name}</strong>,</p>
-              <p style="color: #6b7280; font-size: 18px; margin: 0 0 32px; line-height: 1.7;">${cancellationMessage}</p>
-              <table width="100%" cellpadding="0" cellspacing="0" style="background: #fef2f2; border: 1px solid #fecaca; border-radius: 12px; margin-bottom: 32px;">
-                <tr>
-                  <td style="padding: 28px;">
-                    <p style="margin: 0 0 14px;"><strong style="color: #991b1b; font-size: 16px;">Date:</strong> <span style="color: #7f1d1d; font-size: 20px; font-weight: 600;">${formattedDate}</span></p>
-                    <p style="margin: 0 0 14px;"><strong style="color: #991b1b; font-size: 16px;">Time:</strong> <span style="color: #7f1d1d; font-size: 20px; font-weight: 600;">${booking.time}</span></p>
-                    <p style="margin: 0;"><strong style="color: #991b1b; font-size: 16px;">Service:</strong> <span style="color: #7f1d1d; font-size: 20px; font-weight: 600;">${booking.service}</span></p>
-                  </td>
-                </tr>
-              </table>
-              <p style="color: #6b7280; font-size: 18px; margin: 0 0 24px; line-height: 1.7;">We apologize for any inconvenience. Please contact us to reschedule your appointment.</p>
-              ${owner.websiteUrl ? `<p style="text-align: center;"><a href="${owner.websiteUrl}" style="display: inline-block; background: linear-gradient(135deg, ${primaryColor} 0%, #059669 100%); color: #ffffff; text-decoration: none; padding: 18px 44px; border-radius: 10px; font-size: 18px; font-weight: 600;">Book New Appointment</a></p>` : ''}
-            </td>
-          </tr>
-          <tr>
-            <td style="padding: 24px 40px; border-top: 1px solid #e5e7eb; text-align: center;">
-              <p style="color: #9ca3af; font-size: 13px; margin: 0;">${businessName}</p>
-            </td>
-          </tr>
-        </table>
-      </td>
-    </tr>
-  </table>
-</body>
-</html>
-  `;
+// One send attempt through the configured email transport or text message provider
+async function deliverOutboxMessage(message) {
+  const transport = message.channel === 'email' ? getEmailTransport() : getTextMessageProvider(message.channel);
+  if (!transport) {
+    return { ok: false, statusCode: null, error: `No ${message.channel === 'email' ? 'email transport' : message.channel + ' provider'} configured`, permanent: false, transport: '' };
+  }
+  const result = await transport.send(message);
+  return { ...result, transport: transport.name };
+}
 
+// Sends every due message, one at a time. Claiming a message is atomic, so a tick
+// that overlaps another (or another server instance) never sends the same message twice.
+let outboxRunning = false;
+async function processEmailOutbox() {
+  if (outboxRunning || mongoose.connection.readyState !== 1) return;
+  outboxRunning = true;
   try {
-    const response = await fetch('https://api.brevo.com/v3/smtp/email', {
-      method: 'POST',
-      headers: {
-        'accept': 'application/json',
-        'api-key': process.env.BREVO_API_KEY,
-        'content-type': 'application/json'
-      },
-      body: JSON.stringify({
-        sender: { name: businessName, email: process.env.BREVO_SENDER_EMAIL },
-        to: [{ email: booking.email, name: booking.name }],
-        subject: `${cancellationSubject} - ${formattedDate}`,
-        htmlContent: emailHtml
-      })
-    });
+    for (;;) {
+      const now = new Date();
+      const message = await EmailOutbox.findOneAndUpdate(
+        {
+          $or: [
+            { status: 'queued', nextAttemptAt: { $lte: now } },
+            { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - OUTBOX_LOCK_TIMEOUT_MS) } }
+          ]
+        },
+        { $set: { status: 'sending', lockedAt: now } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+      if (!message) break;
+
+      const result = await deliverOutboxMessage(message);
+      const attemptCount = message.attemptCount + 1;
+      const attempt = { at: new Date(), ok: result.ok, transport: result.transport, statusCode: result.statusCode, messageId: result.messageId || '', error: result.error || '' };
+
+      if (result.ok) {
+        await EmailOutbox.updateOne({ _id: message._id }, {
+          $set: { status: 'sent', attemptCount, messageId: attempt.messageId, lastError: '', sentAt: attempt.at, lockedAt: null },
+          $push: { attempts: attempt }
+        });
+        console.log(`[OUTBOX] ${message.type} ${message.channel} sent to ${message.to}`);
+        continue;
+      }
 
-    if (response.ok) {
-      console.log(`Cancellation email sent to ${booking.email}`);
-      return true;
+      const giveUp = result.permanent || attemptCount >= OUTBOX_MAX_ATTEMPTS;
+      await EmailOutbox.updateOne({ _id: message._id }, {
+        $set: {
+          status: giveUp ? 'failed' : 'queued',
+          attemptCount,
+          lastError: attempt.error,
+          nextAttemptAt: new Date(Date.now() + OUTBOX_RETRY_BASE_MS * 2 ** (attemptCount - 1)),
+          lockedAt: null
+        },
+        $push: { attempts: attempt }
+      });
+      console.error(`[OUTBOX] ${message.type} ${message.channel} to ${message.to} failed (attempt ${attemptCount}${giveUp ? ', giving up' : ''}): ${attempt.error}`);
     }
-    return false;
   } catch (error) {
-    console.error('Cancellation email error:', error.message);
-    return false;
+    console.error('[OUTBOX] Worker error:', error.message);
+  } finally {
+    outboxRunning = false;
   }
 }
 
-// Send Reminder Email to Client
-async function sendReminderEmail(booking, owner) {
-  if (!process.env.BREVO_API_KEY || !booking.email) {
-    console.log('Skipping reminder email - no API key or client email');
+// ============================================
+// TIMEZONE HELPERS
+// ============================================
+
+// Booking dates and times are wall-clock values in the owner's timezone.
+// All "today", "tomorrow" and hours-until math goes through these helpers.
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (e) {
     return false;
   }
+}
 
-  const emailSettings = owner.emailSettings || {};
-  const primaryColor = emailSettings.primaryColor || '#10b981';
-  const secondaryColor = emailSettings.secondaryColor || '#059669';
-  const businessName = emailSettings.businessName || owner.clinicName || 'Your Business';
-  const reminderSubject = emailSettings.reminderSubject || 'Appointment Reminder';
-  const reminderMessage = emailSettings.reminderMessage || 'This is a friendly reminder about your upcoming appointment.';
-
-  const dateObj = new Date(booking.date + 'T' + booking.time);
-  const formattedDate = dateObj.toLocaleDateString('en-US', { 
-    weekday: 'long', 
-    year: 'numeric', 
-    month: 'long', 
-    day: 'numeric' 
+function getOwnerTimezone(owner) {
+  const timezone = owner?.settings?.timezone;
+  return timezone && isValidTimezone(timezone) ? timezone : 'UTC';
+}
+
+// Wall-clock parts (year, month, day, hour, minute, second) of an instant in a timezone
+function getZonedParts(date, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+  return parts;
+}
+
+// Today's date (YYYY-MM-DD) in a timezone, optionally shifted by whole days
+function getTodayInTimezone(timezone, offsetDays = 0) {
+  const parts = getZonedParts(new Date(), timezone);
+  const today = `${parts.year}-${parts.month}-${parts.day}`;
+  return offsetDays ? addDaysToDate(today, offsetDays) : today;
+}
+
+// Current wall-clock time (HH:MM) in a timezone
+function getNowTimeInTimezone(timezone) {
+  const parts = getZonedParts(new Date(), timezone);
+  return `${parts.hour}:${parts.minute}`;
+}
+
+// Milliseconds the timezone is ahead of UTC at a given instant
+function getTimezoneOffsetMs(date, timezone) {
+  const parts = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant a wall-clock date + time happens in a timezone
+function zonedTimeToDate(date, time, timezone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = (time || '00:00').split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes || 0);
+  // Second pass picks up a DST change between the guess and the real instant
+  const guess = wallClock - getTimezoneOffsetMs(new Date(wallClock), timezone);
+  return new Date(wallClock - getTimezoneOffsetMs(new Date(guess), timezone));
+}
+
+// ============================================
+// BOOKING HELPERS
+// ============================================
+
+// Cancellations with at least this much notice free the slot again
+const SLOT_RELEASE_HOURS = 6;
+
+// Hours from now until the appointment starts in the owner's timezone (negative once it has passed)
+function getHoursUntilAppointment(booking, owner) {
+  const appointmentTime = zonedTimeToDate(booking.date, booking.time, getOwnerTimezone(owner));
+  return (appointmentTime - new Date()) / (1000 * 60 * 60);
+}
+
+// Minutes between slot start times (e.g. 2 per hour = 30 min)
+function getSlotMinutes(owner) {
+  return Math.floor(60 / (owner.settings?.slotsPerHour || 1));
+}
+
+function timeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+// The owner's services. Owners still on the old plain-name list get a catalog
+// where every service takes exactly one slot, so nothing changes for them.
+function getServiceCatalog(owner) {
+  if (owner.settings?.serviceCatalog?.length > 0) return owner.settings.serviceCatalog;
+  return (owner.settings?.services || []).map(name => ({
+    name,
+    duration: getSlotMinutes(owner),
+    price: 0,
+    deposit: 0,
+    buffer: 0,
+    color: '#10b981',
+    isActive: true,
+    teamMemberIds: []
+  }));
+}
+
+// Service rows posted from the settings page (serviceCatalog[i][name], ...) to catalog entries.
+// Rows with an empty name are dropped.
+function parseServiceCatalog(rows, owner) {
+  const list = Array.isArray(rows) ? rows : Object.values(rows || {});
+  const teamMemberIds = (owner.teamMembers || []).map(m => m._id.toString());
+
+  return list
+    .filter(row => row && typeof row.name === 'string' && row.name.trim())
+    .map(row => ({
+      ...(mongoose.Types.ObjectId.isValid(row.id || '') && { _id: row.id }),
+      name: row.name.trim(),
+      duration: Math.max(parseInt(row.duration) || getSlotMinutes(owner), 5),
+      price: Math.max(parseFloat(row.price) || 0, 0),
+      deposit: Math.min(Math.max(parseFloat(row.deposit) || 0, 0), Math.max(parseFloat(row.price) || 0, 0)),
+      buffer: Math.max(parseInt(row.buffer) || 0, 0),
+      color: /^#[0-9a-fA-F]{6}$/.test(row.color || '') ? row.color : '#10b981',
+      isActive: row.isActive === 'true' || row.isActive === 'on',
+      teamMemberIds: [].concat(row.teamMemberIds || []).filter(id => teamMemberIds.includes(id))
+    }));
+}
+
+function findService(owner, name) {
+  return getServiceCatalog(owner).find(s => s.name === name) || null;
+}
+
+// Minutes a booking keeps the calendar busy (duration + buffer).
+// New bookings store their own duration; older ones fall back to the catalog, then to one slot.
+function getOccupiedMinutes(owner, booking) {
+  if (booking.duration) return booking.duration + (booking.buffer || 0);
+  const service = booking.type !== 'blocked' && booking.service ? findService(owner, booking.service) : null;
+  if (service) return service.duration + (service.buffer || 0);
+  return getSlotMinutes(owner);
+}
+
+// Active bookings on a date whose occupied time overlaps [startMinutes, endMinutes).
+// excludeBookingId may be a single id or an array (bookings being moved).
+async function findOverlappingBookings(BookingsCollection, owner, date, startMinutes, endMinutes, excludeBookingId = null) {
+  const query = {
+    date,
+    clinicEmail: owner.email,
+    status: { $nin: ['cancelled', 'no-show'] }
+  };
+  if (Array.isArray(excludeBookingId)) {
+    query.id = { $nin: excludeBookingId };
+  } else if (excludeBookingId !== null) {
+    query.id = { $ne: excludeBookingId };
+  }
+
+  const dayBookings = await BookingsCollection.find(query).toArray();
+  return filterOverlappingBookings(owner, dayBookings, date, startMinutes, endMinutes);
+}
+
+// The bookings of a list that are on a date and overlap [startMinutes, endMinutes)
+function filterOverlappingBookings(owner, bookings, date, startMinutes, endMinutes) {
+  return bookings.filter(b => {
+    if (b.date !== date || !b.time) return false;
+    const bookingStart = timeToMinutes(b.time);
+    return bookingStart < endMinutes && bookingStart + getOccupiedMinutes(owner, b) > startMinutes;
   });
+}
 
-  const emailHtml = `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-</head>
-<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #f5f5f5;">
-  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f5f5f5; padding: 40px 20px;">
-    <tr>
-      <td align="center">
-        <table width="600" cellpadding="0" cellspacing="0" style="background: #ffffff; border-radius: 16px; overflow: hidden; border: 1px solid #e5e5e5;">
-          <tr>
-            <td style="background: linear-gradient(135deg, ${primaryColor} 0%, ${secondaryColor} 100%); padding: 50px 40px; text-align: center;">
-              <h1 style="color: #ffffff; margin: 0 0 12px; font-size: 32px; font-weight: 700;">${reminderSubject}</h1>
-              <p style="color: rgba(255,255,255,0.9); margin: 0; font-size: 18px;">${businessName}</p>
-            </td>
-          </tr>
-          <tr>
-            <td style="padding: 40px;">
-              <p style="color: #374151; font-size: 20px; margin: 0 0 24px;">Dear <strong>${booking.name}</strong>,</p>
-              <p style="color: #6b7280; font-size: 18px; margin: 0 0 32px; line-height: 1.7;">${reminderMessage}</p>
-              <table width="100%" cellpadding="0" cellspacing="0" style="background: linear-gradient(135deg, #ecfdf5 0%, #d1fae5 100%); border: 1px solid #a7f3d0; border-radius: 12px; margin-bottom: 32px;">
-                <tr>
-                  <td style="padding: 28px;">
-                    <p style="color: #047857; font-size: 14px; font-weight: 700; text-transform: uppercase; letter-spacing: 2px; margin: 0 0 20px; border-bottom: 2px solid #a7f3d0; padding-bottom: 12px;">Appointment Details</p>
-                    <p style="margin: 0 0 14px;"><strong style="color: #047857; font-size: 16px;">Date:</strong> <span style="color: #065f46; font-size: 20px; font-weight: 600;">${formattedDate}</span></p>
-                    <p style="margin: 0 0 14px;"><strong style="color: #047857; font-size: 16px;">Time:</strong> <span style="color: #065f46; font-size: 20px; font-weight: 600;">${booking.time}</span></p>
-                    <p style="margin: 0 0 14px;"><strong style="color: #047857; font-size: 16px;">Service:</strong> <span style="color: #065f46; font-size: 20px; font-weight: 600;">${booking.service}</span></p>
-                    ${owner.clinicAddress ? `<p style="margin: 0;"><strong style="color: #047857; font-size: 16px;">Location:</strong> <span style="color: #065f46; font-size: 18px;">${owner.clinicAddress}</span></p>` : ''}
-                  </td>
-                </tr>
-              </table>
-              <p style="color: #6b7280; font-size: 18px; margin: 0; text-align: center;">We look forward to seeing you!</p>
-              ${owner.clinicPhone ? `<p style="color: #9ca3af; font-size: 16px; margin: 16px 0 0; text-align: center;">Questions? Contact us at ${owner.clinicPhone}</p>` : ''}
-            </td>
-          </tr>
-          <tr>
-            <td style="padding: 24px 40px; border-top: 1px solid #e5e7eb; text-align: center;">
-              <p style="color: #9ca3af; font-size: 13px; margin: 0;">${businessName}</p>
-            </td>
-          </tr>
-        </table>
-      </td>
-    </tr>
-  </table>
-</body>
-</html>
-  `;
+// Active bookings and closures from `from` to `to`, loaded once so that many slots
+// can be checked in memory (see getSlotCapacity and getTeamMemberAvailability)
+async function loadCalendar(BookingsCollection, owner, from, to = from) {
+  const bookings = await BookingsCollection.find({
+    clinicEmail: owner.email,
+    date: { $gte: from, $lte: to },
+    status: { $nin: ['cancelled', 'no-show'] }
+  }).toArray();
+  const closures = await Closure.find({ ownerId: owner._id, dateFrom: { $lte: to }, dateTo: { $gte: from } }).lean();
+  return { bookings, closures };
+}
 
-  try {
-    const response = await fetch('https://api.brevo.com/v3/smtp/email', {
-      method: 'POST',
-      headers: {
-        'accept': 'application/json',
-        'api-key': process.env.BREVO_API_KEY,
-        'content-type': 'application/json'
-      },
-      body: JSON.stringify({
-        sender: { name: businessName, email: process.env.BREVO_SENDER_EMAIL },
-        to: [{ email: booking.email, name: booking.name }],
-        subject: `${reminderSubject} - ${formattedDate} at ${booking.time}`,
-        htmlContent: emailHtml
-      })
-    });
+// Double-booking check: every slot a booking of `serviceName` would occupy
+// (a 90-minute service spans several) holds at most slotsPerHour active bookings.
+// `taken` is the count in the busiest of those slots.
+async function checkSlotCapacity(BookingsCollection, owner, date, time, excludeBookingId = null, serviceName = null) {
+  const start = timeToMinutes(time);
+  const end = start + getOccupiedMinutes(owner, { service: serviceName });
+
+  const closures = await findClosures(owner, date, start, end);
+  const bookings = closures.length > 0 ? [] : await findOverlappingBookings(BookingsCollection, owner, date, start, end, excludeBookingId);
+  return getSlotCapacity(owner, { bookings, closures }, date, time, serviceName);
+}
+
+// Same check against a calendar already loaded with loadCalendar
+function getSlotCapacity(owner, calendar, date, time, serviceName = null) {
+  const slotsPerHour = owner.settings?.slotsPerHour || 1;
+  const start = timeToMinutes(time);
+  const end = start + getOccupiedMinutes(owner, { service: serviceName });
+
+  const [closure] = filterClosures(calendar.closures, date, start, end);
+  if (closure) {
+    return { available: false, taken: slotsPerHour, slotsPerHour, closure };
+  }
+
+  const overlapping = filterOverlappingBookings(owner, calendar.bookings, date, start, end);
+  const taken = countBusiestSlot(owner, overlapping, start, end);
+  return { available: taken < slotsPerHour, taken, slotsPerHour };
+}
+
+// Why checkSlotCapacity said no, for error messages
+function describeUnavailableSlot(capacity) {
+  if (capacity.closure) {
+    return 'closed' + (capacity.closure.reason ? ` - ${capacity.closure.reason}` : '');
+  }
+  return `${capacity.taken}/${capacity.slotsPerHour} slots taken`;
+}
+
+// Most bookings found in any one slot between start and end (minutes)
+function countBusiestSlot(owner, bookings, start, end) {
+  const slotMinutes = getSlotMinutes(owner);
+  let busiest = 0;
+  for (let slotStart = start; slotStart < end; slotStart += slotMinutes) {
+    const inSlot = bookings.filter(b => {
+      const bookingStart = timeToMinutes(b.time);
+      return bookingStart < slotStart + slotMinutes && bookingStart + getOccupiedMinutes(owner, b) > slotStart;
+    }).length;
+    busiest = Math.max(busiest, inSlot);
+  }
+  return busiest;
+}
+
+// Duration, buffer and price of a service, copied onto each booking when it is made
+function getServiceBookingFields(owner, serviceName) {
+  const service = findService(owner, serviceName);
+  if (!service) return {};
+  return { duration: service.duration, buffer: service.buffer || 0, price: service.price || 0, depositAmount: service.deposit || 0 };
+}
+
+// Service restricted to certain team members?
+function isTeamMemberAllowedForService(owner, serviceName, teamMemberId) {
+  const service = findService(owner, serviceName);
+  if (!service || !service.teamMemberIds || service.teamMemberIds.length === 0 || !teamMemberId) return true;
+  return service.teamMemberIds.some(id => id.toString() === teamMemberId.toString());
+}
+
+// Time grid for one day, spaced by slotsPerHour (e.g. 2 per hour = every 30 min)
+function generateDaySlots(owner, startHour, endHour) {
+  const start = startHour ?? owner.settings.startHour;
+  const end = endHour ?? owner.settings.endHour;
+  const slotsPerHour = owner.settings.slotsPerHour || 1;
 
-    if (response.ok) {
-      console.log(`Reminder email sent to ${booking.email}`);
-      return true;
+  const times = [];
+  for (let hour = start; hour < end; hour++) {
+    for (let slot = 0; slot < slotsPerHour; slot++) {
+      const minutes = Math.floor((60 / slotsPerHour) * slot);
+      times.push(`${hour.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`);
     }
-    return false;
-  } catch (error) {
-    console.error('Reminder email error:', error.message);
-    return false;
   }
+  return times;
 }
 
-// Send Review Request Email
-async function sendReviewRequestEmail(booking, owner, reviewToken) {
-  const businessName = owner.emailSettings?.businessName || owner.clinicName || 'Our Clinic';
-  const primaryColor = owner.emailSettings?.primaryColor || '#10b981';
-  const reviewUrl = `${process.env.APP_URL || 'https://dashboard.buildhaze.com'}/review/${reviewToken}`;
+// Free slots on a date that a client could move their booking to
+async function getFreeSlotsForDate(BookingsCollection, owner, date, excludeBookingId = null, serviceName = null) {
+  const workingDays = owner.settings?.workingDays || [1, 2, 3, 4, 5];
+  const dayOfWeek = new Date(date + 'T00:00:00').getDay();
+  if (!workingDays.includes(dayOfWeek)) return [];
 
-  const emailHtml = `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-</head>
-<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #f5f5f5;">
-  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f5f5f5; padding: 40px 20px;">
-    <tr>
-      <td align="center">
-        <table width="600" cellpadding="0" cellspacing="0" style="background: #ffffff; border-radius: 16px; overflow: hidden; border: 1px solid #e5e5e5;">
-          <tr>
-            <td style="background: linear-gradient(135deg, ${primaryColor} 0%, #059669 100%); padding: 50px 40px; text-align: center;">
-              <h1 style="color: #ffffff; margin: 0 0 12px; font-size: 32px; font-weight: 700;">How was your visit?</h1>
-              <p style="color: rgba(255,255,255,0.9); margin: 0; font-size: 18px;">${businessName}</p>
-            </td>
-          </tr>
-          <tr>
-            <td style="padding: 40px;">
-              <p style="color: #374151; font-size: 20px; margin: 0 0 24px;">Dear <strong>${booking.name}</strong>,</p>
-              <p style="color: #6b7280; font-size: 18px; margin: 0 0 32px; line-height: 1.7;">Thank you for visiting us! We hope you had a great experience. Your feedback helps us improve our services.</p>
-              
-              <table width="100%" cellpadding="0" cellspacing="0" style="margin-bottom: 32px;">
-                <tr>
-                  <td align="center">
-                    <a href="${reviewUrl}" style="display: inline-block; padding: 18px 48px; background: linear-gradient(135deg, ${primaryColor} 0%, #059669 100%); color: #ffffff; text-decoration: none; border-radius: 12px; font-size: 18px; font-weight: 700;">Leave Your Review</a>
-                  </td>
-                </tr>
-              </table>
-              
-              <p style="color: #9ca3af; font-size: 14px; margin: 0; text-align: center;">This link is private and unique to you. Your review will help us serve you better.</p>
-            </td>
-          </tr>
-          <tr>
-            <td style="background: #f9fafb; padding: 24px 40px; text-align: center; border-top: 1px solid #e5e5e5;">
-              <p style="color: #9ca3af; font-size: 14px; margin: 0;">${businessName}</p>
-            </td>
-          </tr>
-        </table>
-      </td>
-    </tr>
-  </table>
-</body>
-</html>
-  `;
+  const freeSlots = [];
+  for (const time of generateDaySlots(owner)) {
+    if (getHoursUntilAppointment({ date, time }, owner) < SLOT_RELEASE_HOURS) continue;
+    const { available } = await checkSlotCapacity(BookingsCollection, owner, date, time, excludeBookingId, serviceName);
+    if (available) freeSlots.push(time);
+  }
+  return freeSlots;
+}
+
+// ============================================
+// BOOKING STATUS HELPERS
+// ============================================
+
+// Allowed status changes. Completed and no-show are final; a cancelled
+// booking can only come back through the restore route (which re-checks capacity).
+const BOOKING_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['completed', 'no-show', 'cancelled'],
+  blocked: ['cancelled'],
+  cancelled: ['confirmed'],
+  completed: [],
+  'no-show': []
+};
+
+const BOOKING_STATUS_LABELS = {
+  pending: 'pending approval booking',
+  confirmed: 'confirmed booking',
+  blocked: 'blocked slot',
+  cancelled: 'cancelled booking',
+  completed: 'completed booking',
+  'no-show': 'no-show booking'
+};
+
+const BOOKING_TRANSITION_VERBS = {
+  confirmed: 'confirmed',
+  completed: 'marked as completed',
+  'no-show': 'marked as a no-show',
+  cancelled: 'cancelled'
+};
+
+// Status used by the state machine - blocked slots are their own state until cancelled
+function getBookingStatus(booking) {
+  if (booking.status === 'cancelled') return 'cancelled';
+  if (booking.type === 'blocked') return 'blocked';
+  return booking.status || 'confirmed';
+}
+
+// Error message for an illegal status change, or null when it is allowed
+function checkStatusTransition(booking, nextStatus) {
+  const status = getBookingStatus(booking);
+  if ((BOOKING_TRANSITIONS[status] || []).includes(nextStatus)) return null;
+  const label = BOOKING_STATUS_LABELS[status] || `${status} booking`;
+  return `A ${label} cannot be ${BOOKING_TRANSITION_VERBS[nextStatus] || nextStatus}`;
+}
+
+// Details (time, client, team member) can only change while a booking is still open
+function checkBookingEditable(booking) {
+  const status = getBookingStatus(booking);
+  if (['pending', 'confirmed', 'blocked'].includes(status)) return null;
+  return `A ${BOOKING_STATUS_LABELS[status] || status + ' booking'} can no longer be changed`;
+}
+
+// ============================================
+// PAYMENT HELPERS
+// ============================================
+
+const PAYMENT_METHODS = ['cash', 'card', 'bank-transfer', 'online', 'voucher', 'other'];
+
+// Money amount from a form field, rounded to cents. null when empty, negative or not a number.
+function parseMoney(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const amount = Math.round(parseFloat(value) * 100) / 100;
+  return Number.isFinite(amount) && amount >= 0 ? amount : null;
+}
+
+// no-charge | unpaid | partially-paid | deposit-paid | paid
+function getPaymentStatus(booking) {
+  const price = booking.price || 0;
+  const paid = booking.amountPaid || 0;
+  if (price <= 0) return paid > 0 ? 'paid' : 'no-charge';
+  if (paid >= price) return 'paid';
+  if (paid <= 0) return 'unpaid';
+  return booking.depositAmount > 0 && paid >= booking.depositAmount ? 'deposit-paid' : 'partially-paid';
+}
+
+function getOutstandingBalance(booking) {
+  return Math.max(Math.round(((booking.price || 0) - (booking.amountPaid || 0)) * 100) / 100, 0);
+}
+
+// Money fields for a new client booking: the service's price and deposit unless a price was typed in
+function getNewBookingPaymentFields(owner, serviceName, priceInput = null) {
+  const fields = getServiceBookingFields(owner, serviceName);
+  const price = priceInput ?? fields.price ?? 0;
+  const depositAmount = Math.min(fields.depositAmount || 0, price);
+  return { price, depositAmount, amountPaid: 0, payments: [], paymentStatus: getPaymentStatus({ price, depositAmount }) };
+}
+
+// Price / deposit from the edit form. A value left unchanged follows a newly chosen service.
+function getEditedPaymentFields(booking, serviceFields, body) {
+  const pick = (input, current, fromService) => {
+    const value = parseMoney(input);
+    if (value === null || (fromService !== undefined && value === (current || 0))) return fromService ?? current ?? 0;
+    return value;
+  };
+  const price = pick(body.price, booking.price, serviceFields.price);
+  const depositAmount = Math.min(pick(body.depositAmount, booking.depositAmount, serviceFields.depositAmount), price);
+  return { price, depositAmount, paymentStatus: getPaymentStatus({ ...booking, price, depositAmount }) };
+}
+
+// ============================================
+// CLOSURE HELPERS
+// ============================================
+
+// Longest range a single closure may cover
+const MAX_CLOSURE_DAYS = 366;
+
+// Closures on a date whose window overlaps [startMinutes, endMinutes).
+// Business-wide closures always count; a teamMemberId adds that member's own closures.
+async function findClosures(owner, date, startMinutes, endMinutes, teamMemberId = null) {
+  const closures = await Closure.find({
+    ownerId: owner._id,
+    dateFrom: { $lte: date },
+    dateTo: { $gte: date },
+    teamMemberId: teamMemberId ? { $in: [null, teamMemberId] } : null
+  });
+
+  return filterClosures(closures, date, startMinutes, endMinutes, teamMemberId);
+}
+
+// The closures of a list that cover a date and overlap [startMinutes, endMinutes):
+// business-wide ones, plus the team member's own when teamMemberId is given
+function filterClosures(closures, date, startMinutes, endMinutes, teamMemberId = null) {
+  return closures.filter(c => {
+    if (c.dateFrom > date || c.dateTo < date) return false;
+    if (c.teamMemberId && (!teamMemberId || c.teamMemberId.toString() !== teamMemberId.toString())) return false;
+    if (!c.startTime || !c.endTime) return true;
+    return timeToMinutes(c.startTime) < endMinutes && timeToMinutes(c.endTime) > startMinutes;
+  });
+}
+
+// Validate a closure form (add, edit, quick day off). Returns { error } or { closure }.
+function parseClosureForm(body, owner) {
+  const dateFrom = body.dateFrom || body.date;
+  const dateTo = body.dateTo || dateFrom;
+  const startTime = body.startTime || '';
+  const endTime = body.endTime || '';
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateFrom || '') || !/^\d{4}-\d{2}-\d{2}$/.test(dateTo)) {
+    return { error: 'Please choose the dates of the closure' };
+  }
+  if (dateTo < dateFrom) {
+    return { error: 'The closure must end on or after its first day' };
+  }
+  if (daysBetweenDates(dateFrom, dateTo) >= MAX_CLOSURE_DAYS) {
+    return { error: `A closure can cover at most ${MAX_CLOSURE_DAYS} days` };
+  }
+  if ((startTime || endTime) && (!/^\d{2}:\d{2}$/.test(startTime) || !/^\d{2}:\d{2}$/.test(endTime) || startTime >= endTime)) {
+    return { error: 'Please enter both times with the start before the end, or leave both empty to close all day' };
+  }
+
+  const member = findTeamMember(owner, body.teamMemberId);
+  return {
+    closure: {
+      dateFrom,
+      dateTo,
+      startTime,
+      endTime,
+      teamMemberId: member ? member._id : null,
+      teamMemberName: member ? member.name : '',
+      reason: sanitizeInput(body.reason) || ''
+    }
+  };
+}
+
+// Client bookings that fall inside a closure and need to be moved or cancelled
+async function findBookingsInClosure(BookingsCollection, owner, closure) {
+  const bookings = await BookingsCollection.find({
+    clinicEmail: owner.email,
+    date: { $gte: closure.dateFrom, $lte: closure.dateTo },
+    type: { $ne: 'blocked' },
+    status: { $nin: ['cancelled', 'no-show', 'completed'] }
+  }).sort({ date: 1, time: 1 }).toArray();
+
+  return bookings.filter(b => {
+    if (closure.teamMemberId && String(b.teamMemberId || '') !== closure.teamMemberId.toString()) return false;
+    if (!closure.startTime || !closure.endTime || !b.time) return true;
+    const start = timeToMinutes(b.time);
+    return start < timeToMinutes(closure.endTime) && start + getOccupiedMinutes(owner, b) > timeToMinutes(closure.startTime);
+  });
+}
+
+// Minimal iCalendar reader: all-day and timed VEVENTs as { uid, summary, dateFrom, dateTo, startTime, endTime }.
+// All-day DTEND is exclusive; UTC times are converted to the owner's timezone.
+function parseICalEvents(text, timezone) {
+  const lines = text.replace(/\r\n[ \t]/g, '').replace(/\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let event = null;
+
+  const readDate = (value, params) => {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+    const [, year, month, day, hours, minutes, , utc] = match;
+    if (!hours || params.includes('VALUE=DATE')) {
+      return { date: `${year}-${month}-${day}`, time: '' };
+    }
+    if (utc) {
+      const parts = getZonedParts(new Date(Date.UTC(year, month - 1, day, hours, minutes)), timezone);
+      return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+    }
+    return { date: `${year}-${month}-${day}`, time: `${hours}:${minutes}` };
+  };
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (event && event.start) events.push(event);
+      event = null;
+      continue;
+    }
+    if (!event) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const [name, ...params] = line.slice(0, separator).toUpperCase().split(';');
+    const value = line.slice(separator + 1).trim();
+
+    if (name === 'DTSTART') event.start = readDate(value, params);
+    else if (name === 'DTEND') event.end = readDate(value, params);
+    else if (name === 'UID') event.uid = value;
+    else if (name === 'SUMMARY') event.summary = value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1');
+  }
+
+  return events.map(e => {
+    const allDay = !e.start.time;
+    let dateTo = e.start.date;
+    if (e.end) {
+      dateTo = allDay ? addDaysToDate(e.end.date, -1) : e.end.date;
+      if (dateTo < e.start.date) dateTo = e.start.date;
+    }
+    // A timed event on a single day closes only that window
+    const sameDay = !allDay && e.end && e.end.date === e.start.date;
+    return {
+      uid: e.uid || null,
+      summary: e.summary || 'Closed',
+      dateFrom: e.start.date,
+      dateTo,
+      startTime: sameDay ? e.start.time : '',
+      endTime: sameDay ? e.end.time : ''
+    };
+  });
+}
+
+// ============================================
+// ICALENDAR HELPERS
+// ============================================
+
+// Event UIDs must stay stable across feed refreshes so calendar apps update instead of duplicating
+const ICAL_UID_HOST = new URL(process.env.APP_URL || 'https://dashboard.buildhaze.com').hostname;
+
+function generateCalendarFeedToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function escapeICalText(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Parameter values (like CN=) are quoted rather than escaped, and may not contain quotes themselves
+function quoteICalParam(value) {
+  return `"${String(value || '').replace(/["\r\n]/g, '')}"`;
+}
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545)
+function foldICalLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatICalDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Length of the appointment itself (without the buffer after it)
+function getBookingDurationMinutes(owner, booking) {
+  if (booking.duration) return booking.duration;
+  const service = booking.type !== 'blocked' && booking.service ? findService(owner, booking.service) : null;
+  return service ? service.duration : getSlotMinutes(owner);
+}
+
+// VEVENT for a booking or blocked slot, with start/end in UTC
+function bookingToICalEvent(owner, booking) {
+  const start = zonedTimeToDate(booking.date, booking.time, getOwnerTimezone(owner));
+  const end = new Date(start.getTime() + getBookingDurationMinutes(owner, booking) * 60 * 1000);
+  const isBlocked = booking.type === 'blocked';
+
+  const description = isBlocked
+    ? [booking.notes]
+    : [
+        `Client: ${booking.name}`,
+        booking.email && `Email: ${booking.email}`,
+        booking.phone && `Phone: ${booking.phone}`,
+        booking.teamMemberName && `With: ${booking.teamMemberName}`,
+        booking.notes && `Notes: ${booking.notes}`
+      ];
+
+  return {
+    uid: `booking-${booking.id}@${ICAL_UID_HOST}`,
+    start,
+    end,
+    summary: isBlocked ? `Blocked${booking.notes ? ` - ${booking.notes}` : ''}` : `${booking.service} - ${booking.name}`,
+    description: description.filter(Boolean).join('\n'),
+    location: owner.clinicAddress || '',
+    status: booking.status === 'pending' ? 'TENTATIVE' : 'CONFIRMED'
+  };
+}
+
+// All-day closures become one date event (DTEND is the day after); a daily time window repeats on each day of the range
+function closureToICalEvents(owner, closure) {
+  const base = {
+    summary: `Closed${closure.reason ? ` - ${closure.reason}` : ''}`,
+    description: closure.teamMemberName ? `Team member: ${closure.teamMemberName}` : '',
+    status: 'CONFIRMED'
+  };
+  
+  if (!closure.startTime || !closure.endTime) {
+    return [{ ...base, uid: `closure-${closure._id}@${ICAL_UID_HOST}`, startDate: closure.dateFrom, endDate: addDaysToDate(closure.dateTo, 1) }];
+  }
+  
+  const timezone = getOwnerTimezone(owner);
+  const events = [];
+  for (let date = closure.dateFrom; date <= closure.dateTo; date = addDaysToDate(date, 1)) {
+    events.push({
+      ...base,
+      uid: `closure-${closure._id}-${date}@${ICAL_UID_HOST}`,
+      start: zonedTimeToDate(date, closure.startTime, timezone),
+      end: zonedTimeToDate(date, closure.endTime, timezone)
+    });
+  }
+  return events;
+}
+
+// Calendar apps only apply an update whose SEQUENCE is higher than the one they already have,
+// so every emailed change to a booking's time or status stores the next number on the booking
+function nextInviteSequence(booking) {
+  return (booking.inviteSequence || 0) + 1;
+}
+
+// .ics invite for client emails as an email attachment, one event per booking (a whole series can
+// go in one invite). REQUEST adds or updates the events, CANCEL removes them.
+function buildBookingInviteAttachment(bookings, owner, method = 'REQUEST', locale = getOwnerLocale(owner)) {
+  const businessName = getEmailBusinessName(owner);
+  const events = [].concat(bookings).map(booking => ({
+    ...bookingToICalEvent(owner, booking),
+    summary: `${booking.service} - ${businessName}`,
+    description: [
+      booking.teamMemberName && translate(locale, 'email.invite.with', { name: booking.teamMemberName }),
+      translate(locale, 'email.invite.reference', { id: booking.id }),
+      booking.cancelToken && translate(locale, 'email.invite.manage', { url: `${process.env.APP_URL || 'https://dashboard.buildhaze.com'}/booking/${booking.cancelToken}` })
+    ].filter(Boolean).join('\n'),
+    organizer: { name: businessName, email: owner.email },
+    attendee: { name: booking.name, email: booking.email },
+    sequence: booking.inviteSequence || 0,
+    ...(method === 'CANCEL' && { status: 'CANCELLED' })
+  }));
+  
+  return {
+    name: method === 'CANCEL' ? 'cancel.ics' : 'invite.ics',
+    content: Buffer.from(buildICalendar(events, { method })).toString('base64')
+  };
+}
+
+// Serialize events into a VCALENDAR document. method is set for email invites (REQUEST / CANCEL).
+function buildICalendar(events, { name = '', method = null } = {}) {
+  const stamp = formatICalDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//BuildHaze//Booking Dashboard//EN',
+    'CALSCALE:GREGORIAN',
+    method && `METHOD:${method}`,
+    name && `X-WR-CALNAME:${escapeICalText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      event.start ? `DTSTART:${formatICalDateTime(event.start)}` : `DTSTART;VALUE=DATE:${event.startDate.replace(/-/g, '')}`,
+      event.end ? `DTEND:${formatICalDateTime(event.end)}` : `DTEND;VALUE=DATE:${event.endDate.replace(/-/g, '')}`,
+      `SUMMARY:${escapeICalText(event.summary)}`,
+      event.description && `DESCRIPTION:${escapeICalText(event.description)}`,
+      event.location && `LOCATION:${escapeICalText(event.location)}`,
+      event.organizer && `ORGANIZER;CN=${quoteICalParam(event.organizer.name)}:mailto:${event.organizer.email}`,
+      event.attendee && `ATTENDEE;CN=${quoteICalParam(event.attendee.name)};RSVP=FALSE:mailto:${event.attendee.email}`,
+      event.sequence !== undefined && `SEQUENCE:${event.sequence}`,
+      `STATUS:${event.status || 'CONFIRMED'}`,
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.filter(Boolean).map(foldICalLine).join('\r\n') + '\r\n';
+}
+
+// ============================================
+// TEAM AVAILABILITY HELPERS
+// ============================================
+
+function findTeamMember(owner, teamMemberId) {
+  if (!teamMemberId) return null;
+  return (owner.teamMembers || []).find(m => m._id.toString() === teamMemberId.toString()) || null;
+}
+
+// Working intervals ({ start, end } in minutes) of a team member on a date.
+// A date exception replaces the weekly schedule; members without a schedule follow business hours.
+function getTeamMemberHours(owner, member, date) {
+  const exception = (member.scheduleExceptions || []).find(e => e.date === date);
+  if (exception) {
+    if (exception.isOff || !exception.startTime || !exception.endTime) return [];
+    return [{ start: timeToMinutes(exception.startTime), end: timeToMinutes(exception.endTime) }];
+  }
+
+  const dayOfWeek = new Date(date + 'T00:00:00').getDay();
+  if (member.weeklySchedule && member.weeklySchedule.length > 0) {
+    return member.weeklySchedule
+      .filter(s => s.day === dayOfWeek && s.startTime && s.endTime)
+      .map(s => ({ start: timeToMinutes(s.startTime), end: timeToMinutes(s.endTime) }));
+  }
+
+  const workingDays = owner.settings?.workingDays || [1, 2, 3, 4, 5];
+  if (!workingDays.includes(dayOfWeek)) return [];
+  return [{ start: (owner.settings?.startHour ?? 9) * 60, end: (owner.settings?.endHour ?? 17) * 60 }];
+}
+
+// Can this team member take a booking of serviceName at date/time?
+// The whole service has to fit inside one of their shifts and stay within their personal capacity.
+async function checkTeamMemberAvailability(BookingsCollection, owner, member, date, time, serviceName = null, excludeBookingId = null) {
+  const start = timeToMinutes(time);
+  const end = start + getOccupiedMinutes(owner, { service: serviceName });
+
+  const closures = await findClosures(owner, date, start, end, member._id);
+  const bookings = await findOverlappingBookings(BookingsCollection, owner, date, start, end, excludeBookingId);
+  return getTeamMemberAvailability(owner, { bookings, closures }, member, date, time, serviceName);
+}
+
+// Same check against a calendar already loaded with loadCalendar
+function getTeamMemberAvailability(owner, calendar, member, date, time, serviceName = null) {
+  const start = timeToMinutes(time);
+  const end = start + getOccupiedMinutes(owner, { service: serviceName });
+
+  const hours = getTeamMemberHours(owner, member, date);
+  if (!hours.some(h => start >= h.start && end <= h.end)) {
+    return { available: false, reason: `${member.name} is not working on ${date} at ${time}` };
+  }
+
+  const [closure] = filterClosures(calendar.closures, date, start, end, member._id);
+  if (closure) {
+    return { available: false, reason: `${member.name} is not available on ${date} at ${time}` + (closure.reason ? ` (${closure.reason})` : '') };
+  }
+
+  const capacity = member.capacity || 1;
+  const overlapping = filterOverlappingBookings(owner, calendar.bookings, date, start, end)
+    .filter(b => b.teamMemberId && b.teamMemberId.toString() === member._id.toString());
+  const taken = countBusiestSlot(owner, overlapping, start, end);
+  if (taken >= capacity) {
+    return { available: false, reason: `${member.name} is fully booked on ${date} at ${time} (${taken}/${capacity})` };
+  }
+
+  return { available: true, reason: null };
+}
+
+// ============================================
+// RECURRING SERIES HELPERS
+// ============================================
+
+// Upper bound on occurrences created by one recurring booking
+const MAX_SERIES_OCCURRENCES = 52;
+
+// YYYY-MM-DD date arithmetic in UTC so DST never shifts the day
+function addDaysToDate(dateStr, days) {
+  const d = new Date(dateStr + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+function daysBetweenDates(fromDateStr, toDateStr) {
+  const from = new Date(fromDateStr + 'T00:00:00Z');
+  const to = new Date(toDateStr + 'T00:00:00Z');
+  return Math.round((to - from) / (24 * 60 * 60 * 1000));
+}
+
+// Active appointments of a booking's series from this occurrence onwards
+async function findFollowingInSeries(BookingsCollection, owner, booking) {
+  return BookingsCollection.find({
+    clinicEmail: owner.email,
+    seriesId: booking.seriesId,
+    seriesIndex: { $gte: booking.seriesIndex || 0 },
+    status: { $nin: ['cancelled', 'no-show', 'completed'] }
+  }).sort({ seriesIndex: 1 }).toArray();
+}
+
+// Occurrence dates for a recurrence rule, starting with startDate itself.
+// frequency: daily (working days only) | weekly | weeks (every N weeks) | monthly
+// Ends at `until` (inclusive) or after `count` occurrences. Stops one past
+// MAX_SERIES_OCCURRENCES so callers can tell an over-long series apart.
+function buildRecurrenceDates(startDate, { frequency, interval, until, count }, workingDays) {
+  if (!until && !count) return [startDate];
+
+  const stepWeeks = frequency === 'weeks' ? Math.max(parseInt(interval) || 1, 1) : 1;
+  const limit = MAX_SERIES_OCCURRENCES + 1;
+  const maxCount = count ? Math.min(parseInt(count) || 1, limit) : limit;
+  const [startYear, startMonth, startDay] = startDate.split('-').map(Number);
+
+  const dates = [];
+  for (let step = 0; dates.length < maxCount; step++) {
+    let date;
+    if (frequency === 'daily') {
+      date = addDaysToDate(startDate, step);
+    } else if (frequency === 'monthly') {
+      // Keep the same day of month, clamped for shorter months (Jan 31 -> Feb 28)
+      const monthIndex = startMonth - 1 + step;
+      const year = startYear + Math.floor(monthIndex / 12);
+      const month = monthIndex % 12;
+      const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      date = new Date(Date.UTC(year, month, Math.min(startDay, daysInMonth))).toISOString().split('T')[0];
+    } else {
+      date = addDaysToDate(startDate, step * 7 * stepWeeks);
+    }
+
+    if (until && date > until) break;
+    // Safety net for a daily rule when no working days are configured
+    if (step > MAX_SERIES_OCCURRENCES * 7) break;
+
+    if (frequency === 'daily' && step > 0 && !workingDays.includes(new Date(date + 'T00:00:00Z').getUTCDay())) {
+      continue;
+    }
+    dates.push(date);
+  }
+  return dates;
+}
+
+// ============================================
+// WAITLIST HELPERS
+// ============================================
+
+// How long a waitlisted client has to claim a freed slot before it moves on
+const WAITLIST_OFFER_HOURS = 2;
+
+// The slot a cancelled booking leaves behind, in the shape stored on an offer
+function waitlistSlotFromBooking(booking) {
+  return {
+    date: booking.date,
+    time: booking.time,
+    service: booking.service,
+    teamMemberId: booking.teamMemberId && mongoose.Types.ObjectId.isValid(String(booking.teamMemberId))
+      ? new mongoose.Types.ObjectId(String(booking.teamMemberId))
+      : null,
+    teamMemberName: booking.teamMemberName || '',
+    sourceBookingId: booking.id
+  };
+}
+
+// Offer a freed slot to the first matching client on the waitlist (oldest entry first).
+// Never throws: a failed offer must not break the cancellation that triggered it.
+async function offerSlotToWaitlist(owner, slot) {
+  try {
+    if (getHoursUntilAppointment(slot, owner) <= 0) return null;
+
+    // Outstanding offers for the same slot count as taken
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const BookingsCollection = bookingDb.collection('bookings');
+    const capacity = await checkSlotCapacity(BookingsCollection, owner, slot.date, slot.time, null, slot.service);
+    const pendingOffers = await WaitlistEntry.countDocuments({
+      ownerId: owner._id,
+      status: 'offered',
+      'offer.date': slot.date,
+      'offer.time': slot.time
+    });
+    if (capacity.taken + pendingOffers >= capacity.slotsPerHour) return null;
+
+    const appointmentStart = zonedTimeToDate(slot.date, slot.time, getOwnerTimezone(owner)).getTime();
+    const expiresAt = new Date(Math.min(Date.now() + WAITLIST_OFFER_HOURS * 60 * 60 * 1000, appointmentStart));
+
+    // Claim the entry atomically so two freed slots never go to the same client
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      {
+        ownerId: owner._id,
+        status: 'waiting',
+        dateFrom: { $lte: slot.date },
+        dateTo: { $gte: slot.date },
+        service: { $in: ['', slot.service] },
+        teamMemberId: slot.teamMemberId ? { $in: [null, slot.teamMemberId] } : null,
+        skippedSlots: { $ne: `${slot.date} ${slot.time}` }
+      },
+      {
+        $set: {
+          status: 'offered',
+          offer: {
+            ...slot,
+            token: crypto.randomBytes(24).toString('hex'),
+            sentAt: new Date(),
+            expiresAt
+          }
+        }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+
+    if (!entry) return null;
+
+    await sendWaitlistOfferEmail(entry, owner);
+    console.log(`[WAITLIST] Offered ${slot.date} ${slot.time} to ${entry.clientEmail} until ${expiresAt.toISOString()}`);
+    return entry;
+  } catch (error) {
+    console.error('[WAITLIST] Error offering freed slot:', error.message);
+    return null;
+  }
+}
+
+// Expired offers go back to waiting (never re-offered that slot) and the slot moves to the next client
+async function processExpiredWaitlistOffers() {
+  try {
+    const expiredEntries = await WaitlistEntry.find({
+      status: 'offered',
+      'offer.expiresAt': { $lte: new Date() }
+    });
+
+    for (const entry of expiredEntries) {
+      const { token, sentAt, expiresAt, ...slot } = entry.toObject().offer;
+
+      // Conditional update so an offer claimed at the last second is left alone
+      const released = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'offered', 'offer.token': token },
+        {
+          $set: { status: 'waiting', 'offer.token': null },
+          $addToSet: { skippedSlots: `${slot.date} ${slot.time}` }
+        }
+      );
+      if (!released) continue;
+
+      console.log(`[WAITLIST] Offer to ${entry.clientEmail} for ${slot.date} ${slot.time} expired`);
+
+      const owner = await Owner.findById(entry.ownerId);
+      if (owner) {
+        await offerSlotToWaitlist(owner, slot);
+      }
+    }
+  } catch (error) {
+    console.error('[WAITLIST] Error processing expired offers:', error.message);
+  }
+}
+
+// ============================================
+// REMINDER SCHEDULE
+// ============================================
+
+// Each owner sends automatic reminders at a few offsets before the appointment (settings.reminderStages).
+// Sent stages are kept on the booking as remindersSent: { '24h': Date, ... }.
+
+// Emails (and texts) a reminder stage can use, each edited under Email Content
+const REMINDER_TEMPLATE_TYPES = ['reminder', 'reminder-early', 'reminder-soon'];
+const MAX_REMINDER_STAGES = 5;
+const MAX_REMINDER_HOURS = 7 * 24;
+
+// The owner's reminder stages, earliest (most hours before) first
+function getReminderStages(owner) {
+  return [...(owner.settings?.reminderStages || [])].sort((a, b) => b.hoursBefore - a.hoursBefore);
+}
+
+function getReminderStageKey(stage) {
+  return `${stage.hoursBefore}h`;
+}
+
+// Reminder rows posted from the settings page (reminderStages[i][hoursBefore], ...) to stages.
+// Rows without hours are dropped, and so is a second row for the same number of hours.
+function parseReminderStages(rows) {
+  const list = Array.isArray(rows) ? rows : Object.values(rows || {});
+  const stages = [];
+  for (const row of list) {
+    const hoursBefore = Math.min(parseInt(row?.hoursBefore) || 0, MAX_REMINDER_HOURS);
+    if (hoursBefore < 1 || stages.some(stage => stage.hoursBefore === hoursBefore)) continue;
+    stages.push({
+      hoursBefore,
+      template: REMINDER_TEMPLATE_TYPES.includes(row.template) ? row.template : 'reminder',
+      notifyBy: NOTIFICATION_PREFERENCES[row.notifyBy] ? row.notifyBy : ''
+    });
+  }
+  return stages.sort((a, b) => b.hoursBefore - a.hoursBefore).slice(0, MAX_REMINDER_STAGES);
+}
+
+// The stage a booking should get a reminder for now, or null. A stage is due from its time until
+// the appointment. It is skipped once a later stage is due too (its time passed unnoticed, e.g.
+// while the server was down) and when the booking was made or last moved after its time. Bookings reminded by
+// the single "day before" reminder used before reminder stages have no remindersSent; that
+// reminder stands in for every stage that was due when it went out.
+function getDueReminderStage(owner, booking, now = new Date()) {
+  const start = zonedTimeToDate(booking.date, booking.time, getOwnerTimezone(owner));
+  if (start <= now) return null;
+
+  const stageTime = stage => start.getTime() - stage.hoursBefore * 60 * 60 * 1000;
+  const stage = getReminderStages(owner).filter(s => now >= stageTime(s)).pop();
+  if (!stage || booking.remindersSent?.[getReminderStageKey(stage)]) return null;
+  const scheduledAt = Math.max(new Date(booking.createdAt || 0).getTime(), new Date(booking.remindersResetAt || 0).getTime());
+  if (scheduledAt > stageTime(stage)) return null;
+  const legacySentAt = !booking.remindersSent && booking.reminderType === 'automatic' && booking.reminderSentAt;
+  if (legacySentAt && new Date(legacySentAt) >= stageTime(stage)) return null;
+  return stage;
+}
+
+// Fields to $set when an appointment moves: reminders already sent were for the old time, and
+// stages whose time had passed by the move are skipped as for a new booking
+function resetReminderStages() {
+  return { remindersSent: {}, remindersResetAt: new Date() };
+}
+
+// ============================================
+// BOOKING HISTORY HELPERS
+// ============================================
+
+// Never copied into the history: secrets, and owner details repeated on every booking
+const HISTORY_IGNORED_FIELDS = ['_id', 'cancelToken', 'reviewToken', 'clinicName', 'clinicEmail', 'clinicPhone', 'clinicAddress', 'websiteUrl', 'updatedAt', 'inviteSequence', 'clientId'];
+
+// Who made a dashboard change - ghost mode sessions are the super admin, not the owner
+function getRequestActor(req) {
+  if (req.owner?.ghost) {
+    return { type: 'super-admin', name: process.env.SUPER_ADMIN_EMAIL || 'Super admin' };
+  }
+  return { type: 'owner', name: req.owner.email };
+}
+
+function getClientActor(booking) {
+  return { type: 'client', name: booking.email || booking.name || '' };
+}
+
+function getSystemActor(job) {
+  return { type: 'system', name: job };
+}
+
+// Fields of `after` whose value differs from `before`, as { field, before, after }.
+// Missing and empty values count as the same.
+function diffBookingFields(before, after) {
+  const normalize = value => (value === undefined || value === '' ? null : value);
+  return Object.keys(after)
+    .filter(field => !HISTORY_IGNORED_FIELDS.includes(field))
+    .filter(field => JSON.stringify(normalize(before[field])) !== JSON.stringify(normalize(after[field])))
+    .map(field => ({ field, before: normalize(before[field]), after: normalize(after[field]) }));
+}
+
+// Append one history entry per changed booking. `changes` is a list of
+// { before, after } where before is the stored booking (null when created)
+// and after is the new booking or the fields being $set.
+// A failure is logged but never blocks the change itself.
+async function recordBookingHistory(owner, actor, action, changes) {
+  try {
+    const entries = changes
+      .map(({ before, after }) => ({
+        ownerId: owner._id,
+        bookingId: (before || after).id,
+        action,
+        actor,
+        changes: diffBookingFields(before || {}, after)
+      }))
+      .filter(entry => entry.changes.length > 0);
+
+    if (entries.length > 0) {
+      await BookingHistory.insertMany(entries);
+    }
+  } catch (error) {
+    console.error(`[HISTORY] Failed to record ${action}:`, error.message);
+  }
+}
+
+// ============================================
+// CLIENT HELPERS
+// ============================================
+
+function normalizeClientEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// "+49 170 123-4567" and "0049 1701234567" both become "491701234567"; too short to identify anyone = ''
+function normalizeClientPhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '').replace(/^00/, '');
+  return digits.length >= 6 ? digits : '';
+}
+
+// International form for SMS and WhatsApp: "+49 170 1234567", "0049 170 1234567" and, with
+// country code 49, "0170 1234567" all become "+491701234567". '' when that isn't possible.
+function normalizePhoneE164(phone, countryCode = '') {
+  const raw = String(phone || '').trim();
+  let digits = raw.replace(/\D/g, '');
+  if (!raw.startsWith('+')) {
+    if (digits.startsWith('00')) {
+      digits = digits.slice(2);
+    } else {
+      const code = String(countryCode || '').replace(/\D/g, '');
+      if (!code) return '';
+      digits = code + digits.replace(/^0/, '');
+    }
+  }
+  return /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : '';
+}
+
+// The client a booking or waitlist entry belongs to: by its clientId, otherwise by contact details
+function findBookingClient(owner, { clientId, email, phone } = {}) {
+  return clientId && mongoose.Types.ObjectId.isValid(clientId)
+    ? Client.findOne({ _id: clientId, ownerId: owner._id })
+    : findClientByContact(owner, { email, phone });
+}
+
+// Email first; the phone only matches clients who have no email on file
+async function findClientByContact(owner, { email, phone }) {
+  const emailKey = normalizeClientEmail(email);
+  if (emailKey) {
+    const client = await Client.findOne({ ownerId: owner._id, $or: [{ email: emailKey }, { mergedEmails: emailKey }] });
+    if (client) return client;
+  }
+
+  const phoneKey = normalizeClientPhone(phone);
+  if (!phoneKey) return null;
+  return Client.findOne({ ownerId: owner._id, phoneKey, ...(emailKey && { email: '' }) });
+}
+
+// Client id for a new or edited booking. First-time clients get a record; contact details
+// the record is still missing (a phone-only client now giving an email) are filled in.
+async function resolveBookingClientId(owner, { name, email, phone }, source = 'booking') {
+  const emailKey = normalizeClientEmail(email);
+  const phoneKey = normalizeClientPhone(phone);
+  if (!emailKey && !phoneKey) return null; // nothing to recognise them by next time
+
+  let client = await findClientByContact(owner, { email, phone });
+  if (!client) {
+    client = await Client.create({ ownerId: owner._id, name: name || emailKey || phone, email: emailKey, phone: phone || '', phoneKey, source });
+  } else if ((emailKey && !client.email) || (phoneKey && !client.phoneKey)) {
+    if (!client.email) client.email = emailKey;
+    if (!client.phoneKey && phoneKey) {
+      client.phone = phone;
+      client.phoneKey = phoneKey;
+    }
+    client.updatedAt = new Date();
+    await client.save();
+  }
+  return client._id.toString();
+}
+
+// Bookings with no client record yet: older ones, imports and those made by the shop's booking widget
+const UNLINKED_BOOKINGS_QUERY = { type: { $ne: 'blocked' }, clientId: { $in: [null, ''] }, anonymizedAt: { $exists: false } };
+
+// Links an owner's unlinked bookings to client records, creating clients as needed.
+// Never throws: callers still work with unlinked bookings.
+async function syncClientsFromBookings(owner, source = 'booking') {
+  try {
+    const BookingsCollection = mongoose.connection.useDb('bookingdb').collection('bookings');
+    const unlinked = BookingsCollection.find(
+      { clinicEmail: owner.email, ...UNLINKED_BOOKINGS_QUERY },
+      { projection: { id: 1, name: 1, email: 1, phone: 1, createdAt: 1 } }
+    ).sort({ date: 1, time: 1 });
+
+    const clients = await Client.find({ ownerId: owner._id });
+    const byEmail = new Map();
+    const byPhone = new Map(); // any client with this phone
+    const byPhoneOnly = new Map(); // clients with this phone and no email
+    const index = client => {
+      if (client.email) byEmail.set(client.email, client);
+      (client.mergedEmails || []).forEach(email => byEmail.set(email, client));
+      if (client.phoneKey && !byPhone.has(client.phoneKey)) byPhone.set(client.phoneKey, client);
+      if (client.phoneKey && !client.email) byPhoneOnly.set(client.phoneKey, client);
+      else if (client.phoneKey && byPhoneOnly.get(client.phoneKey) === client) byPhoneOnly.delete(client.phoneKey);
+    };
+    clients.forEach(index);
+
+    const newClients = [];
+    const changedClients = new Set();
+    const updates = [];
+    for await (const booking of unlinked) {
+      const emailKey = normalizeClientEmail(booking.email);
+      const phoneKey = normalizeClientPhone(booking.phone);
+      if (!emailKey && !phoneKey) continue;
+
+      let client = emailKey
+        ? byEmail.get(emailKey) || (phoneKey && byPhoneOnly.get(phoneKey))
+        : byPhone.get(phoneKey);
+      if (!client) {
+        client = new Client({
+          ownerId: owner._id,
+          name: booking.name || emailKey || booking.phone,
+          email: emailKey,
+          phone: booking.phone || '',
+          phoneKey,
+          source,
+          createdAt: booking.createdAt || new Date()
+        });
+        newClients.push(client);
+      } else if ((emailKey && !client.email) || (phoneKey && !client.phoneKey)) {
+        if (!client.email) client.email = emailKey;
+        if (!client.phoneKey && phoneKey) {
+          client.phone = booking.phone;
+          client.phoneKey = phoneKey;
+        }
+        client.updatedAt = new Date();
+        if (!client.isNew) changedClients.add(client);
+      }
+      index(client);
+
+      updates.push({
+        updateOne: {
+          filter: { id: booking.id, clinicEmail: owner.email },
+          update: { $set: { clientId: client._id.toString() } }
+        }
+      });
+    }
+
+    if (updates.length === 0) return 0;
+    if (newClients.length > 0) await Client.insertMany(newClients);
+    for (const client of changedClients) await client.save();
+    for (let i = 0; i < updates.length; i += 1000) {
+      await BookingsCollection.bulkWrite(updates.slice(i, i + 1000));
+    }
+
+    console.log(`[CLIENTS] Linked ${updates.length} bookings (${newClients.length} new clients) for ${owner.email}`);
+    return updates.length;
+  } catch (error) {
+    console.error('[CLIENTS] Failed to link bookings to clients:', error.message);
+    return 0;
+  }
+}
+
+// Background job: links new booking-api bookings (and, on the first run, all older ones) for every
+// owner. Only owners that have unlinked bookings are visited, so a run is one query when all is linked.
+async function linkBookingsToClients() {
+  if (mongoose.connection.readyState !== 1) return;
+  try {
+    const BookingsCollection = mongoose.connection.useDb('bookingdb').collection('bookings');
+    const clinicEmails = await BookingsCollection.distinct('clinicEmail', {
+      ...UNLINKED_BOOKINGS_QUERY,
+      $or: [{ email: { $nin: [null, ''] } }, { phone: { $nin: [null, ''] } }]
+    });
+    for (const email of clinicEmails) {
+      const owner = await Owner.findOne({ email });
+      if (owner) await syncClientsFromBookings(owner);
+    }
+  } catch (error) {
+    console.error('[CLIENTS] Error linking bookings to clients:', error.message);
+  }
+}
+
+// Visits, last booking date, spend and balance owed per client id. Optional date range (YYYY-MM-DD).
+async function getClientBookingStats(owner, { clientIds = null, from = null, to = null } = {}) {
+  const BookingsCollection = mongoose.connection.useDb('bookingdb').collection('bookings');
+  const match = {
+    clinicEmail: owner.email,
+    type: { $ne: 'blocked' },
+    clientId: clientIds ? { $in: clientIds } : { $nin: [null, ''] }
+  };
+  if (from && to) match.date = { $gte: from, $lte: to };
+
+  const stats = await BookingsCollection.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$clientId',
+        totalBookings: { $sum: 1 },
+        completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+        cancelled: { $sum: { $cond: [{ $in: ['$status', ['cancelled', 'no-show']] }, 1, 0] } },
+        lastVisit: { $max: '$date' },
+        lifetimeSpend: { $sum: { $ifNull: ['$amountPaid', 0] } },
+        // Only completed visits leave a balance owed
+        outstanding: {
+          $sum: {
+            $cond: [
+              { $eq: ['$status', 'completed'] },
+              { $max: [{ $subtract: [{ $ifNull: ['$price', 0] }, { $ifNull: ['$amountPaid', 0] }] }, 0] },
+              0
+            ]
+          }
+        }
+      }
+    }
+  ]).toArray();
+
+  return new Map(stats.map(s => [s._id, {
+    ...s,
+    lifetimeSpend: Math.round(s.lifetimeSpend * 100) / 100,
+    outstanding: Math.round(s.outstanding * 100) / 100
+  }]));
+}
+
+// Duplicate clients: the same person booking through the widget and the dashboard often ends up
+// with two records - different email casing or +tags, phone formats or name spellings.
+const DUPLICATE_NAME_SIMILARITY = 0.85;
+const MAX_DUPLICATE_SUGGESTIONS = 100;
+
+// Same mailbox written differently: "+tag" suffixes and dots in Gmail addresses
+function getEmailMatchKey(email) {
+  const [local, domain] = normalizeClientEmail(email).split('@');
+  if (!local || !domain) return '';
+  const base = local.split('+')[0];
+  if (domain === 'gmail.com' || domain === 'googlemail.com') return base.replace(/\./g, '') + '@gmail.com';
+  return base + '@' + domain;
+}
+
+// Last 9 digits, so "+49 170 1234567" and "0170 1234567" match
+function getPhoneMatchKey(phone) {
+  const digits = normalizeClientPhone(phone);
+  return digits.length >= 8 ? digits.slice(-9) : '';
+}
+
+// "Müller, Anna" and "anna muller" both become "anna muller"
+function normalizeClientName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+}
+
+function levenshteinDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 1 for the same normalized name, towards 0 the more letters differ
+function getNameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  return 1 - levenshteinDistance(a, b) / Math.max(a.length, b.length);
+}
+
+// Likely duplicate pairs among an owner's clients, strongest first:
+// [{ a, b, reasons, confidence: 'high' (same email or phone) | 'possible' (similar name only) }]
+function findDuplicateClients(clients) {
+  const pairs = new Map();
+  const addReason = (a, b, reason, score) => {
+    if (a === b) return;
+    const [first, second] = a._id.toString() < b._id.toString() ? [a, b] : [b, a];
+    if ((first.notDuplicateOf || []).includes(second._id.toString())) return;
+    const key = first._id.toString() + ':' + second._id.toString();
+    const pair = pairs.get(key) || { a: first, b: second, reasons: [], score: 0 };
+    if (!pair.reasons.includes(reason)) pair.reasons.push(reason);
+    pair.score += score;
+    pairs.set(key, pair);
+  };
+
+  const groupBy = (keyOf, reason, score) => {
+    const groups = new Map();
+    clients.forEach(client => {
+      const key = keyOf(client);
+      if (!key) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(client);
+    });
+    groups.forEach(group => {
+      for (let i = 0; i < group.length; i++) {
+        for (let j = i + 1; j < group.length; j++) addReason(group[i], group[j], reason, score);
+      }
+    });
+  };
+  groupBy(c => getEmailMatchKey(c.email), 'same email', 2);
+  groupBy(c => getPhoneMatchKey(c.phone), 'same phone', 2);
+
+  // Names are only compared within the same first two letters, which keeps large client lists fast
+  const names = clients.map(client => ({ client, name: normalizeClientName(client.name) })).filter(n => n.name.length >= 3);
+  const blocks = new Map();
+  names.forEach(n => {
+    const key = n.name.slice(0, 2);
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(n);
+  });
+  blocks.forEach(block => {
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        if (Math.abs(block[i].name.length - block[j].name.length) > 3) continue;
+        const similarity = getNameSimilarity(block[i].name, block[j].name);
+        if (similarity === 1) addReason(block[i].client, block[j].client, 'same name', 1);
+        else if (similarity >= DUPLICATE_NAME_SIMILARITY) addReason(block[i].client, block[j].client, 'similar name', similarity);
+      }
+    }
+  });
+
+  return [...pairs.values()]
+    .map(pair => ({ ...pair, confidence: pair.reasons.includes('same email') || pair.reasons.includes('same phone') ? 'high' : 'possible' }))
+    .sort((x, y) => y.score - x.score)
+    .slice(0, MAX_DUPLICATE_SUGGESTIONS);
+}
+
+// Merges `merged` into `kept`: every booking of either client moves to `kept` with the chosen
+// contact details, the removed record is kept in ClientMerge, and its email still matches new bookings.
+async function mergeClients(owner, kept, merged, contact, actor, reasons = []) {
+  const BookingsCollection = mongoose.connection.useDb('bookingdb').collection('bookings');
+  const keptId = kept._id.toString();
+  const clientIds = [keptId, merged._id.toString()];
+
+  const bookings = await BookingsCollection.find({ clinicEmail: owner.email, clientId: { $in: clientIds } }).toArray();
+  const after = { clientId: keptId, ...contact };
+  if (bookings.length > 0) {
+    await BookingsCollection.updateMany(
+      { clinicEmail: owner.email, clientId: { $in: clientIds } },
+      { $set: { ...after, updatedAt: new Date() } }
+    );
+    await recordBookingHistory(owner, actor, 'merged', bookings.map(b => ({ before: b, after })));
+  }
+
+  const otherEmails = [kept.email, merged.email, ...(kept.mergedEmails || []), ...(merged.mergedEmails || [])]
+    .filter(email => email && email !== contact.email);
+  kept.set({
+    ...contact,
+    phoneKey: normalizeClientPhone(contact.phone),
+    mergedEmails: [...new Set(otherEmails)],
+    tags: [...new Set([...(kept.tags || []), ...(merged.tags || [])])],
+    notes: [kept.notes, merged.notes].filter(Boolean).join('\n\n'),
+    dateOfBirth: kept.dateOfBirth || merged.dateOfBirth,
+    language: kept.language || merged.language || '',
+    notifyBy: kept.notifyBy || merged.notifyBy || '',
+    notDuplicateOf: [...new Set([...(kept.notDuplicateOf || []), ...(merged.notDuplicateOf || [])])].filter(id => !clientIds.includes(id)),
+    createdAt: kept.createdAt < merged.createdAt ? kept.createdAt : merged.createdAt,
+    updatedAt: new Date()
+  });
+  // Consent given on either record still stands, unless either one unsubscribed
+  if (!kept.emailOptOut && merged.emailOptOut) {
+    kept.emailOptOut = true;
+    kept.emailOptOutAt = merged.emailOptOutAt;
+    kept.emailOptOutSource = merged.emailOptOutSource;
+  }
+  if (kept.emailOptOut) {
+    kept.marketingConsent = false;
+    kept.marketingConsentAt = null;
+  } else if (!kept.marketingConsent && merged.marketingConsent) {
+    kept.marketingConsent = true;
+    kept.marketingConsentAt = merged.marketingConsentAt;
+  }
+  await kept.save();
+
+  await ClientMerge.create({
+    ownerId: owner._id,
+    keptClientId: keptId,
+    mergedClient: merged.toObject(),
+    bookingIds: bookings.map(b => b.id),
+    contact,
+    reasons,
+    actor
+  });
+  await Client.deleteOne({ _id: merged._id, ownerId: owner._id });
+
+  console.log(`[CLIENTS] Merged client ${merged._id} into ${keptId} (${bookings.length} bookings) for ${owner.email}`);
+  return bookings.length;
+}
+
+// Client form from the list or profile page. Returns { error } or { fields }.
+function parseClientForm(body, owner) {
+  const name = (body.name || '').trim().slice(0, 100);
+  const email = normalizeClientEmail(body.email);
+  const phone = (body.phone || '').trim().slice(0, 30);
+  const dateOfBirth = (body.dateOfBirth || '').trim();
+
+  if (!name) return { error: 'Please enter the client\'s name' };
+  if (email && !validator.isEmail(email)) return { error: 'Please enter a valid email address' };
+  if (dateOfBirth && (!validator.isDate(dateOfBirth, { format: 'YYYY-MM-DD', strictMode: true }) || dateOfBirth > getTodayInTimezone(getOwnerTimezone(owner)))) {
+    return { error: 'Please enter a valid date of birth' };
+  }
+
+  const tags = [...new Set(String(body.tags || '').split(',').map(t => sanitizeInput(t.trim()).slice(0, 30)).filter(Boolean))].slice(0, 20);
+  const emailOptOut = body.emailOptOut === 'on' || body.emailOptOut === 'true';
+  return {
+    fields: {
+      name,
+      email,
+      phone,
+      phoneKey: normalizeClientPhone(phone),
+      tags,
+      notes: (sanitizeInput(body.notes) || '').slice(0, 5000),
+      dateOfBirth,
+      language: SUPPORTED_LOCALES.includes(body.language) ? body.language : '',
+      notifyBy: NOTIFICATION_PREFERENCES[body.notifyBy] ? body.notifyBy : '',
+      // Unsubscribing withdraws marketing consent too
+      marketingConsent: !emailOptOut && (body.marketingConsent === 'on' || body.marketingConsent === 'true'),
+      emailOptOut
+    }
+  };
+}
+
+// ============================================
+// EMAIL PREFERENCE HELPERS (unsubscribe from non-essential email)
+// ============================================
+
+// Reminders, review requests and marketing stop for clients who opt out;
+// confirmations, changes and cancellations of their bookings are always sent.
+
+function signUnsubscribePayload(payload) {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update('unsubscribe:' + payload).digest('base64url').slice(0, 32);
+}
+
+// Signed link token for one email address at one business; it never expires
+function getUnsubscribeToken(owner, email) {
+  const payload = Buffer.from(`${owner._id}:${normalizeClientEmail(email)}`).toString('base64url');
+  return payload + '.' + signUnsubscribePayload(payload);
+}
+
+// { ownerId, email } for a valid token, otherwise null
+function readUnsubscribeToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = signUnsubscribePayload(payload);
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  const decoded = Buffer.from(payload, 'base64url').toString('utf8');
+  const separator = decoded.indexOf(':');
+  const ownerId = decoded.slice(0, separator);
+  const email = decoded.slice(separator + 1);
+  if (separator < 0 || !mongoose.Types.ObjectId.isValid(ownerId) || !email) return null;
+  return { ownerId, email };
+}
+
+function getUnsubscribeUrl(owner, email) {
+  return `${process.env.APP_URL || 'https://dashboard.buildhaze.com'}/unsubscribe/${getUnsubscribeToken(owner, email)}`;
+}
+
+// RFC 8058 one-click unsubscribe headers for the email payload
+function getUnsubscribeHeaders(owner, email) {
+  return {
+    'List-Unsubscribe': `<${getUnsubscribeUrl(owner, email)}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+}
+
+async function isEmailOptedOut(owner, email) {
+  const emailKey = normalizeClientEmail(email);
+  if (!emailKey) return false;
+  return Boolean(await Client.exists({
+    ownerId: owner._id,
+    $or: [{ email: emailKey }, { mergedEmails: emailKey }],
+    emailOptOut: true
+  }));
+}
+
+// Opt a client in or out, creating their client record if they have none yet
+async function setEmailOptOut(owner, email, optOut, source) {
+  let client = await findClientByContact(owner, { email });
+  if (!client) {
+    await syncClientsFromBookings(owner);
+    client = await findClientByContact(owner, { email });
+  }
+  if (!client) {
+    client = new Client({ ownerId: owner._id, name: normalizeClientEmail(email), email: normalizeClientEmail(email), source: 'booking' });
+  }
+
+  if (client.emailOptOut !== optOut) {
+    client.emailOptOut = optOut;
+    client.emailOptOutAt = new Date();
+    client.emailOptOutSource = source;
+    if (optOut) {
+      client.marketingConsent = false;
+      client.marketingConsentAt = null;
+    }
+    client.updatedAt = new Date();
+    await client.save();
+    console.log(`[EMAIL] Client of ${owner.email} ${optOut ? 'unsubscribed' : 'resubscribed'} (${source})`);
+  }
+  return client;
+}
+
+// ============================================
+// CLIENT DATA REQUEST HELPERS (GDPR access and erasure)
+// ============================================
+
+// Booking fields that identify the client; cleared when a booking is anonymized
+const PERSONAL_BOOKING_FIELDS = ['name', 'email', 'phone', 'notes'];
+const ERASED_CLIENT_NAME = 'Erased client';
+
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Keyed so the log cannot be reversed by hashing a list of known emails
+function hashDataSubject(email) {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update(normalizeClientEmail(email)).digest('hex');
+}
+
+// The person a request is about: a client record (with every email it has used) or a bare email
+async function findDataSubject(owner, { clientId, email }) {
+  let client = null;
+  if (clientId && mongoose.Types.ObjectId.isValid(clientId)) {
+    client = await Client.findOne({ _id: clientId, ownerId: owner._id });
+  } else if (email) {
+    client = await Client.findOne({ ownerId: owner._id, $or: [{ email: normalizeClientEmail(email) }, { mergedEmails: normalizeClientEmail(email) }] });
+  }
+
+  const emails = [...new Set([client?.email, ...(client?.mergedEmails || []), normalizeClientEmail(email)].filter(Boolean))];
+  if (!client && emails.length === 0) return null;
+  return { client, clientId: client ? client._id.toString() : null, emails, primaryEmail: client?.email || emails[0] || '' };
+}
+
+// Everything held about a data subject, in one object
+async function collectDataSubjectRecords(owner, subject) {
+  const BookingsCollection = mongoose.connection.useDb('bookingdb').collection('bookings');
+  const emailPatterns = subject.emails.map(email => new RegExp('^' + escapeRegExp(email) + '$', 'i'));
+
+  const bookings = await BookingsCollection.find({
+    clinicEmail: owner.email,
+    type: { $ne: 'blocked' },
+    $or: [
+      ...(subject.clientId ? [{ clientId: subject.clientId }] : []),
+      ...(emailPatterns.length > 0 ? [{ email: { $in: emailPatterns } }] : [])
+    ]
+  }).sort({ date: 1, time: 1 }).toArray();
+  const bookingIds = bookings.map(b => b.id);
+
+  const reviews = (owner.reviews || []).filter(r =>
+    bookingIds.includes(r.bookingId) || subject.emails.includes(normalizeClientEmail(r.clientEmail))
+  );
+  const waitlist = subject.emails.length > 0
+    ? await WaitlistEntry.find({ ownerId: owner._id, clientEmail: { $in: subject.emails } }).lean()
+    : [];
+  const history = bookingIds.length > 0
+    ? await BookingHistory.find({ ownerId: owner._id, bookingId: { $in: bookingIds } }).sort({ createdAt: 1 }).lean()
+    : [];
+  const merges = await ClientMerge.find({
+    ownerId: owner._id,
+    $or: [
+      ...(subject.clientId ? [{ keptClientId: subject.clientId }] : []),
+      { 'mergedClient.email': { $in: subject.emails } }
+    ]
+  }).lean();
+
+  // Sent messages: emails by address, SMS and WhatsApp by phone number, and anything about their bookings
+  const phones = [...new Set([subject.client?.phone, ...bookings.map(b => b.phone)]
+    .map(phone => normalizePhoneE164(phone, owner.settings?.phoneCountryCode))
+    .filter(Boolean))];
+  const messageMatches = [
+    ...(emailPatterns.length > 0 ? [{ to: { $in: emailPatterns } }] : []),
+    ...(phones.length > 0 ? [{ to: { $in: phones } }] : []),
+    ...(bookingIds.length > 0 ? [{ bookingId: { $in: bookingIds } }] : [])
+  ];
+  const emails = messageMatches.length > 0
+    ? await EmailOutbox.find({ ownerId: owner._id, $or: messageMatches }).select('-payload').sort({ createdAt: 1 }).lean()
+    : [];
+
+  return { client: subject.client ? subject.client.toObject() : null, bookings, reviews, waitlist, history, merges, emails };
+}
+
+function countDataSubjectRecords(records) {
+  return {
+    client: records.client ? 1 : 0,
+    bookings: records.bookings.length,
+    reviews: records.reviews.length,
+    waitlist: records.waitlist.length,
+    history: records.history.length,
+    merges: records.merges.length,
+    emails: records.emails.length
+  };
+}
+
+// The export bundle; cancel and review tokens are left out as they work as passwords
+function buildDataSubjectExport(owner, subject, records) {
+  const omitTokens = ({ _id, cancelToken, reviewToken, ...rest }) => rest;
+  return {
+    exportedAt: new Date().toISOString(),
+    controller: { name: owner.clinicName || '', email: owner.email, phone: owner.clinicPhone || '', address: owner.clinicAddress || '' },
+    subject: { emails: subject.emails },
+    client: records.client && {
+      name: records.client.name,
+      email: records.client.email,
+      phone: records.client.phone,
+      tags: records.client.tags,
+      notes: records.client.notes,
+      dateOfBirth: records.client.dateOfBirth,
+      language: records.client.language || '',
+      notifyBy: records.client.notifyBy || '',
+      marketingConsent: records.client.marketingConsent,
+      marketingConsentAt: records.client.marketingConsentAt,
+      unsubscribedFromEmails: records.client.emailOptOut,
+      unsubscribedAt: records.client.emailOptOut ? records.client.emailOptOutAt : null,
+      otherEmails: records.client.mergedEmails,
+      createdAt: records.client.createdAt
+    },
+    bookings: records.bookings.map(omitTokens),
+    reviews: records.reviews.map(r => ({ bookingId: r.bookingId, rating: r.rating, comment: r.comment, service: r.service, isPublic: r.isPublic, createdAt: r.createdAt })),
+    waitlist: records.waitlist.map(({ _id, __v, ownerId, offer, ...rest }) => ({ ...rest, offer: offer && { date: offer.date, time: offer.time, service: offer.service, sentAt: offer.sentAt } })),
+    bookingHistory: records.history.map(({ _id, __v, ownerId, ...rest }) => rest),
+    clientMerges: records.merges.map(m => ({ mergedRecord: m.mergedClient, contact: m.contact, createdAt: m.createdAt })),
+    emailsSent: records.emails.map(e => ({ channel: e.channel || 'email', type: e.type, subject: e.subject, status: e.status, createdAt: e.createdAt, sentAt: e.sentAt }))
+  };
+}
+
+// Erases a data subject. 'anonymize' keeps bookings for the books (date, service, price, payments)
+// without anything identifying; 'delete' removes them. Reviews, waitlist entries, merge records,
+// sent messages and the client record are removed either way, and personal values are scrubbed from the history.
+async function eraseDataSubject(owner, records, mode) {
+  const BookingsCollection = mongoose.connection.useDb('bookingdb').collection('bookings');
+  const bookingIds = records.bookings.map(b => b.id);
+
+  if (bookingIds.length > 0) {
+    if (mode === 'delete') {
+      await BookingsCollection.deleteMany({ clinicEmail: owner.email, id: { $in: bookingIds } });
+      await BookingHistory.deleteMany({ ownerId: owner._id, bookingId: { $in: bookingIds } });
+    } else {
+      await BookingsCollection.updateMany(
+        { clinicEmail: owner.email, id: { $in: bookingIds } },
+        {
+          $set: { name: ERASED_CLIENT_NAME, email: '', phone: '', notes: '', clientId: null, anonymizedAt: new Date() },
+          $unset: { cancelToken: '', reviewToken: '' }
+        }
+      );
+      await BookingsCollection.updateMany(
+        { clinicEmail: owner.email, id: { $in: bookingIds }, 'payments.0': { $exists: true } },
+        { $set: { 'payments.$[].note': '' } }
+      );
+      await BookingHistory.updateMany(
+        { ownerId: owner._id, bookingId: { $in: bookingIds } },
+        { $set: { 'changes.$[c].before': null, 'changes.$[c].after': null } },
+        { arrayFilters: [{ 'c.field': { $in: PERSONAL_BOOKING_FIELDS } }] }
+      );
+      await BookingHistory.updateMany(
+        { ownerId: owner._id, bookingId: { $in: bookingIds }, 'actor.type': 'client' },
+        { $set: { 'actor.name': '' } }
+      );
+    }
+  }
+
+  if (records.reviews.length > 0) {
+    await Owner.updateOne({ _id: owner._id }, { $pull: { reviews: { _id: { $in: records.reviews.map(r => r._id) } } } });
+  }
+  if (records.waitlist.length > 0) {
+    await WaitlistEntry.deleteMany({ ownerId: owner._id, _id: { $in: records.waitlist.map(w => w._id) } });
+  }
+  if (records.merges.length > 0) {
+    await ClientMerge.deleteMany({ ownerId: owner._id, _id: { $in: records.merges.map(m => m._id) } });
+  }
+  if (records.emails.length > 0) {
+    await EmailOutbox.deleteMany({ ownerId: owner._id, _id: { $in: records.emails.map(e => e._id) } });
+  }
+  if (records.client) {
+    await Client.deleteOne({ _id: records.client._id, ownerId: owner._id });
+  }
+}
+
+async function logDataRequest(owner, subject, action, counts, actor) {
+  await DataRequestLog.create({
+    ownerId: owner._id,
+    action,
+    subjectHash: hashDataSubject(subject.primaryEmail || subject.clientId),
+    counts,
+    actor
+  });
+  console.log(`[PRIVACY] ${action} for a client of ${owner.email}: ${JSON.stringify(counts)}`);
+}
+
+// ============================================
+// PUBLIC BOOKING API HELPERS
+// ============================================
+
+// Longest date range one availability request may cover
+const MAX_AVAILABILITY_DAYS = 14;
+
+function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/&[a-z0-9#]+;/g, '-') // entities left by sanitizeInput
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50);
+}
+
+function isValidSlug(slug) {
+  return /^[a-z0-9][a-z0-9-]{1,48}[a-z0-9]$/.test(slug || '');
+}
+
+// A free slug for the owner's public API address, based on the business name
+async function generateOwnerSlug(owner) {
+  let base = slugify(owner.clinicName) || slugify(owner.email.split('@')[0]) || 'business';
+  if (base.length < 3) base = `${base}-booking`;
+
+  let slug = base;
+  for (let n = 2; await Owner.exists({ slug, _id: { $ne: owner._id } }); n++) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+}
+
+// Team members who could take a public booking: the one asked for, or - when every
+// booking needs a team member - everyone active who offers the service
+function getCandidateTeamMembers(owner, serviceName, member = null) {
+  if (member) return [member];
+  if (!owner.settings?.requireTeamMember) return [];
+  return (owner.teamMembers || []).filter(m => m.isActive !== false && isTeamMemberAllowedForService(owner, serviceName, m._id));
+}
+
+// First candidate who is free at date/time, or null
+async function findAvailableTeamMember(BookingsCollection, owner, candidates, date, time, serviceName = null) {
+  for (const member of candidates) {
+    const check = await checkTeamMemberAvailability(BookingsCollection, owner, member, date, time, serviceName);
+    if (check.available) return member;
+  }
+  return null;
+}
+
+// Start times a new booking can take on a date: not in the past, finished by closing time,
+// free capacity (closures included) and a free team member when one is needed.
+// Without a team member the business working days apply; with one, their own hours do.
+// Pass a calendar from loadCalendar when asking for several days, so they share two queries.
+async function getBookableSlots(BookingsCollection, owner, date, serviceName = null, member = null, calendar = null) {
+  const candidates = getCandidateTeamMembers(owner, serviceName, member);
+  if (owner.settings?.requireTeamMember && candidates.length === 0) return [];
+
+  const workingDays = owner.settings?.workingDays || [1, 2, 3, 4, 5];
+  if (candidates.length === 0 && !workingDays.includes(new Date(date + 'T00:00:00').getDay())) return [];
+
+  calendar = calendar || await loadCalendar(BookingsCollection, owner, date);
+  const service = findService(owner, serviceName);
+  const duration = service ? service.duration : getSlotMinutes(owner);
+  const closingMinutes = (owner.settings?.endHour ?? 17) * 60;
+
+  const slots = [];
+  for (const time of generateDaySlots(owner)) {
+    if (timeToMinutes(time) + duration > closingMinutes) continue;
+    if (getHoursUntilAppointment({ date, time }, owner) <= 0) continue;
+
+    if (!getSlotCapacity(owner, calendar, date, time, serviceName).available) continue;
+    if (candidates.length > 0 && !candidates.some(m => getTeamMemberAvailability(owner, calendar, m, date, time, serviceName).available)) continue;
+
+    slots.push(time);
+  }
+  return slots;
+}
+
+// ============================================
+// BOOKING IMPORT HELPERS
+// ============================================
+
+// Largest CSV the import wizard accepts in one go (the upload itself is capped at 2mb)
+const MAX_IMPORT_ROWS = 5000;
+
+// Fields a CSV column can be mapped to (labelled by importExport.fields.<key>), with the header names
+// other booking tools commonly use
+const IMPORT_FIELDS = [
+  { key: 'date', required: true, aliases: ['date', 'appointment date', 'booking date', 'start date', 'day', 'start'] },
+  { key: 'time', aliases: ['time', 'start time', 'appointment time', 'from'] },
+  { key: 'name', required: true, aliases: ['name', 'client', 'client name', 'customer', 'customer name', 'full name', 'patient', 'patient name'] },
+  { key: 'email', aliases: ['email', 'e-mail', 'email address', 'client email', 'customer email'] },
+  { key: 'phone', aliases: ['phone', 'telephone', 'mobile', 'phone number', 'cell'] },
+  { key: 'service', aliases: ['service', 'service name', 'treatment', 'appointment type', 'type'] },
+  { key: 'teamMember', aliases: ['team member', 'staff', 'staff member', 'employee', 'provider', 'practitioner'] },
+  { key: 'status', aliases: ['status', 'state'] },
+  { key: 'price', aliases: ['price', 'amount', 'total', 'fee'] },
+  { key: 'amountPaid', aliases: ['paid', 'amount paid', 'payment'] },
+  { key: 'notes', aliases: ['notes', 'note', 'comments', 'comment', 'remarks'] }
+];
+
+const IMPORT_DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY'];
+
+// Status words used by other tools; an empty status means completed for past dates, confirmed otherwise
+const IMPORT_STATUS_ALIASES = {
+  confirmed: 'confirmed', booked: 'confirmed', scheduled: 'confirmed', upcoming: 'confirmed',
+  pending: 'pending', unconfirmed: 'pending',
+  completed: 'completed', complete: 'completed', done: 'completed', attended: 'completed', finished: 'completed',
+  'no-show': 'no-show', 'no show': 'no-show', noshow: 'no-show', missed: 'no-show',
+  cancelled: 'cancelled', canceled: 'cancelled'
+};
+
+// RFC 4180 CSV: quoted fields may contain delimiters, doubled quotes and line breaks.
+// Semicolon-separated files (common from European spreadsheets) are detected from the header line.
+function parseCSV(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const headerLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// Column index per field, matched on header names
+function guessImportMapping(headers) {
+  const normalized = headers.map(h => h.trim().toLowerCase().replace(/[_\s]+/g, ' '));
+  const mapping = {};
+  const used = new Set();
+  for (const field of IMPORT_FIELDS) {
+    const index = normalized.findIndex((header, i) => !used.has(i) && field.aliases.includes(header));
+    if (index !== -1) {
+      mapping[field.key] = index;
+      used.add(index);
+    }
+  }
+  return mapping;
+}
+
+// Mapping chosen in the wizard (?mapping[date]=0&mapping[name]=2...); unknown fields and columns are dropped
+function parseImportMapping(input, columnCount) {
+  const mapping = {};
+  for (const field of IMPORT_FIELDS) {
+    const index = parseInt(input?.[field.key]);
+    if (Number.isInteger(index) && index >= 0 && index < columnCount) mapping[field.key] = index;
+  }
+  return mapping;
+}
+
+// "3/4/2024" in DD/MM/YYYY -> "2024-04-03"; null if it is not a real date
+function normalizeImportDate(value, format) {
+  const parts = String(value || '').trim().split(/[/.-]/);
+  const order = format.split(/[/.-]/);
+  if (parts.length !== 3 || parts.some(p => !/^\d+$/.test(p))) return null;
+
+  const byKey = {};
+  order.forEach((key, i) => { byKey[key] = parts[i].padStart(key.length, '0'); });
+  const date = `${byKey.YYYY}-${byKey.MM}-${byKey.DD}`;
+  return validator.isDate(date, { format: 'YYYY-MM-DD', strictMode: true }) ? date : null;
+}
+
+// "9:30", "09.30", "14:30:00" or "2:30 PM" -> "HH:MM"; null if it is not a valid time
+function normalizeImportTime(value) {
+  const match = String(value || '').trim().toUpperCase().match(/^(\d{1,2})[:.](\d{2})(?::\d{2})?\s*(AM|PM)?$/);
+  if (!match) return null;
+
+  let hours = parseInt(match[1]);
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (match[3] === 'PM' ? 12 : 0);
+  }
+  const time = `${String(hours).padStart(2, '0')}:${match[2]}`;
+  return validator.isTime(time) ? time : null;
+}
+
+// Amounts like "€45,00", "1.234,50" or "$1,234.50"
+function parseImportMoney(value) {
+  let text = String(value || '').replace(/[^\d.,-]/g, '');
+  const lastComma = text.lastIndexOf(',');
+  text = lastComma > text.lastIndexOf('.')
+    ? text.replace(/\./g, '').replace(',', '.')
+    : text.replace(/,/g, '');
+  return parseMoney(text);
+}
+
+// One record per data row: the booking it would create, or why it cannot be imported.
+// Warnings (e.g. an unknown team member) do not stop the row from being imported.
+function buildImportRecords(owner, rows, mapping, dateFormat) {
+  const today = getTodayInTimezone(getOwnerTimezone(owner));
+  const locale = getOwnerLocale(owner);
+  const problem = (key, vars) => translate(locale, `importExport.rowErrors.${key}`, vars);
+  const catalog = getServiceCatalog(owner);
+
+  return rows.map((row, index) => {
+    const cell = key => mapping[key] === undefined ? '' : String(row[mapping[key]] ?? '').trim();
+    const record = { row: index + 2, errors: [], warnings: [] }; // row 1 is the header
+
+    // Some tools put date and time in one column ("2024-03-01 14:30")
+    const [datePart, timeInDate] = cell('date').split(/[ T](?=\d)/);
+    const date = normalizeImportDate(datePart, dateFormat);
+    const timeText = mapping.time !== undefined ? cell('time') : timeInDate;
+    const time = normalizeImportTime(timeText);
+    if (!date) record.errors.push(problem('date', { value: cell('date'), format: dateFormat }));
+    if (!time) record.errors.push(timeText ? problem('time', { value: timeText }) : problem('noTime'));
+
+    const name = cell('name').slice(0, 100);
+    if (!name) record.errors.push(problem('noName'));
+
+    const email = cell('email').toLowerCase();
+    if (email && !validator.isEmail(email)) record.errors.push(problem('email', { value: email }));
+
+    const statusText = cell('status').toLowerCase();
+    const status = statusText ? IMPORT_STATUS_ALIASES[statusText] : (date && date < today ? 'completed' : 'confirmed');
+    if (!status) record.errors.push(problem('status', { value: cell('status') }));
+
+    const price = parseImportMoney(cell('price'));
+    const amountPaid = parseImportMoney(cell('amountPaid'));
+    if (cell('price') && price === null) record.errors.push(problem('price', { value: cell('price') }));
+    if (cell('amountPaid') && amountPaid === null) record.errors.push(problem('amountPaid', { value: cell('amountPaid') }));
+
+    // Services no longer offered keep their old name; they just take one slot
+    const serviceText = cell('service').slice(0, 100);
+    const service = catalog.find(s => s.name.toLowerCase() === serviceText.toLowerCase());
+    const serviceName = service ? service.name : serviceText || 'Appointment';
+
+    const memberText = cell('teamMember');
+    const member = memberText ? (owner.teamMembers || []).find(m => m.name.toLowerCase() === memberText.toLowerCase()) : null;
+    if (memberText && !member) record.warnings.push(problem('teamMember', { value: memberText }));
+
+    if (record.errors.length > 0) return record;
+
+    // Without a paid column, past visits are taken as settled in the old tool rather than flagged as owed
+    const paymentFields = getNewBookingPaymentFields(owner, serviceName, price);
+    const paid = mapping.amountPaid !== undefined ? amountPaid || 0 : (status === 'completed' ? paymentFields.price : 0);
+    record.booking = {
+      date,
+      time,
+      name,
+      email,
+      phone: cell('phone').slice(0, 30),
+      service: serviceName,
+      ...getServiceBookingFields(owner, serviceName),
+      ...paymentFields,
+      amountPaid: paid,
+      paymentStatus: getPaymentStatus({ ...paymentFields, amountPaid: paid }),
+      notes: cell('notes').slice(0, 2000),
+      type: 'booking',
+      status,
+      ...(status === 'cancelled' && { cancelledBy: 'import', slotFreed: true }),
+      teamMemberId: member ? member._id.toString() : null,
+      teamMemberName: member ? member.name : ''
+    };
+    return record;
+  });
+}
+
+// Dry run over the valid records, nothing is written. A duplicate is the same client at the same
+// date and time as an existing booking or an earlier row; a conflict is a slot that would be over
+// capacity (or, for future dates, closed).
+async function analyzeImportRecords(BookingsCollection, owner, records) {
+  const valid = records.filter(r => r.booking);
+  const dates = [...new Set(valid.map(r => r.booking.date))];
+  const existing = await BookingsCollection.find({ clinicEmail: owner.email, date: { $in: dates } }).toArray();
+
+  const clientKey = b => `${b.date}|${b.time}|${(b.email || b.name || '').toLowerCase()}`;
+  const seen = new Set(existing.filter(b => b.type !== 'blocked').map(clientKey));
+  const isActive = b => b.time && !['cancelled', 'no-show'].includes(getBookingStatus(b));
+  const activeByDate = new Map();
+  existing.filter(isActive).forEach(b => {
+    if (!activeByDate.has(b.date)) activeByDate.set(b.date, []);
+    activeByDate.get(b.date).push(b);
+  });
+
+  const slotsPerHour = owner.settings?.slotsPerHour || 1;
+  const today = getTodayInTimezone(getOwnerTimezone(owner));
+
+  for (const record of valid) {
+    const booking = record.booking;
+    if (seen.has(clientKey(booking))) {
+      record.duplicate = true;
+      continue;
+    }
+    seen.add(clientKey(booking));
+    if (!isActive(booking)) continue;
+
+    const start = timeToMinutes(booking.time);
+    const end = start + getOccupiedMinutes(owner, booking);
+    const dayBookings = activeByDate.get(booking.date) || [];
+    const taken = countBusiestSlot(owner, dayBookings, start, end);
+    if (taken >= slotsPerHour) {
+      record.conflict = describeUnavailableSlot({ taken, slotsPerHour });
+    } else if (booking.date >= today) {
+      const [closure] = await findClosures(owner, booking.date, start, end);
+      if (closure) record.conflict = describeUnavailableSlot({ closure });
+    }
+
+    if (!record.conflict) {
+      activeByDate.set(booking.date, [...dayBookings, booking]);
+    }
+  }
+  return records;
+}
+
+// Dry-run report for the wizard. Lists are capped so a badly mapped file does not produce a huge response.
+function summarizeImportRecords(records) {
+  const describe = r => ({ row: r.row, ...(r.booking && { date: r.booking.date, time: r.booking.time, name: r.booking.name }) });
+  const invalid = records.filter(r => r.errors.length > 0);
+  const duplicates = records.filter(r => r.duplicate);
+  const conflicts = records.filter(r => r.conflict);
+  const warnings = records.filter(r => r.booking && r.warnings.length > 0);
+  return {
+    total: records.length,
+    ready: records.filter(r => r.booking && !r.duplicate && !r.conflict).length,
+    invalidCount: invalid.length,
+    duplicateCount: duplicates.length,
+    conflictCount: conflicts.length,
+    invalid: invalid.slice(0, 100).map(r => ({ row: r.row, errors: r.errors })),
+    duplicates: duplicates.slice(0, 100).map(describe),
+    conflicts: conflicts.slice(0, 100).map(r => ({ ...describe(r), reason: r.conflict })),
+    warnings: warnings.slice(0, 100).map(r => ({ row: r.row, warnings: r.warnings }))
+  };
+}
+
+// ============================================
+// BOOKING EXPORT HELPERS
+// ============================================
+
+const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+
+// Columns of the booking export, the same for CSV, JSON and XLSX
+const BOOKING_EXPORT_COLUMNS = [
+  { key: 'id', header: 'Booking ID', width: 16, value: b => b.id },
+  { key: 'date', header: 'Date', width: 12, value: b => b.date },
+  { key: 'time', header: 'Time', width: 8, value: b => b.time },
+  { key: 'status', header: 'Status', width: 12, value: b => getBookingStatus(b) },
+  { key: 'service', header: 'Service', width: 24, value: b => b.service || '' },
+  { key: 'duration', header: 'Duration (min)', width: 10, value: b => b.duration ?? null },
+  { key: 'teamMember', header: 'Team Member', width: 18, value: b => b.teamMemberName || '' },
+  { key: 'name', header: 'Client Name', width: 24, value: b => b.type === 'blocked' ? '' : b.name },
+  { key: 'email', header: 'Email', width: 28, value: b => b.email || '' },
+  { key: 'phone', header: 'Phone', width: 16, value: b => b.phone || '' },
+  { key: 'price', header: 'Price', width: 10, value: b => b.price ?? null },
+  { key: 'depositAmount', header: 'Deposit', width: 10, value: b => b.depositAmount ?? null },
+  { key: 'amountPaid', header: 'Amount Paid', width: 10, value: b => b.amountPaid ?? null },
+  { key: 'outstanding', header: 'Outstanding', width: 10, value: b => b.type === 'blocked' ? null : getOutstandingBalance(b) },
+  { key: 'paymentStatus', header: 'Payment Status', width: 14, value: b => b.type === 'blocked' ? '' : b.paymentStatus || getPaymentStatus(b) },
+  { key: 'paymentMethod', header: 'Payment Method', width: 14, value: b => b.paymentMethod || '' },
+  { key: 'source', header: 'Source', width: 12, value: b => b.source || '' },
+  { key: 'seriesId', header: 'Series', width: 26, value: b => b.seriesId || '' },
+  { key: 'notes', header: 'Notes', width: 40, value: b => b.notes || '' },
+  { key: 'createdAt', header: 'Created', width: 22, value: b => b.createdAt ? new Date(b.createdAt).toISOString() : '' },
+  { key: 'cancelledAt', header: 'Cancelled', width: 22, value: b => b.cancelledAt ? new Date(b.cancelledAt).toISOString() : '' }
+];
+
+function bookingExportRow(booking) {
+  const row = {};
+  BOOKING_EXPORT_COLUMNS.forEach(column => { row[column.key] = column.value(booking); });
+  return row;
+}
+
+// Export filters (?from=&to=&service=&teamMemberId=&source=) as a bookings query.
+// Status is matched afterwards with getBookingStatus, since "blocked" and "confirmed" are not always stored as such.
+function buildBookingExportQuery(owner, filters) {
+  const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+  const query = { clinicEmail: owner.email };
+  if (isDate(filters.from) || isDate(filters.to)) {
+    query.date = {
+      ...(isDate(filters.from) && { $gte: filters.from }),
+      ...(isDate(filters.to) && { $lte: filters.to })
+    };
+  }
+  if (typeof filters.service === 'string' && filters.service) query.service = filters.service;
+  if (typeof filters.teamMemberId === 'string' && filters.teamMemberId) query.teamMemberId = filters.teamMemberId;
+  if (typeof filters.source === 'string' && filters.source) query.source = filters.source;
+  return query;
+}
+
+// ?status=completed,no-show -> ['completed', 'no-show']; empty means every status
+function parseExportStatuses(value) {
+  return [].concat(value || []).join(',').split(',').filter(status => BOOKING_TRANSITIONS[status]);
+}
+
+// RFC 4180 quoting, plus an apostrophe in front of text Excel would otherwise run as a formula
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^[+-]?[\d\s().-]+$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(values) {
+  return values.map(toCsvValue).join(',') + '\r\n';
+}
+
+// res.write that waits for the client to catch up, so a slow download doesn't buffer the whole export
+async function writeExportChunk(res, chunk) {
+  if (res.write(chunk)) return;
+  await new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// ============================================
+// SUPER ADMIN ROUTES
+// ============================================
+
+// Super Admin Login Page
+app.get('/super-admin/login', (req, res) => {
+  res.render('super-admin-login', { error: null });
+});
+
+// Super Admin Login (with rate limiting)
+app.post('/super-admin/login', authLimiter, (req, res) => {
+  const { email, password } = req.body;
+  
+  // Sanitize inputs
+  const sanitizedEmail = sanitizeInput(email);
+  
+  if (sanitizedEmail === process.env.SUPER_ADMIN_EMAIL && password === process.env.SUPER_ADMIN_PASSWORD) {
+    const token = jwt.sign({ role: 'super-admin', email: sanitizedEmail }, process.env.JWT_SECRET, { expiresIn: '24h' });
+    res.cookie('superToken', token, { 
+      httpOnly: true, 
+      secure: true,
+      sameSite: 'strict',
+      maxAge: 24 * 60 * 60 * 1000 // 24 hours
+    });
+    return res.redirect('/super-admin/dashboard');
+  }
+  
+  // Log failed login attempt
+  console.warn(`[SECURITY] Failed super-admin login attempt from ${req.ip} for email: ${sanitizedEmail}`);
+  res.render('super-admin-login', { error: 'Invalid credentials' });
+});
+
+// Super Admin Dashboard
+app.get('/super-admin/dashboard', authenticateSuperAdmin, async (req, res) => {
+  try {
+    const owners = await Owner.find().sort({ createdAt: -1 });
+    
+    // Get booking stats for each owner
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const BookingsCollection = bookingDb.collection('bookings');
+    
+    const ownerStats = await Promise.all(owners.map(async (owner) => {
+      const totalBookings = await BookingsCollection.countDocuments({ clinicEmail: owner.email });
+      const thisMonthStart = new Date();
+      thisMonthStart.setDate(1);
+      thisMonthStart.setHours(0, 0, 0, 0);
+      const monthlyBookings = await BookingsCollection.countDocuments({ 
+        clinicEmail: owner.email,
+        createdAt: { $gte: thisMonthStart }
+      });
+      return {
+        ...owner.toObject(),
+        totalBookings,
+        monthlyBookings
+      };
+    }));
+    
+    // Global stats
+    const totalBookingsAll = await BookingsCollection.countDocuments();
+    const activeOwners = owners.filter(o => o.status === 'active').length;
+    const pendingOwners = owners.filter(o => o.status === 'pending').length;
+    
+    res.render('super-admin-dashboard', { 
+      owners: ownerStats, 
+      stats: {
+        totalOwners: owners.length,
+        activeOwners,
+        pendingOwners,
+        totalBookings: totalBookingsAll
+      },
+      success: req.query.success,
+      error: req.query.error
+    });
+  } catch (error) {
+    console.error('Super admin dashboard error:', error);
+    res.render('super-admin-dashboard', { owners: [], stats: {}, error: error.message });
+  }
+});
+
+// Create Invitation
+app.post('/super-admin/invite', authenticateSuperAdmin, async (req, res) => {
+  try {
+    const { email, clinicName } = req.body;
+    
+    // Check if owner already exists
+    const existing = await Owner.findOne({ email: email.toLowerCase() });
+    if (existing) {
+      return res.redirect('/super-admin/dashboard?error=Email already exists');
+    }
+    
+    // Create invitation
+    const invitationCode = generateInvitationCode();
+    const owner = new Owner({
+      email: email.toLowerCase(),
+      clinicName: clinicName || '',
+      invitationCode,
+      status: 'pending'
+    });
+    
+    await owner.save();
+    
+    // Send invitation email
+    await sendInvitationEmail(email, invitationCode, clinicName);
+    
+    res.redirect('/super-admin/dashboard?success=Invitation sent to ' + email);
+  } catch (error) {
+    console.error('Invite error:', error);
+    res.redirect('/super-admin/dashboard?error=' + error.message);
+  }
+});
+
+// Ghost Mode - View dashboard as owner
+app.get('/super-admin/ghost/:id', authenticateSuperAdmin, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.params.id);
+    if (!owner || owner.status !== 'active') {
+      return res.redirect('/super-admin/dashboard?error=Owner not found or not active');
+    }
+    
+    // Create a temporary token for ghost mode
+    const ghostToken = jwt.sign(
+      { id: owner._id, email: owner.email, ghost: true },
+      process.env.JWT_SECRET || 'your-secret-key',
+      { expiresIn: '1h' }
+    );
+    
+    res.cookie('token', ghostToken, { httpOnly: true, secure: process.env.NODE_ENV === 'production' });
+    res.redirect('/dashboard?ghost=true&owner=' + encodeURIComponent(owner.clinicName || owner.email));
+  } catch (error) {
+    console.error('Ghost mode error:', error);
+    res.redirect('/super-admin/dashboard?error=' + error.message);
+  }
+});
+
+// Delete Owner
+app.post('/super-admin/delete/:id', authenticateSuperAdmin, async (req, res) => {
+  try {
+    await Owner.findByIdAndDelete(req.params.id);
+    res.redirect('/super-admin/dashboard?success=Owner deleted successfully');
+  } catch (error) {
+    console.error('Delete error:', error);
+    res.redirect('/super-admin/dashboard?error=' + error.message);
+  }
+});
+
+// Resend Invitation
+app.post('/super-admin/resend/:id', authenticateSuperAdmin, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.params.id);
+    if (!owner) {
+      return res.redirect('/super-admin/dashboard?error=Owner not found');
+    }
+    
+    // Generate new invitation code
+    const newCode = generateInvitationCode();
+    owner.invitationCode = newCode;
+    await owner.save();
+    
+    // Send new invitation email
+    await sendInvitationEmail(owner.email, newCode, owner.clinicName);
+    
+    res.redirect('/super-admin/dashboard?success=Invitation resent to ' + owner.email);
+  } catch (error) {
+    console.error('Resend error:', error);
+    res.redirect('/super-admin/dashboard?error=' + error.message);
+  }
+});
+
+// Super Admin Logout
+app.get('/super-admin/logout', (req, res) => {
+  res.clearCookie('superToken');
+  res.redirect('/super-admin/login');
+});
+
+// ============================================
+// OWNER REGISTRATION & AUTH ROUTES
+// ============================================
+
+// Register Page (with invitation code)
+app.get('/register', async (req, res) => {
+  const { code } = req.query;
+  
+  if (!code) {
+    return res.render('register', { error: 'Invalid invitation link', owner: null });
+  }
+  
+  try {
+    const owner = await Owner.findOne({ invitationCode: code, status: 'pending' });
+    if (!owner) {
+      return res.render('register', { error: 'Invalid or expired invitation', owner: null });
+    }
+    
+    res.render('register', { error: null, owner, code });
+  } catch (error) {
+    res.render('register', { error: 'Something went wrong', owner: null });
+  }
+});
+
+// Register Submit (with security)
+app.post('/register', authLimiter, async (req, res) => {
+  const { code, password, confirmPassword, clinicName, clinicPhone, clinicAddress, websiteUrl } = req.body;
+  
+  // Input validation
+  if (!code || !password || !confirmPassword) {
+    return res.render('register', { error: 'All fields are required', owner: null });
+  }
+  
+  try {
+    const owner = await Owner.findOne({ invitationCode: code, status: 'pending' });
+    if (!owner) {
+      console.warn(`[SECURITY] Invalid registration attempt with code from ${req.ip}`);
+      return res.render('register', { error: 'Invalid invitation', owner: null });
+    }
+    
+    if (password !== confirmPassword) {
+      return res.render('register', { error: 'Passwords do not match', owner, code });
+    }
+    
+    // Strong password validation
+    if (password.length < 8) {
+      return res.render('register', { error: 'Password must be at least 8 characters', owner, code });
+    }
+    
+    if (!/[A-Z]/.test(password) || !/[a-z]/.test(password) || !/[0-9]/.test(password)) {
+      return res.render('register', { error: 'Password must contain uppercase, lowercase, and numbers', owner, code });
+    }
+    
+    // Hash password with higher cost factor
+    const hashedPassword = await bcrypt.hash(password, 12);
+    owner.password = hashedPassword;
+    owner.status = 'active';
+    owner.invitationCode = null;
+    owner.clinicName = sanitizeInput(clinicName) || owner.clinicName;
+    owner.clinicEmail = owner.email;
+    owner.clinicPhone = sanitizeInput(clinicPhone) || '';
+    owner.clinicAddress = sanitizeInput(clinicAddress) || '';
+    owner.websiteUrl = sanitizeInput(websiteUrl) || '';
+    owner.slug = owner.slug || await generateOwnerSlug(owner);
+    
+    await owner.save();
+    
+    // Auto-login with secure cookie
+    const token = jwt.sign({ id: owner._id, email: owner.email }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    res.cookie('token', token, { 
+      httpOnly: true, 
+      secure: true,
+      sameSite: 'strict',
+      maxAge: 7 * 24 * 60 * 60 * 1000
+    });
+    
+    console.log(`[AUTH] New owner registered: ${owner.email} from ${req.ip}`);
+    res.redirect('/dashboard');
+  } catch (error) {
+    console.error(`[ERROR] Registration error: ${error.message}`);
+    res.render('register', { error: error.message, owner: null });
+  }
+});
+
+// Login Page
+app.get('/login', (req, res) => {
+  res.render('login', { error: null });
+});
+
+// Login Submit (with rate limiting and security)
+app.post('/login', authLimiter, async (req, res) => {
+  const { email, password } = req.body;
+  
+  // Input validation
+  if (!email || !password) {
+    return res.render('login', { error: 'Email and password are required' });
+  }
+  
+  // Sanitize email
+  const sanitizedEmail = email.toLowerCase().trim();
+  
+  try {
+    const owner = await Owner.findOne({ email: sanitizedEmail, status: 'active' });
+    if (!owner) {
+      console.warn(`[SECURITY] Failed login attempt from ${req.ip} for email: ${sanitizedEmail}`);
+      return res.render('login', { error: 'Invalid email or password' });
+    }
+    
+    const validPassword = await bcrypt.compare(password, owner.password);
+    if (!validPassword) {
+      console.warn(`[SECURITY] Failed login attempt from ${req.ip} for email: ${sanitizedEmail}`);
+      return res.render('login', { error: 'Invalid email or password' });
+    }
+    
+    const token = jwt.sign({ id: owner._id, email: owner.email }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    res.cookie('token', token, { 
+      httpOnly: true, 
+      secure: true,
+      sameSite: 'strict',
+      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+    });
+    
+    console.log(`[AUTH] Successful login for ${sanitizedEmail} from ${req.ip}`);
+    res.redirect('/dashboard');
+  } catch (error) {
+    console.error(`[ERROR] Login error: ${error.message}`);
+    res.render('login', { error: 'Something went wrong' });
+  }
+});
+
+// Logout
+app.get('/logout', (req, res) => {
+  res.clearCookie('token');
+  res.redirect('/login');
+});
+
+// ============================================
+// DASHBOARD ROUTES (Protected)
+// ============================================
+
+// Dashboard Home - Fetches bookings from booking-api's collection
+app.get('/dashboard', authenticateToken, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    
+    // Get bookings from the shared bookingdb collection (same as booking-api)
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const BookingsCollection = bookingDb.collection('bookings');
+    
+    const shopifyBookings = await BookingsCollection.find({ 
+      clinicEmail: owner.email
+    }).sort({ date: -1, time: -1 }).toArray();
+    
+    // Sort all bookings by date/time descending
+    const allBookings = shopifyBookings.sort((a, b) => {
+      const dateA = new Date(a.date + 'T' + a.time);
+      const dateB = new Date(b.date + 'T' + b.time);
+      return dateB - dateA;
+    });
+    
+    // Calculate stats for new dashboard ("today" in the owner's timezone)
+    const timezone = getOwnerTimezone(owner);
+    const today = getTodayInTimezone(timezone);
+    const todayBookings = allBookings.filter(b => b.date === today && b.status !== 'cancelled');
+    const completedBookings = allBookings.filter(b => b.status === 'completed').length;
+    const pendingBookings = allBookings.filter(b => !b.status || b.status === 'pending' || b.status === 'confirmed').length;
+    
+    const uniqueClients = await Client.countDocuments({ ownerId: owner._id });
+    
+    // Use old UI by default
+    res.render('dashboard', {
+      owner,
+      bookings: allBookings,
+      success: req.query.success,
+      today,
+      nowTime: getNowTimeInTimezone(timezone),
+      timezone,
+      statusTransitions: BOOKING_TRANSITIONS,
+      whatsappLink: booking => getWhatsAppLink(owner, booking)
+    });
+  } catch (error) {
+    console.error('Dashboard error:', error);
+    res.render('dashboard', { owner: null, bookings: [], error: error.message, today: getTodayInTimezone('UTC'), nowTime: getNowTimeInTimezone('UTC'), timezone: 'UTC', statusTransitions: BOOKING_TRANSITIONS });
+  }
+});
+
+// Add Manual Booking Page
+app.get('/dashboard/add-booking', authenticateToken, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    // Calendar "+ Add Booking" links pass ?date=&time= to prefill the form
+    res.render('add-booking', { owner, error: null, formData: { date: getTodayInTimezone(getOwnerTimezone(owner)), ...req.query } });
+  } catch (error) {
+    res.redirect('/dashboard');
+  }
+});
+
+// Add Manual Booking Submit - Saves to bookingdb for Shopify sync
+app.post('/dashboard/add-booking', authenticateToken, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    const { date, time, name, email, phone, service, notes, type, repeat } = req.body;
+    
+    // Get bookingdb collection
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const BookingsCollection = bookingDb.collection('bookings');
+    
+    // Expand a recurring booking into one date per occurrence
+    let occurrenceDates = [date];
+    if (repeat && repeat !== 'none') {
+      const hasEnd = (req.body.repeatEnd === 'until' && req.body.repeatUntil) ||
+                     (req.body.repeatEnd === 'count' && parseInt(req.body.repeatCount) > 0);
+      if (!['daily', 'weekly', 'weeks', 'monthly'].includes(repeat) || !hasEnd) {
+        return res.render('add-booking', {
+          owner,
+          formData: req.body,
+          error: 'Please choose how often the booking repeats and when the series ends.'
+        });
+      }
+
+      occurrenceDates = buildRecurrenceDates(date, {
+        frequency: repeat,
+        interval: req.body.repeatInterval,
+        until: req.body.repeatEnd === 'until' ? req.body.repeatUntil : null,
+        count: req.body.repeatEnd === 'count' ? req.body.repeatCount : null
+      }, owner.settings?.workingDays || [1, 2, 3, 4, 5]);
+
+      if (occurrenceDates.length > MAX_SERIES_OCCURRENCES) {
+        return res.render('add-booking', {
+          owner,
+          formData: req.body,
+          error: `A recurring series can have at most ${MAX_SERIES_OCCURRENCES} appointments. Please choose an earlier end date or fewer occurrences.`
+        });
+      }
+    }
+    
+    // Check every occurrence for double-booking (slot already taken) before saving anything
+    const conflicts = [];
+    for (const occurrenceDate of occurrenceDates) {
+      const capacity = await checkSlotCapacity(BookingsCollection, owner, occurrenceDate, time, null, type === 'blocked' ? null : service);
+      if (!capacity.available) {
+        conflicts.push({ date: occurrenceDate, ...capacity });
+      }
+    }
+
+    if (conflicts.length > 0) {
+      const error = occurrenceDates.length === 1
+        ? `This time slot is not available (${describeUnavailableSlot(conflicts[0])}). Please choose another time.`
+        : `${conflicts.length} of ${occurrenceDates.length} appointments in this series are not available at ${time}: ` +
+          conflicts.map(c => `${c.date} (${describeUnavailableSlot(c)})`).join(', ') +
+          '. Nothing was saved.';
+      return res.render('add-booking', { owner, formData: req.body, error });
+    }
+    
+    // Get team member info if selected
+    const teamMemberId = req.body.teamMemberId || null;
+    let teamMemberName = '';
+    if (teamMemberId && owner.teamMembers) {
+      const member = owner.teamMembers.find(m => m._id.toString() === teamMemberId);
+      if (member) teamMemberName = member.name;
+    }
+    
+    if (type !== 'blocked' && !isTeamMemberAllowedForService(owner, service, teamMemberId)) {
+      return res.render('add-booking', {
+        owner,
+        formData: req.body,
+        error: `${teamMemberName || 'This team member'} does not offer ${service}. Please choose another team member.`
+      });
+    }
+    
+    if (type !== 'blocked' && owner.settings?.requireTeamMember && !teamMemberName) {
+      return res.render('add-booking', { owner, formData: req.body, error: 'Please choose a team member for this booking.' });
+    }
+    
+    // The team member has to be working and free for every occurrence
+    const member = type !== 'blocked' ? findTeamMember(owner, teamMemberId) : null;
+    if (member) {
+      const unavailable = [];
+      for (const occurrenceDate of occurrenceDates) {
+        const check = await checkTeamMemberAvailability(BookingsCollection, owner, member, occurrenceDate, time, service);
+        if (!check.available) unavailable.push(check.reason);
+      }
+      if (unavailable.length > 0) {
+        return res.render('add-booking', {
+          owner,
+          formData: req.body,
+          error: unavailable.join('. ') + '. Nothing was saved.'
+        });
+      }
+    }
+    
+    // Occurrences of a recurring booking share a seriesId
+    const seriesId = occurrenceDates.length > 1 ? crypto.randomBytes(12).toString('hex') : null;
+    const baseId = Date.now();
+    const clientId = type !== 'blocked' ? await resolveBookingClientId(owner, { name, email, phone }, 'dashboard') : null;
+
+    const bookings = occurrenceDates.map((occurrenceDate, index) => ({
+      id: baseId + index,
+      date: occurrenceDate,
+      time,
+      name: type === 'blocked' ? 'BLOCKED' : name,
+      email: type === 'blocked' ? '' : email,
+      phone: type === 'blocked' ? '' : phone,
+      clientId,
+      service: type === 'blocked' ? 'Blocked Slot' : service,
+      ...(type !== 'blocked' && getServiceBookingFields(owner, service)),
+      ...(type !== 'blocked' && getNewBookingPaymentFields(owner, service, parseMoney(req.body.price))),
+      notes: notes || '',
+      type: type || 'booking',
+      status: 'confirmed',
+      cancelToken: crypto.randomBytes(16).toString('hex'),
+      clinicName: owner.clinicName,
+      clinicEmail: owner.email,
+      clinicPhone: owner.clinicPhone,
+      clinicAddress: owner.clinicAddress,
+      websiteUrl: owner.websiteUrl,
+      teamMemberId: teamMemberId,
+      teamMemberName: teamMemberName,
+      ...(seriesId && {
+        seriesId,
+        seriesIndex: index,
+        seriesTotal: occurrenceDates.length,
+        recurrence: repeat
+      }),
+      createdAt: new Date(),
+      source: 'dashboard'
+    }));
+    
+    await BookingsCollection.insertMany(bookings);
+    await recordBookingHistory(owner, getRequestActor(req), 'created', bookings.map(b => ({ before: null, after: b })));
+    
+    // Confirm to the client (if not a blocked slot) - one message listing every appointment of a series
+    if (type !== 'blocked' && (email || phone)) {
+      await sendBookingNotification('confirmation', bookings[0], owner, { series: seriesId ? bookings : null });
+    }
+    
+    const message = seriesId
+      ? `Recurring booking added (${bookings.length} appointments)`
+      : 'Booking added successfully';
+    res.redirect('/dashboard?success=' + encodeURIComponent(message));
+  } catch (error) {
+    console.error('Add booking error:', error);
+    const owner = await Owner.findById(req.owner.id);
+    res.render('add-booking', { owner, formData: req.body, error: error.message });
+  }
+});
+
+// Cancel Booking - Marks as cancelled (doesn't delete) and frees slot if 6+ hours before
+app.post('/dashboard/cancel-booking/:id', authenticateToken, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    const bookingId = parseInt(req.params.id);
+    
+    // Get the booking first
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const BookingsCollection = bookingDb.collection('bookings');
+    const booking = await BookingsCollection.findOne({ id: bookingId, clinicEmail: owner.email });
+    
+    if (!booking) {
+      return res.redirect('/dashboard?error=Booking not found');
+    }
+    
+    const transitionError = checkStatusTransition(booking, 'cancelled');
+    if (transitionError) {
+      return res.redirect('/dashboard?error=' + encodeURIComponent(transitionError));
+    }
+    
+    // Check if cancellation is 6+ hours before appointment
+    const hoursUntilAppointment = getHoursUntilAppointment(booking, owner);
+
+    // Mark as cancelled (slot freed if 6+ hours before)
+    const updateData = {
+      status: 'cancelled',
+      cancelledAt: new Date(),
+      cancelledBy: 'owner',
+      slotFreed: hoursUntilAppointment >= SLOT_RELEASE_HOURS,
+      inviteSequence: nextInviteSequence(booking)
+    };
+    
+    await BookingsCollection.updateOne(
+      { id: bookingId, clinicEmail: owner.email },
+      { $set: updateData }
+    );
+    await recordBookingHistory(owner, getRequestActor(req), 'cancelled', [{ before: booking, after: updateData }]);
+    
+    // "This and following" also cancels the later appointments of a recurring series
+    let followingCancelled = 0;
+    let cancelledSeries = null;
+    if (req.body.scope === 'following' && booking.seriesId) {
+      const following = (await findFollowingInSeries(BookingsCollection, owner, booking))
+        .filter(b => b.id !== bookingId);
+      const updates = following.map(b => ({
+        before: b,
+        after: {
+          status: 'cancelled',
+          cancelledAt: new Date(),
+          cancelledBy: 'owner',
+          slotFreed: getHoursUntilAppointment(b, owner) >= SLOT_RELEASE_HOURS,
+          inviteSequence: nextInviteSequence(b)
+        }
+      }));
+
+      if (updates.length > 0) {
+        await BookingsCollection.bulkWrite(updates.map(u => ({
+          updateOne: {
+            filter: { id: u.before.id, clinicEmail: owner.email },
+            update: { $set: u.after }
+          }
+        })));
+        await recordBookingHistory(owner, getRequestActor(req), 'cancelled', updates);
+      }
+      followingCancelled = following.length;
+      cancelledSeries = [{ ...booking, ...updateData }, ...updates.map(u => ({ ...u.before, ...u.after }))];
+      
+      for (const b of following) {
+        if (b.type !== 'blocked' && getHoursUntilAppointment(b, owner) >= SLOT_RELEASE_HOURS) {
+          await offerSlotToWaitlist(owner, waitlistSlotFromBooking(b));
+        }
+      }
+    }
+    
+    // Tell the client - one message listing every cancelled appointment of the series
+    if (booking.email || booking.phone) {
+      await sendBookingNotification('cancellation', { ...booking, ...updateData }, owner, { series: cancelledSeries });
+    }
+    
+    // A freed slot goes straight to the first matching client on the waitlist
+    if (updateData.slotFreed && booking.type !== 'blocked') {
+      await offerSlotToWaitlist(owner, waitlistSlotFromBooking(booking));
+    }
+    
+    const locale = getOwnerLocale(owner);
+    let message = hoursUntilAppointment >= SLOT_RELEASE_HOURS
+      ? translate(locale, 'dashboard.messages.cancelled')
+      : translate(locale, 'dashboard.messages.cancelledSlotKept', { hours: SLOT_RELEASE_HOURS });
+    if (followingCancelled > 0) {
+      message = translate(locale, 'dashboard.messages.seriesCancelled', { message, count: followingCancelled });
+    }
+    
+    res.redirect('/dashboard?success=' + encodeURIComponent(message));
+  } catch (error) {
+    console.error('Cancel booking error:', error);
+    res.redirect('/dashboard?error=' + error.message);
+  }
+});
+
+// Send Reminder to Client (by email, SMS or WhatsApp, as they get booking messages)
+app.post('/dashboard/send-reminder/:id', authenticateToken, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    const bookingId = parseInt(req.params.id);
+    
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const BookingsCollection = bookingDb.collection('bookings');
+    const booking = await BookingsCollection.findOne({ id: bookingId, clinicEmail: owner.email });
+    
+    if (!booking) {
+      return res.redirect('/dashboard?error=Booking not found');
+    }
+    
+    if (!['pending', 'confirmed'].includes(getBookingStatus(booking))) {
+      return res.redirect('/dashboard?error=' + encodeURIComponent(`Reminders can only be sent for upcoming bookings, this one is ${getBookingStatus(booking)}`));
+    }
+    
+    const channels = await getBookingNotificationChannels(owner, booking);
+    if (channels.length === 1 && channels[0] === 'email') {
+      if (!booking.email) {
+        return res.redirect('/dashboard?error=No email address for this booking');
+      }
+      if (await isEmailOptedOut(owner, booking.email)) {
+        return res.redirect('/dashboard?error=' + encodeURIComponent(`${booking.name} has unsubscribed from reminder emails`));
+      }
+    }
+    
+    const sentBy = await sendBookingNotification('reminder', booking, owner);
+    if (sentBy.length === 0) {
+      return res.redirect('/dashboard?error=' + encodeURIComponent(`The reminder could not be sent to ${booking.name}`));
+    }
+    
+    // Mark that reminder was sent
+    const reminderUpdate = { reminderSent: true, reminderSentAt: new Date() };
+    await BookingsCollection.updateOne(
+      { id: bookingId },
+      { $set: reminderUpdate }
+    );
+    await recordBookingHistory(owner, getRequestActor(req), 'reminder-sent', [{ before: booking, after: reminderUpdate }]);
+    
+    res.redirect('/dashboard?success=' + encodeURIComponent(`Reminder sent to ${booking.name} by ${sentBy.map(c => NOTIFICATION_CHANNEL_LABELS[c]).join(' and ')}`));
+  } catch (error) {
+    console.error('Send reminder error:', error);
+    res.redirect('/dashboard?error=' + error.message);
+  }
+});
+
+// Mark booking as no-show
+app.post('/dashboard/no-show/:id', authenticateToken, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    const bookingId = parseInt(req.params.id);
+    
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const BookingsCollection = bookingDb.collection('bookings');
+    
+    const booking = await BookingsCollection.findOne({ id: bookingId, clinicEmail: owner.email });
+    if (!booking) {
+      return res.redirect('/dashboard?error=Booking not found');
+    }
+    
+    const transitionError = checkStatusTransition(booking, 'no-show');
+    if (transitionError) {
+      return res.redirect('/dashboard?error=' + encodeURIComponent(transitionError));
+    }
+    
+    const updateData = { status: 'no-show', markedAt: new Date() };
+    await BookingsCollection.updateOne(
+      { id: bookingId, clinicEmail: owner.email },
+      { $set: updateData }
+    );
+    await recordBookingHistory(owner, getRequestActor(req), 'no-show', [{ before: booking, after: updateData }]);
+    
+    res.redirect('/dashboard?success=Marked as no-show');
+  } catch (error) {
+    res.redirect('/dashboard?error=' + error.message);
+  }
+});
+
+// AI Assistant Page (placeholder)
+app.get('/ai-assistant', authenticateToken, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    res.render('ai-assistant', { owner });
+  } catch (error) {
+    res.redirect('/dashboard?error=AI Assistant not available');
+  }
+});
+
+// Mark booking as completed and send review request
+app.post('/dashboard/complete/:id', authenticateToken, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    const bookingId = parseInt(req.params.id);
+    
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const BookingsCollection = bookingDb.collection('bookings');
+    
+    const booking = await BookingsCollection.findOne({ id: bookingId, clinicEmail: owner.email });
+    if (!booking) {
+      return res.redirect('/dashboard?error=Booking not found');
+    }
+    
+    // A cancelled booking or a blocked slot must never get a review request
+    const transitionError = checkStatusTransition(booking, 'completed');
+    if (transitionError) {
+      return res.redirect('/dashboard?error=' + encodeURIComponent(transitionError));
+    }
+    
+    // Generate review token
+    const reviewToken = require('crypto').randomBytes(32).toString('hex');
+    
+    const updateData = { status: 'completed', completedAt: new Date(), reviewToken: reviewToken };
+    await BookingsCollection.updateOne(
+      { id: bookingId, clinicEmail: owner.email },
+      { $set: updateData }
+    );
+    await recordBookingHistory(owner, getRequestActor(req), 'completed', [{ before: booking, after: updateData }]);
+    
+    // Send review request email (not to clients who unsubscribed)
+    const reviewRequested = booking.email ? await sendReviewRequestEmail(booking, owner, reviewToken) : false;
+    
+    res.redirect('/dashboard?success=' + encodeURIComponent(reviewRequested ? 'Marked as completed - Review request sent' : 'Marked as completed'));
+  } catch (error) {
+    res.redirect('/dashboard?error=' + error.message);
+  }
+});
+
+// Approve a booking that is pending approval
+app.post('/dashboard/approve-booking/:id', authenticateToken, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    const bookingId = parseInt(req.params.id);
+    
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const BookingsCollection = bookingDb.collection('bookings');
+    
+    const booking = await BookingsCollection.findOne({ id: bookingId, clinicEmail: owner.email });
+    if (!booking) {
+      return res.redirect('/dashboard?error=Booking not found');
+    }
+    
+    if (getBookingStatus(booking) !== 'pending') {
+      return res.redirect('/dashboard?error=' + encodeURIComponent('Only bookings pending approval can be approved'));
+    }
+    
+    const updateData = { status: 'confirmed', approvedAt: new Date(), inviteSequence: nextInviteSequence(booking) };
+    await BookingsCollection.updateOne(
+      { id: bookingId, clinicEmail: owner.email },
+      { $set: updateData }
+    );
+    await recordBookingHistory(owner, getRequestActor(req), 'approved', [{ before: booking, after: updateData }]);
+    
+    if (booking.email || booking.phone) {
+      await sendBookingNotification('confirmation', { ...booking, ...updateData }, owner);
+    }
+    
+    res.redirect('/dashboard?success=Booking approved');
+  } catch (error) {
+    console.error('Approve booking error:', error);
+    res.redirect('/dashboard?error=' + error.message);
+  }
+});
+
+// Restore a cancelled booking - only if its slot (and team member) is still free
+app.post('/dashboard/restore-booking/:id', authenticateToken, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    const bookingId = parseInt(req.params.id);
+    
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const BookingsCollection = bookingDb.collection('bookings');
+    
+    const booking = await BookingsCollection.findOne({ id: bookingId, clinicEmail: owner.email });
+    if (!booking) {
+      return res.redirect('/dashboard?error=Booking not found');
+    }
+    
+    if (getBookingStatus(booking) !== 'cancelled') {
+      return res.redirect('/dashboard?error=' + encodeURIComponent('Only cancelled bookings can be restored'));
+    }
+    
+    // The slot may have been given to someone else (or the waitlist) since the cancellation
+    const isBlocked = booking.type === 'blocked';
+    const capacity = await checkSlotCapacity(BookingsCollection, owner, booking.date, booking.time, bookingId, isBlocked ? null : booking.service);
+    if (!capacity.available) {
+      const error = `This booking cannot be restored - its time slot is no longer available (${describeUnavailableSlot(capacity)})`;
+      return res.redirect('/dashboard?error=' + encodeURIComponent(error));
+    }
+    
+    const member = !isBlocked ? findTeamMember(owner, booking.teamMemberId) : null;
+    if (member) {
+      const check = await checkTeamMemberAvailability(BookingsCollection, owner, member, booking.date, booking.time, booking.service, bookingId);
+      if (!check.available) {
+        return res.redirect('/dashboard?error=' + encodeURIComponent(`This booking cannot be restored - ${check.reason}`));
+      }
+    }
+    
+    const updateData = { status: 'confirmed', restoredAt: new Date(), slotFreed: false, inviteSequence: nextInviteSequence(booking) };
+    await BookingsCollection.updateOne(
+      { id: bookingId, clinicEmail: owner.email },
+      { $set: updateData }
+    );
+    await recordBookingHistory(owner, getRequestActor(req), 'restored', [{ before: booking, after: updateData }]);
+    
+    if (!isBlocked && (booking.email || booking.phone)) {
+      await sendBookingNotification('confirmation', { ...booking, ...updateData }, owner);
+    }
+    
+    res.redirect('/dashboard?success=Booking restored');
+  } catch (error) {
+    console.error('Restore booking error:', error);
+    res.redirect('/dashboard?error=' + error.message);
+  }
+});
+
+// Public Review Page
+app.get('/review/:token', async (req, res) => {
+  try {
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const BookingsCollection = bookingDb.collection('bookings');
+    
+    const booking = await BookingsCollection.findOne({ reviewToken: req.params.token });
+    
+    if (!booking) {
+      return res.render('review', { error: translate(getBrowserLocale(req), 'review.invalidLink'), booking: null, owner: null });
+    }
+    
+    const owner = await Owner.findOne({ email: booking.clinicEmail });
+    const locale = await getClientLocale(owner, { clientId: booking.clientId, email: booking.email });
+    
+    res.render('review', { booking, owner, locale, error: null, success: null });
+  } catch (error) {
+    res.render('review', { error: translate(getBrowserLocale(req), 'common.somethingWrong'), booking: null, owner: null });
+  }
+});
+
+// Submit Review
+app.post('/review/:token', async (req, res) => {
+  try {
+    const { rating, comment } = req.body;
+    
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const BookingsCollection = bookingDb.collection('bookings');
+    
+    const booking = await BookingsCollection.findOne({ reviewToken: req.params.token });
+    
+    if (!booking) {
+      return res.render('review', { error: translate(getBrowserLocale(req), 'review.invalidLink'), booking: null, owner: null });
+    }
+    
+    const owner = await Owner.findOne({ email: booking.clinicEmail });
+    const locale = await getClientLocale(owner, { clientId: booking.clientId, email: booking.email });
+    
+    // Add review to owner's reviews array
+    await Owner.findByIdAndUpdate(owner._id, {
+      $push: {
+        reviews: {
+          bookingId: booking.id,
+          clientName: booking.name,
+          clientEmail: booking.email,
+          rating: parseInt(rating),
+          comment: comment || '',
+          service: booking.service,
+          teamMemberName: booking.teamMemberName || '',
+          isPublic: false,
+          createdAt: new Date()
+        }
+      }
+    });
+    
+    // Mark review as submitted
+    await BookingsCollection.updateOne(
+      { reviewToken: req.params.token },
+      { $set: { reviewSubmitted: true } }
+    );
+    await recordBookingHistory(owner, getClientActor(booking), 'review-submitted', [{ before: booking, after: { reviewSubmitted: true } }]);
+    
+    res.render('review', { booking, owner, locale, error: null, success: translate(locale, 'review.thanks') });
+  } catch (error) {
+    res.render('review', { error: translate(getBrowserLocale(req), 'review.submitFailed'), booking: null, owner: null });
+  }
+});
+
+// ============================================
+// CLIENT SELF-SERVICE (cancel / reschedule via cancelToken)
+// ============================================
+
+// Look up a client booking and its owner by the secret cancelToken
+async function findBookingByCancelToken(cancelToken) {
+  const bookingDb = mongoose.connection.useDb('bookingdb');
+  const BookingsCollection = bookingDb.collection('bookings');
+
+  const booking = await BookingsCollection.findOne({ cancelToken, type: { $ne: 'blocked' } });
+  if (!booking) return { BookingsCollection, booking: null, owner: null };
+
+  const owner = await Owner.findOne({ email: booking.clinicEmail });
+  return { BookingsCollection, booking, owner };
+}
+
+// Manage Booking Page
+app.get('/booking/:cancelToken', async (req, res) => {
+  try {
+    const { BookingsCollection, booking, owner } = await findBookingByCancelToken(req.params.cancelToken);
+
+    if (!booking || !owner) {
+      return res.render('manage-booking', { error: translate(getBrowserLocale(req), 'manageBooking.invalidLink'), booking: null, owner: null });
+    }
+
+    const locale = await getClientLocale(owner, { clientId: booking.clientId, email: booking.email });
+    const hoursUntilAppointment = getHoursUntilAppointment(booking, owner);
+    const isActive = !checkBookingEditable(booking);
+    const canCancel = isActive && hoursUntilAppointment > 0;
+    const canReschedule = isActive && hoursUntilAppointment >= SLOT_RELEASE_HOURS;
+
+    const today = getTodayInTimezone(getOwnerTimezone(owner));
+    const requestedDate = /^\d{4}-\d{2}-\d{2}$/.test(req.query.date || '') ? req.query.date : booking.date;
+    const selectedDate = requestedDate < today ? today : requestedDate;
+
+    let freeSlots = [];
+    if (canReschedule) {
+      freeSlots = (await getFreeSlotsForDate(BookingsCollection, owner, selectedDate, booking.id, booking.service))
+        .filter(time => !(selectedDate === booking.date && time === booking.time));
+    }
+
+    res.render('manage-booking', {
+      booking,
+      owner,
+      locale,
+      canCancel,
+      canReschedule,
+      willFreeSlot: hoursUntilAppointment >= SLOT_RELEASE_HOURS,
+      slotReleaseHours: SLOT_RELEASE_HOURS,
+      selectedDate,
+      minDate: today,
+      freeSlots,
+      error: req.query.error || null,
+      success: req.query.success || null
+    });
+  } catch (error) {
+    console.error('Manage booking error:', error);
+    res.render('manage-booking', { error: translate(getBrowserLocale(req), 'common.somethingWrong'), booking: null, owner: null });
+  }
+});
+
+// Client cancels their own booking (same 6-hour slot release rule as the dashboard)
+app.post('/booking/:cancelToken/cancel', apiLimiter, async (req, res) => {
+  const manageUrl = '/booking/' + encodeURIComponent(req.params.cancelToken);
+  let locale = getBrowserLocale(req);
+  try {
+    const { BookingsCollection, booking, owner } = await findBookingByCancelToken(req.params.cancelToken);
+
+    if (!booking || !owner) {
+      return res.render('manage-booking', { error: translate(locale, 'manageBooking.invalidLink'), booking: null, owner: null });
+    }
+
+    locale = await getClientLocale(owner, { clientId: booking.clientId, email: booking.email });
+    const hoursUntilAppointment = getHoursUntilAppointment(booking, owner);
+    if (checkStatusTransition(booking, 'cancelled') || hoursUntilAppointment <= 0) {
+      return res.redirect(manageUrl + '?error=' + encodeURIComponent(translate(locale, 'manageBooking.cannotCancel')));
+    }
+
+    const updateData = {
+      status: 'cancelled',
+      cancelledAt: new Date(),
+      cancelledBy: 'client',
+      slotFreed: hoursUntilAppointment >= SLOT_RELEASE_HOURS,
+      inviteSequence: nextInviteSequence(booking)
+    };
+    await BookingsCollection.updateOne(
+      { id: booking.id, clinicEmail: owner.email },
+      { $set: updateData }
+    );
+    await recordBookingHistory(owner, getClientActor(booking), 'cancelled', [{ before: booking, after: updateData }]);
+
+    if (booking.email || booking.phone) {
+      await sendBookingNotification('cancellation', { ...booking, ...updateData }, owner);
+    }
+
+    if (hoursUntilAppointment >= SLOT_RELEASE_HOURS) {
+      await offerSlotToWaitlist(owner, waitlistSlotFromBooking(booking));
+    }
+
+    console.log(`[SELF-SERVICE] Booking ${booking.id} cancelled by client`);
+    res.redirect(manageUrl + '?success=' + encodeURIComponent(translate(locale, 'manageBooking.cancelled')));
+  } catch (error) {
+    console.error('Client cancel error:', error);
+    res.redirect(manageUrl + '?error=' + encodeURIComponent(translate(locale, 'manageBooking.cancelFailed')));
+  }
+});
+
+// "Rescheduled by client" note on the dashboard; cleared once the owner edits the booking
+const CLIENT_RESCHEDULE_FIELDS = { rescheduledBy: '', previousDate: '', previousTime: '' };
+
+// Client moves their booking to another free slot
+app.post('/booking/:cancelToken/reschedule', apiLimiter, async (req, res) => {
+  const manageUrl = '/booking/' + encodeURIComponent(req.params.cancelToken);
+  let locale = getBrowserLocale(req);
+  try {
+    const { date, time } = req.body;
+    const { BookingsCollection, booking, owner } = await findBookingByCancelToken(req.params.cancelToken);
+
+    if (!booking || !owner) {
+      return res.render('manage-booking', { error: translate(locale, 'manageBooking.invalidLink'), booking: null, owner: null });
+    }
+
+    locale = await getClientLocale(owner, { clientId: booking.clientId, email: booking.email });
+    if (checkBookingEditable(booking) || getHoursUntilAppointment(booking, owner) < SLOT_RELEASE_HOURS) {
+      return res.redirect(manageUrl + '?error=' + encodeURIComponent(translate(locale, 'manageBooking.rescheduleWindow', { hours: SLOT_RELEASE_HOURS })));
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || !/^\d{2}:\d{2}$/.test(time || '')) {
+      return res.redirect(manageUrl + '?error=' + encodeURIComponent(translate(locale, 'manageBooking.chooseDateTime')));
+    }
+
+    // Same capacity and team member rules as a new booking, ignoring the booking being moved
+    const freeSlots = await getFreeSlotsForDate(BookingsCollection, owner, date, booking.id, booking.service);
+    const member = findTeamMember(owner, booking.teamMemberId);
+    const memberCheck = member && await checkTeamMemberAvailability(BookingsCollection, owner, member, date, time, booking.service, booking.id);
+    if (!freeSlots.includes(time) || (memberCheck && !memberCheck.available)) {
+      return res.redirect(manageUrl + '?date=' + date + '&error=' + encodeURIComponent(translate(locale, 'manageBooking.slotTaken')));
+    }
+
+    const updateData = {
+      date,
+      time,
+      previousDate: booking.date,
+      previousTime: booking.time,
+      rescheduledAt: new Date(),
+      rescheduledBy: 'client',
+      reminderSent: false,
+      ...resetReminderStages(),
+      inviteSequence: nextInviteSequence(booking),
+      updatedAt: new Date()
+    };
+    await BookingsCollection.updateOne(
+      { id: booking.id, clinicEmail: owner.email },
+      { $set: updateData }
+    );
+    await recordBookingHistory(owner, getClientActor(booking), 'rescheduled', [{ before: booking, after: updateData }]);
+
+    if (booking.email || booking.phone) {
+      await sendBookingNotification('confirmation', { ...booking, ...updateData }, owner);
+    }
+
+    // Moving is only allowed with enough notice, so the old slot is always free again
+    await offerSlotToWaitlist(owner, waitlistSlotFromBooking(booking));
+
+    console.log(`[SELF-SERVICE] Booking ${booking.id} moved by client from ${booking.date} ${booking.time} to ${date} ${time}`);
+    res.redirect(manageUrl + '?success=' + encodeURIComponent(translate(locale, 'manageBooking.rescheduled')));
+  } catch (error) {
+    console.error('Client reschedule error:', error);
+    res.redirect(manageUrl + '?error=' + encodeURIComponent(translate(locale, 'manageBooking.rescheduleFailed')));
+  }
+});
+
+// Edit Booking Page
+app.get('/dashboard/edit-booking/:id', authenticateToken, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    const bookingId = parseInt(req.params.id);
+    
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const BookingsCollection = bookingDb.collection('bookings');
+    
+    const booking = await BookingsCollection.findOne({ id: bookingId, clinicEmail: owner.email });
+    
+    if (!booking) {
+      return res.redirect('/dashboard?error=Booking not found');
+    }
+    
+    const history = await BookingHistory.find({ ownerId: owner._id, bookingId }).sort({ createdAt: -1 });
+    
+    res.render('edit-booking', {
+      owner,
+      booking,
+      history,
+      lockedReason: checkBookingEditable(booking),
+      timezone: getOwnerTimezone(owner),
+      paymentMethods: PAYMENT_METHODS,
+      success: req.query.success || null,
+      error: req.query.error
+    });
+  } catch (error) {
+    res.redirect('/dashboard?error=' + error.message);
+  }
+});
+
+// Update Booking
+app.post('/dashboard/edit-booking/:id', authenticateToken, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    const bookingId = parseInt(req.params.id);
+    const { name, email, phone, service, date, time, notes } = req.body;
+    
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const BookingsCollection = bookingDb.collection('bookings');
+    
+    const booking = await BookingsCollection.findOne({ id: bookingId, clinicEmail: owner.email });
+    if (!booking) {
+      return res.redirect('/dashboard?error=Booking not found');
+    }
+    
+    const lockedReason = checkBookingEditable(booking);
+    if (lockedReason) {
+      return res.redirect('/dashboard/edit-booking/' + bookingId + '?error=' + encodeURIComponent(lockedReason));
+    }
+    
+    // A different service may take longer, so re-check capacity whenever it changes too
+    const slotChanged = date !== booking.date || time !== booking.time || service !== booking.service;
+    const serviceFields = service !== booking.service ? getServiceBookingFields(owner, service) : {};
+    
+    // New contact details may belong to a different (or a new) client record
+    const contactChanged = booking.type !== 'blocked' && (name !== booking.name || email !== booking.email || phone !== booking.phone);
+    const clientFields = contactChanged ? { clientId: await resolveBookingClientId(owner, { name, email, phone }, 'dashboard') } : {};
+    
+    // "This and following": apply the changes to the rest of the series too,
+    // shifting each later appointment by the same number of days
+    if (req.body.applyTo === 'following' && booking.seriesId) {
+      const following = await findFollowingInSeries(BookingsCollection, owner, booking);
+      const dayShift = daysBetweenDates(booking.date, date);
+      const moves = following.map(b => ({ booking: b, date: addDaysToDate(b.date, dayShift) }));
+      
+      // Each appointment keeps its team member, who has to offer the new service
+      if (service !== booking.service) {
+        const member = moves
+          .map(move => move.booking.type !== 'blocked' && findTeamMember(owner, move.booking.teamMemberId))
+          .find(member => member && !isTeamMemberAllowedForService(owner, service, member._id));
+        if (member) {
+          const error = `${member.name} does not offer ${service}. Please choose another team member.`;
+          return res.redirect('/dashboard/edit-booking/' + bookingId + '?error=' + encodeURIComponent(error));
+        }
+      }
+      
+      if (slotChanged) {
+        const movingIds = following.map(b => b.id);
+        const conflicts = [];
+        for (const move of moves) {
+          const capacity = await checkSlotCapacity(BookingsCollection, owner, move.date, time, movingIds, service);
+          if (!capacity.available) {
+            conflicts.push(`${move.date} (${describeUnavailableSlot(capacity)})`);
+            continue;
+          }
+          const member = move.booking.type !== 'blocked' ? findTeamMember(owner, move.booking.teamMemberId) : null;
+          if (member) {
+            const check = await checkTeamMemberAvailability(BookingsCollection, owner, member, move.date, time, service, movingIds);
+            if (!check.available) conflicts.push(`${move.date} (${check.reason})`);
+          }
+        }
+        
+        if (conflicts.length > 0) {
+          const error = `These dates are not available at ${time}: ${conflicts.join(', ')}. Nothing was changed.`;
+          return res.redirect('/dashboard/edit-booking/' + bookingId + '?error=' + encodeURIComponent(error));
+        }
+      }
+      
+      const updates = moves.map(move => ({
+        before: move.booking,
+        after: {
+          name, email, phone, service, ...serviceFields,
+          ...(move.booking.type !== 'blocked' && clientFields),
+          ...(move.booking.type !== 'blocked' && getEditedPaymentFields(move.booking, serviceFields, req.body)),
+          ...(slotChanged && { inviteSequence: nextInviteSequence(move.booking) }),
+          ...((move.date !== move.booking.date || time !== move.booking.time) && resetReminderStages()),
+          date: move.date, time, notes, updatedAt: new Date()
+        }
+      }));
+      await BookingsCollection.bulkWrite(updates.map(u => ({
+        updateOne: {
+          filter: { id: u.before.id, clinicEmail: owner.email },
+          update: { $set: u.after, $unset: CLIENT_RESCHEDULE_FIELDS }
+        }
+      })));
+      await recordBookingHistory(owner, getRequestActor(req), 'updated', updates);
+      
+      // Each occurrence is its own calendar event, so each one that moved gets its own confirmation
+      // (with an updated invite when it goes by email)
+      if (slotChanged && (email || phone)) {
+        for (const u of updates.filter(u => u.before.type !== 'blocked')) {
+          await sendBookingNotification('confirmation', { ...u.before, ...u.after }, owner);
+        }
+      }
+      
+      // Old slots with enough notice left go to the waitlist, as on a cancellation
+      for (const u of updates) {
+        const moved = u.after.date !== u.before.date || u.after.time !== u.before.time;
+        if (moved && u.before.type !== 'blocked' && getHoursUntilAppointment(u.before, owner) >= SLOT_RELEASE_HOURS) {
+          await offerSlotToWaitlist(owner, waitlistSlotFromBooking(u.before));
+        }
+      }
+      
+      return res.redirect('/dashboard?success=' + encodeURIComponent(`${moves.length} bookings in the series updated`));
+    }
+    
+    if (service !== booking.service && booking.type !== 'blocked') {
+      const member = findTeamMember(owner, booking.teamMemberId);
+      if (member && !isTeamMemberAllowedForService(owner, service, member._id)) {
+        const error = `${member.name} does not offer ${service}. Please choose another team member.`;
+        return res.redirect('/dashboard/edit-booking/' + bookingId + '?error=' + encodeURIComponent(error));
+      }
+    }
+    
+    if (slotChanged && booking.type !== 'blocked') {
+      const capacity = await checkSlotCapacity(BookingsCollection, owner, date, time, bookingId, service);
+      if (!capacity.available) {
+        const error = `This time slot is not available (${describeUnavailableSlot(capacity)}). Please choose another time.`;
+        return res.redirect('/dashboard/edit-booking/' + bookingId + '?error=' + encodeURIComponent(error));
+      }
+      
+      const member = findTeamMember(owner, booking.teamMemberId);
+      if (member) {
+        const check = await checkTeamMemberAvailability(BookingsCollection, owner, member, date, time, service, bookingId);
+        if (!check.available) {
+          return res.redirect('/dashboard/edit-booking/' + bookingId + '?error=' + encodeURIComponent(`${check.reason}. Please choose another time.`));
+        }
+      }
+    }
+    
+    const sendUpdatedInvite = slotChanged && booking.type !== 'blocked' && (email || phone);
+    const updateData = {
+      name, email, phone, service, ...serviceFields, ...clientFields,
+      ...(booking.type !== 'blocked' && getEditedPaymentFields(booking, serviceFields, req.body)),
+      ...(sendUpdatedInvite && { inviteSequence: nextInviteSequence(booking) }),
+      ...((date !== booking.date || time !== booking.time) && resetReminderStages()),
+      date, time, notes, updatedAt: new Date()
+    };
+    await BookingsCollection.updateOne(
+      { id: bookingId, clinicEmail: owner.email },
+      { $set: updateData, $unset: CLIENT_RESCHEDULE_FIELDS }
+    );
+    await recordBookingHistory(owner, getRequestActor(req), 'updated', [{ before: booking, after: updateData }]);
+    
+    // The client hears about the new time, and their calendar event moves with the booking
+    if (sendUpdatedInvite) {
+      await sendBookingNotification('confirmation', { ...booking, ...updateData }, owner);
+    }
+    
+    // The old slot goes to the waitlist if it still has enough notice, as on a cancellation
+    const moved = date !== booking.date || time !== booking.time;
+    if (moved && booking.type !== 'blocked' && getHoursUntilAppointment(booking, owner) >= SLOT_RELEASE_HOURS) {
+      await offerSlotToWaitlist(owner, waitlistSlotFromBooking(booking));
+    }
+    
+    res.redirect('/dashboard?success=Booking updated successfully');
+  } catch (error) {
+    res.redirect('/dashboard/edit-booking/' + req.params.id + '?error=' + error.message);
+  }
+});
+
+// Record a payment (deposit, balance or partial) against a booking
+app.post('/dashboard/record-payment/:id', authenticateToken, async (req, res) => {
+  const editUrl = '/dashboard/edit-booking/' + encodeURIComponent(req.params.id);
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    const bookingId = parseInt(req.params.id);
+    
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const BookingsCollection = bookingDb.collection('bookings');
+    
+    const booking = await BookingsCollection.findOne({ id: bookingId, clinicEmail: owner.email });
+    if (!booking) {
+      return res.redirect('/dashboard?error=Booking not found');
+    }
+    if (booking.type === 'blocked') {
+      return res.redirect(editUrl + '?error=' + encodeURIComponent('Payments cannot be recorded on a blocked slot'));
+    }
+    
+    const amount = parseMoney(req.body.amount);
+    if (!amount) {
+      return res.redirect(editUrl + '?error=' + encodeURIComponent('Please enter the amount received'));
+    }
+    const method = PAYMENT_METHODS.includes(req.body.method) ? req.body.method : 'other';
+    
+    const amountPaid = Math.round(((booking.amountPaid || 0) + amount) * 100) / 100;
+    const updateData = {
+      amountPaid,
+      paymentMethod: method,
+      paymentStatus: getPaymentStatus({ ...booking, amountPaid }),
+      lastPaymentAt: new Date()
+    };
+    
+    await BookingsCollection.updateOne(
+      { id: bookingId, clinicEmail: owner.email },
+      {
+        $set: updateData,
+        $push: {
+          payments: {
+            amount,
+            method,
+            note: (sanitizeInput(req.body.note) || '').slice(0, 200),
+            paidAt: new Date(),
+            recordedBy: getRequestActor(req).name
+          }
+        }
+      }
+    );
+    await recordBookingHistory(owner, getRequestActor(req), 'payment', [{ before: booking, after: updateData }]);
+    
+    console.log(`[PAYMENT] ${amount} (${method}) recorded on booking ${bookingId}`);
+    res.redirect(editUrl + '?success=' + encodeURIComponent(`Payment of ${amount.toFixed(2)} recorded`));
+  } catch (error) {
+    console.error('Record payment error:', error);
+    res.redirect(editUrl + '?error=' + encodeURIComponent('Failed to record payment'));
+  }
+});
+
+// Booking History API - who changed what and when, newest first
+app.get('/api/booking-history/:id', authenticateToken, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    const bookingId = parseInt(req.params.id);
+    
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const booking = await bookingDb.collection('bookings').findOne({ id: bookingId, clinicEmail: owner.email });
+    if (!booking) {
+      return res.status(404).json({ success: false, error: 'Booking not found' });
+    }
+    
+    const history = await BookingHistory.find({ ownerId: owner._id, bookingId })
+      .sort({ createdAt: -1 })
+      .select('-_id -__v -ownerId')
+      .lean();
+    
+    res.json({ success: true, bookingId, history });
+  } catch (error) {
+    console.error('Booking history error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load booking history' });
+  }
+});
+
+// AI Assistant Page
+app.get('/dashboard/ai-assistant', authenticateToken, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const BookingsCollection = bookingDb.collection('bookings');
+    
+    const allBookings = await BookingsCollection.find({ clinicEmail: owner.email }).toArray();
+    
+    const timezone = getOwnerTimezone(owner);
+    const today = getTodayInTimezone(timezone);
+    const weekAgo = getTodayInTimezone(timezone, -7);
+    
+    const confirmedBookings = allBookings.filter(b => b.type === 'booking' && b.status !== 'cancelled');
+    const completedBookings = allBookings.filter(b => b.status === 'completed');
+    const noShowBookings = allBookings.filter(b => b.status === 'no-show');
+    const todayBookings = allBookings.filter(b => b.date === today && b.status !== 'cancelled');
+    const weekBookings = allBookings.filter(b => b.date >= weekAgo && b.status !== 'cancelled');
+    
+    // Calculate busiest day
+    const dayCount = {};
+    confirmedBookings.forEach(b => {
+      const day = formatLocaleDate(getOwnerLocale(owner), b.date, { weekday: 'long' });
+      dayCount[day] = (dayCount[day] || 0) + 1;
+    });
+    const busiestDay = Object.entries(dayCount).sort((a, b) => b[1] - a[1])[0]?.[0] || translate(getOwnerLocale(owner), 'dashboard.calendar.notAvailable');
+    
+    // Calculate popular service
+    const serviceCount = {};
+    confirmedBookings.forEach(b => {
+      if (b.service) serviceCount[b.service] = (serviceCount[b.service] || 0) + 1;
+    });
+    const popularService = Object.entries(serviceCount).sort((a, b) => b[1] - a[1])[0]?.[0] || translate(getOwnerLocale(owner), 'dashboard.calendar.notAvailable');
+    
+    const totalFinished = completedBookings.length + noShowBookings.length;
+    const completionRate = totalFinished > 0 ? Math.round((completedBookings.length / totalFinished) * 100) : 100;
+    const noShowRate = totalFinished > 0 ? Math.round((noShowBookings.length / totalFinished) * 100) : 0;
+    
+    const stats = {
+      totalBookings: confirmedBookings.length,
+      todayBookings: todayBookings.length,
+      weekBookings: weekBookings.length,
+      completionRate,
+      noShowRate,
+      popularService,
+      busiestDay
+    };
+    
+    res.render('ai-assistant', { owner, stats });
+  } catch (error) {
+    console.error('AI Assistant error:', error);
+    res.redirect('/dashboard');
+  }
+});
+
+// Settings Page
+app.get('/dashboard/settings', authenticateToken, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    
+    // One-time migration of the old comma-separated service names to the catalog
+    if (!owner.settings.serviceCatalog?.length && owner.settings.services?.length) {
+      owner.settings.serviceCatalog = getServiceCatalog(owner);
+      await owner.save();
+      console.log(`[SETTINGS] Migrated ${owner.settings.serviceCatalog.length} services to catalog for ${owner.email}`);
+    }
+    
+    // Owners registered before the public API get their slug on first visit
+    if (!owner.slug) {
+      owner.slug = await generateOwnerSlug(owner);
+      await owner.save();
+    }
+    
+    // Same for calendar feed tokens, including team members added before feeds existed
+    const membersWithoutToken = (owner.teamMembers || []).filter(m => !m.calendarFeedToken);
+    if (!owner.calendarFeedToken || membersWithoutToken.length > 0) {
+      owner.calendarFeedToken = owner.calendarFeedToken || generateCalendarFeedToken();
+      membersWithoutToken.forEach(m => { m.calendarFeedToken = generateCalendarFeedToken(); });
+      await owner.save();
+    }
+    
+    res.render('settings', {
+      owner,
+      publicApiUrl: `${process.env.APP_URL || 'https://dashboard.buildhaze.com'}/api/public/${owner.slug}`,
+      calendarFeeds: getCalendarFeeds(owner),
+      emailTemplates: Object.keys(EMAIL_TEMPLATE_TYPES).map(type => ({
+        type,
+        placeholders: getEmailPlaceholders(type),
+        isCustom: Boolean(owner.emailSettings.templates?.get(type)),
+        ...getEmailTemplate(owner, type)
+      })),
+      notificationPreferences: NOTIFICATION_PREFERENCES,
+      textMessageProviders: { sms: getTextMessageProvider('sms')?.name || '', whatsapp: getTextMessageProvider('whatsapp')?.name || '' },
+      reminderStages: getReminderStages(owner),
+      reminderTemplates: REMINDER_TEMPLATE_TYPES.map(type => ({ type })),
+      maxReminderStages: MAX_REMINDER_STAGES,
+      maxReminderHours: MAX_REMINDER_HOURS,
+      success: req.query.success,
+      error: req.query.error
+    });
+  } catch (error) {
+    res.redirect('/dashboard');
+  }
+});
+
+// Update Settings
+app.post('/dashboard/settings', authenticateToken, async (req, res) => {
+  try {
+    const { 
+      clinicName, clinicPhone, clinicAddress, websiteUrl, 
+      startHour, endHour, slotsPerHour, services,
+      logoUrl, emailBusinessName, primaryColor, secondaryColor, backgroundColor, textColor, emailFooter
+    } = req.body;
+    
+    // Parse working days from JSON string
+    let parsedWorkingDays = [1, 2, 3, 4, 5]; // default Mon-Fri
+    const workingDaysData = req.body.workingDaysData;
+    if (workingDaysData) {
+      try {
+        parsedWorkingDays = JSON.parse(workingDaysData);
+        if (!Array.isArray(parsedWorkingDays)) {
+          parsedWorkingDays = [1, 2, 3, 4, 5];
+        }
+      } catch (e) {
+        console.log('[SETTINGS] Failed to parse workingDaysData:', e.message);
+      }
+    }
+    console.log('[SETTINGS] Working days saved:', parsedWorkingDays);
+    
+    // Service catalog rows; a plain comma-separated list is still accepted
+    const owner = await Owner.findById(req.owner.id);
+    const serviceCatalog = typeof services === 'string'
+      ? parseServiceCatalog(services.split(',').map(name => ({ name, isActive: 'true' })), owner)
+      : parseServiceCatalog(req.body.serviceCatalog, owner);
+    if (serviceCatalog.length === 0) {
+      serviceCatalog.push({ name: 'Consultation', duration: getSlotMinutes(owner), isActive: true });
+    }
+    
+    // Public API address - changing it breaks widgets still using the old one
+    const slug = (req.body.slug || owner.slug || '').trim().toLowerCase();
+    if (slug && slug !== owner.slug) {
+      if (!isValidSlug(slug)) {
+        return res.redirect('/dashboard/settings?error=' + encodeURIComponent('The booking address may only use lowercase letters, numbers and dashes (3-50 characters)'));
+      }
+      if (await Owner.exists({ slug, _id: { $ne: owner._id } })) {
+        return res.redirect('/dashboard/settings?error=' + encodeURIComponent(`The booking address "${slug}" is already taken`));
+      }
+    }
+    
+    await Owner.findByIdAndUpdate(req.owner.id, {
+      ...(slug && { slug }),
+      clinicName,
+      clinicPhone,
+      clinicAddress,
+      websiteUrl,
+      'settings.startHour': parseInt(startHour) || 9,
+      'settings.endHour': parseInt(endHour) || 17,
+      'settings.slotsPerHour': parseInt(slotsPerHour) || 1,
+      'settings.serviceCatalog': serviceCatalog,
+      'settings.services': serviceCatalog.filter(s => s.isActive).map(s => s.name),
+      'settings.workingDays': parsedWorkingDays,
+      'settings.requireTeamMember': req.body.requireTeamMember === 'true',
+      'settings.timezone': isValidTimezone(req.body.timezone || '') ? req.body.timezone : 'UTC',
+      'settings.locale': resolveLocale(req.body.locale),
+      'emailSettings.logoUrl': logoUrl || '',
+      'emailSettings.businessName': emailBusinessName || clinicName || '',
+      'emailSettings.primaryColor': primaryColor || '#10b981',
+      'emailSettings.secondaryColor': secondaryColor || '#059669',
+      'emailSettings.backgroundColor': backgroundColor || '#ffffff',
+      'emailSettings.textColor': textColor || '#374151',
+      'emailSettings.emailFooter': emailFooter || '',
+      'settings.notifyBy': NOTIFICATION_PREFERENCES[req.body.notifyBy] ? req.body.notifyBy : 'email',
+      'settings.phoneCountryCode': String(req.body.phoneCountryCode || '').replace(/\D/g, '').slice(0, 4),
+      'emailSettings.whatsappMessage': String(req.body.whatsappMessage || '').trim().slice(0, 1000),
+      // Only when the reminder card was on the page - removing every row turns reminders off
+      ...(req.body.reminderStagesForm && { 'settings.reminderStages': parseReminderStages(req.body.reminderStages) })
+    });
+    
+    res.redirect('/dashboard/settings?success=Settings updated');
+  } catch (error) {
+    console.error('Update settings error:', error);
+    res.redirect('/dashboard/settings?error=' + encodeURIComponent(error.message));
+  }
+});
+
+// ============================================
+// EMAIL TEMPLATE EDITOR
+// ============================================
+
+// Editor fields posted from the settings page (line endings normalized, so an unchanged default compares equal)
+function readEmailTemplateForm(body) {
+  const field = name => (typeof body?.[name] === 'string' ? body[name] : '').replace(/\r\n/g, '\n');
+  return { subject: field('subject').trim(), heading: field('heading').trim(), body: field('body').trim() };
+}
+
+// Save one template; action=reset goes back to the default
+app.post('/dashboard/settings/email-templates/:type', authenticateToken, async (req, res) => {
+  const type = req.params.type;
+  const back = (key, message) => res.redirect(`/dashboard/settings?tab=email&template=${encodeURIComponent(type)}&${key}=` + encodeURIComponent(message));
+
+  try {
+    if (!EMAIL_TEMPLATE_TYPES[type]) return back('error', 'Unknown email template');
+    const { label } = EMAIL_TEMPLATE_TYPES[type];
+    const owner = await Owner.findById(req.owner.id);
+
+    if (req.body.action === 'reset') {
+      owner.emailSettings.templates.delete(type);
+      await owner.save();
+      return back('success', `${label} email reset to the default`);
+    }
+
+    const template = readEmailTemplateForm(req.body);
+    const error = validateEmailTemplate(type, template);
+    if (error) return back('error', `${label}: ${error}`);
+
+    const defaults = getDefaultEmailTemplate(type, getOwnerLocale(owner));
+    if (template.subject === defaults.subject && template.heading === defaults.heading && template.body === defaults.body) {
+      owner.emailSettings.templates.delete(type);
+    } else {
+      owner.emailSettings.templates.set(type, { ...template, updatedAt: new Date() });
+    }
+    await owner.save();
+
+    console.log(`[SETTINGS] ${type} email template saved for ${owner.email}`);
+    back('success', `${label} email saved`);
+  } catch (error) {
+    console.error('Save email template error:', error);
+    back('error', 'Failed to save the email template');
+  }
+});
+
+// Live preview of unsaved editor content with sample data
+app.post('/dashboard/settings/email-templates/:type/preview', authenticateToken, async (req, res) => {
+  try {
+    const type = req.params.type;
+    if (!EMAIL_TEMPLATE_TYPES[type]) return res.status(404).json({ error: 'Unknown email template' });
+
+    const template = readEmailTemplateForm(req.body);
+    const error = validateEmailTemplate(type, template);
+    if (error) return res.status(400).json({ error });
+
+    const owner = await Owner.findById(req.owner.id);
+    const parts = renderEmailTemplateParts({ ...template, heading: template.heading || getDefaultEmailTemplate(type, getOwnerLocale(owner)).heading }, getSampleEmailTemplateData(owner));
+    res.json({
+      subject: parts.subject,
+      html: renderEmailLayout(owner, type, {
+        heading: parts.heading,
+        body: parts.body,
+        unsubscribeUrl: EMAIL_TEMPLATE_TYPES[type].unsubscribe ? '#' : null
+      })
+    });
+  } catch (error) {
+    console.error('Email template preview error:', error);
+    res.status(500).json({ error: 'Failed to render the preview' });
+  }
+});
+
+// Send the unsaved editor content, filled with sample data, to the owner's own address
+app.post('/dashboard/settings/email-templates/:type/test', authenticateToken, async (req, res) => {
+  try {
+    const type = req.params.type;
+    if (!EMAIL_TEMPLATE_TYPES[type]) return res.status(404).json({ error: 'Unknown email template' });
+    if (!getEmailTransport()) return res.status(400).json({ error: 'Email sending is not configured' });
+
+    const template = readEmailTemplateForm(req.body);
+    const error = validateEmailTemplate(type, template);
+    if (error) return res.status(400).json({ error });
+
+    const owner = await Owner.findById(req.owner.id);
+    const parts = renderEmailTemplateParts({ ...template, heading: template.heading || getDefaultEmailTemplate(type, getOwnerLocale(owner)).heading }, getSampleEmailTemplateData(owner));
+    const queued = await queueEmail('test', {
+      sender: { name: getEmailBusinessName(owner), email: getEmailSenderAddress() },
+      to: [{ email: owner.email }],
+      subject: `[Test] ${parts.subject}`,
+      htmlContent: renderEmailLayout(owner, type, {
+        heading: parts.heading,
+        body: parts.body,
+        unsubscribeUrl: EMAIL_TEMPLATE_TYPES[type].unsubscribe ? getUnsubscribeUrl(owner, owner.email) : null
+      })
+    }, { ownerId: owner._id });
+
+    if (!queued) return res.status(500).json({ error: 'Failed to queue the test email' });
+    res.json({ success: `Test email sent to ${owner.email}` });
+  } catch (error) {
+    console.error('Email template test error:', error);
+    res.status(500).json({ error: 'Failed to send the test email' });
+  }
+});
+
+// ============================================
+// EMAIL UNSUBSCRIBE (signed link in reminder and review emails)
+// ============================================
+
+// Confirmation page - link scanners open links, so a GET never changes anything
+app.get('/unsubscribe/:token', apiLimiter, async (req, res) => {
+  try {
+    const subscriber = readUnsubscribeToken(req.params.token);
+    const owner = subscriber && await Owner.findById(subscriber.ownerId);
+    if (!owner) {
+      return res.status(404).render('unsubscribe', { owner: null, token: null, optedOut: false, error: translate(getBrowserLocale(req), 'unsubscribe.invalidLink'), success: null });
+    }
+
+    res.render('unsubscribe', {
+      owner,
+      locale: await getClientLocale(owner, { email: subscriber.email }),
+      token: req.params.token,
+      optedOut: await isEmailOptedOut(owner, subscriber.email),
+      error: null,
+      success: null
+    });
+  } catch (error) {
+    console.error('Unsubscribe page error:', error);
+    res.status(500).render('unsubscribe', { owner: null, token: null, optedOut: false, error: translate(getBrowserLocale(req), 'common.somethingWrongRetry'), success: null });
+  }
+});
+
+// Unsubscribe - from the page or a mail client's one-click button (RFC 8058), or resubscribe from the page
+app.post('/unsubscribe/:token', apiLimiter, async (req, res) => {
+  try {
+    const subscriber = readUnsubscribeToken(req.params.token);
+    const owner = subscriber && await Owner.findById(subscriber.ownerId);
+    if (!owner) {
+      return res.status(404).render('unsubscribe', { owner: null, token: null, optedOut: false, error: translate(getBrowserLocale(req), 'unsubscribe.invalidLink'), success: null });
+    }
+
+    const optOut = req.body?.action !== 'resubscribe';
+    const client = await setEmailOptOut(owner, subscriber.email, optOut, 'link');
+    const locale = resolveLocale(client.language, getOwnerLocale(owner));
+
+    res.render('unsubscribe', {
+      owner,
+      locale,
+      token: req.params.token,
+      optedOut: optOut,
+      error: null,
+      success: translate(locale, optOut ? 'unsubscribe.unsubscribed' : 'unsubscribe.resubscribed')
+    });
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).render('unsubscribe', { owner: null, token: null, optedOut: false, error: translate(getBrowserLocale(req), 'common.somethingWrongRetry'), success: null });
+  }
+});
+
+// ============================================
+// TEAM MEMBERS MANAGEMENT
+// ============================================
+
+// Add Team Member
+app.post('/dashboard/team/add', authenticateToken, async (req, res) => {
+  try {
+    const { name, role, email, phone, color } = req.body;
+    console.log('[TEAM] Adding team member:', { name, role, email, phone, color, ownerId: req.owner.id });
+    
+    if (!name || name.trim() === '') {
+      return res.redirect('/dashboard/settings?error=Team member name is required');
+    }
+    
+    const result = await Owner.findByIdAndUpdate(
+      req.owner.id, 
+      {
+        $push: {
+          teamMembers: {
+            name: name.trim(),
+            role: role || 'Specialist',
+            email: email || '',
+            phone: phone || '',
+            color: color || '#10b981',
+            isActive: true
+          }
+        }
+      },
+      { new: true }
+    );
+    
+    console.log('[TEAM] Team members after add:', result?.teamMembers);
+    res.redirect('/dashboard/settings?success=Team member added');
+  } catch (error) {
+    console.error('Add team member error:', error);
+    res.redirect('/dashboard/settings?error=Failed to add team member');
+  }
+});
 
+// Update Team Member
+app.post('/dashboard/team/update/:memberId', authenticateToken, async (req, res) => {
   try {
-    const response = await fetch('https://api.brevo.com/v3/smtp/email', {
-      method: 'POST',
-      headers: {
-        'accept': 'application/json',
-        'api-key': process.env.BREVO_API_KEY,
-        'content-type': 'application/json'
-      },
-      body: JSON.stringify({
-        sender: { name: businessName, email: process.env.BREVO_SENDER_EMAIL },
-        to: [{ email: booking.email, name: booking.name }],
-        subject: `How was your visit to ${businessName}?`,
-        htmlContent: emailHtml
-      })
-    });
-
-    if (response.ok) {
-      console.log(`Review request email sent to ${booking.email}`);
-      return true;
-    }
-    return false;
+    const { memberId } = req.params;
+    const { name, role, email, phone, color, isActive } = req.body;
+    
+    await Owner.findOneAndUpdate(
+      { _id: req.owner.id, 'teamMembers._id': memberId },
+      {
+        $set: {
+          'teamMembers.$.name': name,
+          'teamMembers.$.role': role || 'Specialist',
+          'teamMembers.$.email': email || '',
+          'teamMembers.$.phone': phone || '',
+          'teamMembers.$.color': color || '#10b981',
+          'teamMembers.$.isActive': isActive === 'true' || isActive === true
+        }
+      }
+    );
+    
+    res.redirect('/dashboard/settings?success=Team member updated');
   } catch (error) {
-    console.error('Review request email error:', error.message);
-    return false;
+    console.error('Update team member error:', error);
+    res.redirect('/dashboard/settings?error=Failed to update team member');
   }
-}
-
-// ============================================
-// SUPER ADMIN ROUTES
-// ============================================
-
-// Super Admin Login Page
-app.get('/super-admin/login', (req, res) => {
-  res.render('super-admin-login', { error: null });
 });
 
-// Super Admin Login (with rate limiting)
-app.post('/super-admin/login', authLimiter, (req, res) => {
-  const { email, password } = req.body;
-  
-  // Sanitize inputs
-  const sanitizedEmail = sanitizeInput(email);
-  
-  if (sanitizedEmail === process.env.SUPER_ADMIN_EMAIL && password === process.env.SUPER_ADMIN_PASSWORD) {
-    const token = jwt.sign({ role: 'super-admin', email: sanitizedEmail }, process.env.JWT_SECRET, { expiresIn: '24h' });
-    res.cookie('superToken', token, { 
-      httpOnly: true, 
-      secure: true,
-      sameSite: 'strict',
-      maxAge: 24 * 60 * 60 * 1000 // 24 hours
+// Delete Team Member
+app.post('/dashboard/team/delete/:memberId', authenticateToken, async (req, res) => {
+  try {
+    const { memberId } = req.params;
+    
+    await Owner.findByIdAndUpdate(req.owner.id, {
+      $pull: { teamMembers: { _id: memberId } }
     });
-    return res.redirect('/super-admin/dashboard');
+    
+    res.redirect('/dashboard/settings?success=Team member removed');
+  } catch (error) {
+    console.error('Delete team member error:', error);
+    res.redirect('/dashboard/settings?error=Failed to remove team member');
   }
-  
-  // Log failed login attempt
-  console.warn(`[SECURITY] Failed super-admin login attempt from ${req.ip} for email: ${sanitizedEmail}`);
-  res.render('super-admin-login', { error: 'Invalid credentials' });
 });
 
-// Super Admin Dashboard
-app.get('/super-admin/dashboard', authenticateSuperAdmin, async (req, res) => {
+// Team Member Schedule Page
+app.get('/dashboard/team/schedule/:memberId', authenticateToken, async (req, res) => {
   try {
-    const owners = await Owner.find().sort({ createdAt: -1 });
+    const owner = await Owner.findById(req.owner.id);
+    const member = findTeamMember(owner, req.params.memberId);
+    if (!member) {
+      return res.redirect('/dashboard/settings?error=Team member not found');
+    }
     
-    // Get booking stats for each owner
-    const bookingDb = mongoose.connection.useDb('bookingdb');
-    const BookingsCollection = bookingDb.collection('bookings');
+    res.render('team-schedule', { owner, member, success: req.query.success || null, error: req.query.error || null });
+  } catch (error) {
+    console.error('Team schedule error:', error);
+    res.redirect('/dashboard/settings');
+  }
+});
+
+// Update Team Member weekly schedule and capacity
+app.post('/dashboard/team/schedule/:memberId', authenticateToken, async (req, res) => {
+  const scheduleUrl = '/dashboard/team/schedule/' + encodeURIComponent(req.params.memberId);
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    const member = findTeamMember(owner, req.params.memberId);
+    if (!member) {
+      return res.redirect('/dashboard/settings?error=Team member not found');
+    }
     
-    const ownerStats = await Promise.all(owners.map(async (owner) => {
-      const totalBookings = await BookingsCollection.countDocuments({ clinicEmail: owner.email });
-      const thisMonthStart = new Date();
-      thisMonthStart.setDate(1);
-      thisMonthStart.setHours(0, 0, 0, 0);
-      const monthlyBookings = await BookingsCollection.countDocuments({ 
-        clinicEmail: owner.email,
-        createdAt: { $gte: thisMonthStart }
-      });
-      return {
-        ...owner.toObject(),
-        totalBookings,
-        monthlyBookings
-      };
-    }));
+    // schedule[i][day|works|startTime|endTime], day 0 (Sunday) to 6
+    const weeklySchedule = [];
+    if (req.body.useCustomSchedule === 'true') {
+      const rows = Array.isArray(req.body.schedule) ? req.body.schedule : Object.values(req.body.schedule || {});
+      for (const row of rows) {
+        const day = parseInt(row && row.day);
+        if (!(day >= 0 && day <= 6) || row.works !== 'true') continue;
+        if (!/^\d{2}:\d{2}$/.test(row.startTime || '') || !/^\d{2}:\d{2}$/.test(row.endTime || '') || row.startTime >= row.endTime) {
+          return res.redirect(scheduleUrl + '?error=' + encodeURIComponent('Each working day needs a start time before its end time'));
+        }
+        weeklySchedule.push({ day, startTime: row.startTime, endTime: row.endTime });
+      }
+    }
     
-    // Global stats
-    const totalBookingsAll = await BookingsCollection.countDocuments();
-    const activeOwners = owners.filter(o => o.status === 'active').length;
-    const pendingOwners = owners.filter(o => o.status === 'pending').length;
+    member.weeklySchedule = weeklySchedule;
+    member.capacity = Math.max(parseInt(req.body.capacity) || 1, 1);
+    await owner.save();
     
-    res.render('super-admin-dashboard', { 
-      owners: ownerStats, 
-      stats: {
-        totalOwners: owners.length,
-        activeOwners,
-        pendingOwners,
-        totalBookings: totalBookingsAll
-      },
-      success: req.query.success,
-      error: req.query.error
-    });
+    console.log(`[TEAM] Schedule updated for ${member.name} (${weeklySchedule.length} working days)`);
+    res.redirect(scheduleUrl + '?success=Schedule updated');
   } catch (error) {
-    console.error('Super admin dashboard error:', error);
-    res.render('super-admin-dashboard', { owners: [], stats: {}, error: error.message });
+    console.error('Update team schedule error:', error);
+    res.redirect(scheduleUrl + '?error=Failed to update schedule');
   }
 });
 
-// Create Invitation
-app.post('/super-admin/invite', authenticateSuperAdmin, async (req, res) => {
+// Add a date exception (day off or different hours) for a Team Member
+app.post('/dashboard/team/exception/:memberId', authenticateToken, async (req, res) => {
+  const scheduleUrl = '/dashboard/team/schedule/' + encodeURIComponent(req.params.memberId);
   try {
-    const { email, clinicName } = req.body;
+    const owner = await Owner.findById(req.owner.id);
+    const member = findTeamMember(owner, req.params.memberId);
+    if (!member) {
+      return res.redirect('/dashboard/settings?error=Team member not found');
+    }
     
-    // Check if owner already exists
-    const existing = await Owner.findOne({ email: email.toLowerCase() });
-    if (existing) {
-      return res.redirect('/super-admin/dashboard?error=Email already exists');
+    const { date, startTime, endTime, note } = req.body;
+    const isOff = req.body.exceptionType !== 'hours';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+      return res.redirect(scheduleUrl + '?error=' + encodeURIComponent('Please choose a date'));
+    }
+    if (!isOff && (!/^\d{2}:\d{2}$/.test(startTime || '') || !/^\d{2}:\d{2}$/.test(endTime || '') || startTime >= endTime)) {
+      return res.redirect(scheduleUrl + '?error=' + encodeURIComponent('Please enter a start time before the end time'));
     }
     
-    // Create invitation
-    const invitationCode = generateInvitationCode();
-    const owner = new Owner({
-      email: email.toLowerCase(),
-      clinicName: clinicName || '',
-      invitationCode,
-      status: 'pending'
+    // One exception per date - a new one replaces the old
+    member.scheduleExceptions = (member.scheduleExceptions || []).filter(e => e.date !== date);
+    member.scheduleExceptions.push({
+      date,
+      isOff,
+      startTime: isOff ? '' : startTime,
+      endTime: isOff ? '' : endTime,
+      note: sanitizeInput(note) || ''
     });
-    
     await owner.save();
     
-    // Send invitation email
-    await sendInvitationEmail(email, invitationCode, clinicName);
+    res.redirect(scheduleUrl + '?success=Exception saved');
+  } catch (error) {
+    console.error('Add schedule exception error:', error);
+    res.redirect(scheduleUrl + '?error=Failed to save exception');
+  }
+});
+
+// Delete a date exception
+app.post('/dashboard/team/exception/:memberId/delete/:exceptionId', authenticateToken, async (req, res) => {
+  const scheduleUrl = '/dashboard/team/schedule/' + encodeURIComponent(req.params.memberId);
+  try {
+    await Owner.findOneAndUpdate(
+      { _id: req.owner.id, 'teamMembers._id': req.params.memberId },
+      { $pull: { 'teamMembers.$.scheduleExceptions': { _id: req.params.exceptionId } } }
+    );
     
-    res.redirect('/super-admin/dashboard?success=Invitation sent to ' + email);
+    res.redirect(scheduleUrl + '?success=Exception removed');
   } catch (error) {
-    console.error('Invite error:', error);
-    res.redirect('/super-admin/dashboard?error=' + error.message);
+    console.error('Delete schedule exception error:', error);
+    res.redirect(scheduleUrl + '?error=Failed to remove exception');
   }
 });
 
-// Ghost Mode - View dashboard as owner
-app.get('/super-admin/ghost/:id', authenticateSuperAdmin, async (req, res) => {
+// ============================================
+// ASSIGN TEAM MEMBER TO BOOKING
+// ============================================
+
+app.post('/api/assign-team-member', authenticateToken, async (req, res) => {
   try {
-    const owner = await Owner.findById(req.params.id);
-    if (!owner || owner.status !== 'active') {
-      return res.redirect('/super-admin/dashboard?error=Owner not found or not active');
+    const { bookingId, teamMemberId } = req.body;
+    const owner = await Owner.findById(req.owner.id);
+    
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const BookingsCollection = bookingDb.collection('bookings');
+    
+    const booking = await BookingsCollection.findOne({ id: parseInt(bookingId), clinicEmail: owner.email });
+    
+    if (!booking) {
+      return res.json({ success: false, error: 'Booking not found' });
     }
     
-    // Create a temporary token for ghost mode
-    const ghostToken = jwt.sign(
-      { id: owner._id, email: owner.email, ghost: true },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '1h' }
+    const lockedReason = checkBookingEditable(booking);
+    if (lockedReason) {
+      return res.json({ success: false, error: lockedReason });
+    }
+    
+    const isClientBooking = booking.type !== 'blocked';
+    const member = findTeamMember(owner, teamMemberId);
+    
+    if (teamMemberId && !member) {
+      return res.json({ success: false, error: 'Team member not found' });
+    }
+    if (!member && isClientBooking && owner.settings?.requireTeamMember) {
+      return res.json({ success: false, error: 'Every booking needs a team member' });
+    }
+    if (member && isClientBooking) {
+      if (!isTeamMemberAllowedForService(owner, booking.service, member._id)) {
+        return res.json({ success: false, error: `${member.name} does not offer ${booking.service}` });
+      }
+      const check = await checkTeamMemberAvailability(BookingsCollection, owner, member, booking.date, booking.time, booking.service, booking.id);
+      if (!check.available) {
+        return res.json({ success: false, error: check.reason });
+      }
+    }
+    
+    const updateData = { teamMemberId: member ? member._id.toString() : null, teamMemberName: member ? member.name : '' };
+    const result = await BookingsCollection.updateOne(
+      { id: booking.id, clinicEmail: owner.email },
+      { $set: updateData }
     );
+    await recordBookingHistory(owner, getRequestActor(req), 'assigned', [{ before: booking, after: updateData }]);
     
-    res.cookie('token', ghostToken, { httpOnly: true, secure: process.env.NODE_ENV === 'production' });
-    res.redirect('/dashboard?ghost=true&owner=' + encodeURIComponent(owner.clinicName || owner.email));
+    if (result.matchedCount === 0) {
+      return res.json({ success: false, error: 'Booking not found' });
+    }
+    
+    res.json({ success: true, modified: result.modifiedCount });
   } catch (error) {
-    console.error('Ghost mode error:', error);
-    res.redirect('/super-admin/dashboard?error=' + error.message);
+    console.error('Assign team member error:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Delete Owner
-app.post('/super-admin/delete/:id', authenticateSuperAdmin, async (req, res) => {
+// ============================================
+// CLIENTS
+// ============================================
+
+// Client list - search by name, email or phone, filter by tag
+app.get('/dashboard/clients', authenticateToken, async (req, res) => {
   try {
-    await Owner.findByIdAndDelete(req.params.id);
-    res.redirect('/super-admin/dashboard?success=Owner deleted successfully');
+    const owner = await Owner.findById(req.owner.id);
+
+    const q = String(req.query.q || '').trim().slice(0, 100);
+    const tag = String(req.query.tag || '').trim();
+    const query = { ownerId: owner._id };
+    if (tag) query.tags = tag;
+    if (q) {
+      const pattern = new RegExp(escapeRegExp(q), 'i');
+      const phoneKey = q.replace(/\D/g, '');
+      query.$or = [{ name: pattern }, { email: pattern }, ...(phoneKey.length >= 3 ? [{ phoneKey: new RegExp(phoneKey) }] : [])];
+    }
+
+    const clients = await Client.find(query).sort({ name: 1 }).limit(500).lean();
+    const stats = await getClientBookingStats(owner, { clientIds: clients.map(c => c._id.toString()) });
+    const allTags = await Client.distinct('tags', { ownerId: owner._id });
+
+    res.render('clients', {
+      owner,
+      notificationPreferences: NOTIFICATION_PREFERENCES,
+      clients: clients.map(c => ({ ...c, stats: stats.get(c._id.toString()) || {} })),
+      allTags: allTags.sort(),
+      q,
+      tag,
+      success: req.query.success || null,
+      error: req.query.error || null
+    });
   } catch (error) {
-    console.error('Delete error:', error);
-    res.redirect('/super-admin/dashboard?error=' + error.message);
+    console.error('Clients error:', error);
+    res.redirect('/dashboard');
   }
 });
 
-// Resend Invitation
-app.post('/super-admin/resend/:id', authenticateSuperAdmin, async (req, res) => {
+// Add a client by hand (e.g. a phone enquiry before their first booking)
+app.post('/dashboard/clients/add', authenticateToken, async (req, res) => {
   try {
-    const owner = await Owner.findById(req.params.id);
-    if (!owner) {
-      return res.redirect('/super-admin/dashboard?error=Owner not found');
+    const owner = await Owner.findById(req.owner.id);
+    const { fields, error } = parseClientForm(req.body, owner);
+    if (error) {
+      return res.redirect('/dashboard/clients?error=' + encodeURIComponent(error));
     }
-    
-    // Generate new invitation code
-    const newCode = generateInvitationCode();
-    owner.invitationCode = newCode;
-    await owner.save();
-    
-    // Send new invitation email
-    await sendInvitationEmail(owner.email, newCode, owner.clinicName);
-    
-    res.redirect('/super-admin/dashboard?success=Invitation resent to ' + owner.email);
+
+    const existing = await findClientByContact(owner, fields);
+    if (existing) {
+      return res.redirect('/dashboard/clients/' + existing._id + '?error=' + encodeURIComponent('A client with these contact details already exists'));
+    }
+
+    const client = await Client.create({
+      ownerId: owner._id,
+      ...fields,
+      marketingConsentAt: fields.marketingConsent ? new Date() : null,
+      ...(fields.emailOptOut && { emailOptOutAt: new Date(), emailOptOutSource: 'dashboard' }),
+      source: 'dashboard'
+    });
+
+    res.redirect('/dashboard/clients/' + client._id + '?success=' + encodeURIComponent('Client added'));
+  } catch (error) {
+    console.error('Add client error:', error);
+    res.redirect('/dashboard/clients?error=' + encodeURIComponent('Failed to add client'));
+  }
+});
+
+// Possible duplicate clients, side by side, to merge or dismiss
+app.get('/dashboard/clients/duplicates', authenticateToken, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.owner.id);
+
+    const clients = await Client.find({ ownerId: owner._id }).lean();
+    const pairs = findDuplicateClients(clients);
+    const stats = await getClientBookingStats(owner, {
+      clientIds: [...new Set(pairs.flatMap(p => [p.a._id.toString(), p.b._id.toString()]))]
+    });
+
+    res.render('client-duplicates', {
+      owner,
+      pairs: pairs.map(p => ({
+        ...p,
+        a: { ...p.a, stats: stats.get(p.a._id.toString()) || {} },
+        b: { ...p.b, stats: stats.get(p.b._id.toString()) || {} }
+      })),
+      success: req.query.success || null,
+      error: req.query.error || null
+    });
+  } catch (error) {
+    console.error('Duplicate clients error:', error);
+    res.redirect('/dashboard/clients?error=' + encodeURIComponent('Failed to check for duplicates'));
+  }
+});
+
+// Merge two clients. The older record is kept; name, email and phone are chosen from either one.
+app.post('/dashboard/clients/merge', authenticateToken, async (req, res) => {
+  const duplicatesUrl = '/dashboard/clients/duplicates';
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    const { a, b } = req.body;
+    if (![a, b].every(id => mongoose.Types.ObjectId.isValid(id)) || a === b) {
+      return res.redirect(duplicatesUrl + '?error=' + encodeURIComponent('Please choose two different clients'));
+    }
+
+    const clients = await Client.find({ ownerId: owner._id, _id: { $in: [a, b] } });
+    if (clients.length !== 2) {
+      return res.redirect(duplicatesUrl + '?error=' + encodeURIComponent('Client not found'));
+    }
+
+    // Only values from one of the two records, never free text
+    const pick = field => {
+      const value = req.body[field] || '';
+      return clients.some(c => (c[field] || '') === value) ? value : null;
+    };
+    const contact = { name: pick('name'), email: pick('email'), phone: pick('phone') };
+    if (!contact.name || contact.email === null || contact.phone === null) {
+      return res.redirect(duplicatesUrl + '?error=' + encodeURIComponent('Please choose the name, email and phone to keep'));
+    }
+
+    const [kept, merged] = clients.sort((x, y) => x.createdAt - y.createdAt);
+    const reasons = String(req.body.reasons || '').split(',').map(r => r.trim()).filter(Boolean).slice(0, 5);
+    const moved = await mergeClients(owner, kept, merged, contact, getRequestActor(req), reasons);
+
+    res.redirect(duplicatesUrl + '?success=' + encodeURIComponent(`Clients merged into ${contact.name} (${moved} bookings updated)`));
   } catch (error) {
-    console.error('Resend error:', error);
-    res.redirect('/super-admin/dashboard?error=' + error.message);
+    console.error('Merge clients error:', error);
+    res.redirect(duplicatesUrl + '?error=' + encodeURIComponent('Failed to merge clients'));
   }
 });
 
-// Super Admin Logout
-app.get('/super-admin/logout', (req, res) => {
-  res.clearCookie('superToken');
-  res.redirect('/super-admin/login');
-});
+// "Not the same person" - the pair is no longer suggested
+app.post('/dashboard/clients/duplicates/dismiss', authenticateToken, async (req, res) => {
+  const duplicatesUrl = '/dashboard/clients/duplicates';
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    const { a, b } = req.body;
+    if (![a, b].every(id => mongoose.Types.ObjectId.isValid(id)) || a === b) {
+      return res.redirect(duplicatesUrl + '?error=' + encodeURIComponent('Please choose two different clients'));
+    }
 
-// ============================================
-// OWNER REGISTRATION & AUTH ROUTES
-// ============================================
+    await Client.updateOne({ _id: a, ownerId: owner._id }, { $addToSet: { notDuplicateOf: String(b) } });
+    await Client.updateOne({ _id: b, ownerId: owner._id }, { $addToSet: { notDuplicateOf: String(a) } });
 
-// Register Page (with invitation code)
-app.get('/register', async (req, res) => {
-  const { code } = req.query;
-  
-  if (!code) {
-    return res.render('register', { error: 'Invalid invitation link', owner: null });
+    res.redirect(duplicatesUrl + '?success=' + encodeURIComponent('Marked as different clients'));
+  } catch (error) {
+    console.error('Dismiss duplicate error:', error);
+    res.redirect(duplicatesUrl + '?error=' + encodeURIComponent('Failed to update clients'));
   }
-  
+});
+
+// Client profile - details, private notes and every booking
+app.get('/dashboard/clients/:id', authenticateToken, async (req, res) => {
   try {
-    const owner = await Owner.findOne({ invitationCode: code, status: 'pending' });
-    if (!owner) {
-      return res.render('register', { error: 'Invalid or expired invitation', owner: null });
+    const owner = await Owner.findById(req.owner.id);
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.redirect('/dashboard/clients?error=' + encodeURIComponent('Client not found'));
     }
-    
-    res.render('register', { error: null, owner, code });
+    const client = await Client.findOne({ _id: req.params.id, ownerId: owner._id });
+    if (!client) {
+      return res.redirect('/dashboard/clients?error=' + encodeURIComponent('Client not found'));
+    }
+
+    const BookingsCollection = mongoose.connection.useDb('bookingdb').collection('bookings');
+    const bookings = await BookingsCollection.find({ clinicEmail: owner.email, clientId: client._id.toString() })
+      .sort({ date: -1, time: -1 })
+      .toArray();
+    const stats = (await getClientBookingStats(owner, { clientIds: [client._id.toString()] })).get(client._id.toString()) || {};
+
+    res.render('client-profile', {
+      owner,
+      client,
+      phoneE164: normalizePhoneE164(client.phone, owner.settings?.phoneCountryCode),
+      notificationPreferences: NOTIFICATION_PREFERENCES,
+      bookings: bookings.map(b => ({ ...b, status: getBookingStatus(b), outstanding: getOutstandingBalance(b) })),
+      stats,
+      timezone: getOwnerTimezone(owner),
+      success: req.query.success || null,
+      error: req.query.error || null
+    });
   } catch (error) {
-    res.render('register', { error: 'Something went wrong', owner: null });
+    console.error('Client profile error:', error);
+    res.redirect('/dashboard/clients?error=' + encodeURIComponent('Failed to load client'));
   }
 });
 
-// Register Submit (with security)
-app.post('/register', authLimiter, async (req, res) => {
-  const { code, password, confirmPassword, clinicName, clinicPhone, clinicAddress, websiteUrl } = req.body;
-  
-  // Input validation
-  if (!code || !password || !confirmPassword) {
-    return res.render('register', { error: 'All fields are required', owner: null });
-  }
-  
+// Update a client. Name, email and phone changes are copied onto their bookings
+// so emails and the dashboard use the new details.
+app.post('/dashboard/clients/:id', authenticateToken, async (req, res) => {
+  const profileUrl = '/dashboard/clients/' + encodeURIComponent(req.params.id);
   try {
-    const owner = await Owner.findOne({ invitationCode: code, status: 'pending' });
-    if (!owner) {
-      console.warn(`[SECURITY] Invalid registration attempt with code from ${req.ip}`);
-      return res.render('register', { error: 'Invalid invitation', owner: null });
+    const owner = await Owner.findById(req.owner.id);
+    const client = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Client.findOne({ _id: req.params.id, ownerId: owner._id })
+      : null;
+    if (!client) {
+      return res.redirect('/dashboard/clients?error=' + encodeURIComponent('Client not found'));
     }
-    
-    if (password !== confirmPassword) {
-      return res.render('register', { error: 'Passwords do not match', owner, code });
+
+    const { fields, error } = parseClientForm(req.body, owner);
+    if (error) {
+      return res.redirect(profileUrl + '?error=' + encodeURIComponent(error));
     }
-    
-    // Strong password validation
-    if (password.length < 8) {
-      return res.render('register', { error: 'Password must be at least 8 characters', owner, code });
+    if (fields.email && fields.email !== client.email) {
+      const taken = await Client.exists({ ownerId: owner._id, email: fields.email, _id: { $ne: client._id } });
+      if (taken) {
+        return res.redirect(profileUrl + '?error=' + encodeURIComponent('Another client already uses this email'));
+      }
     }
-    
-    if (!/[A-Z]/.test(password) || !/[a-z]/.test(password) || !/[0-9]/.test(password)) {
-      return res.render('register', { error: 'Password must contain uppercase, lowercase, and numbers', owner, code });
+
+    const contact = { name: fields.name, email: fields.email, phone: fields.phone };
+    const contactChanged = contact.name !== client.name || contact.email !== client.email || contact.phone !== client.phone;
+    if (fields.marketingConsent !== client.marketingConsent) {
+      client.marketingConsentAt = fields.marketingConsent ? new Date() : null;
     }
-    
-    // Hash password with higher cost factor
-    const hashedPassword = await bcrypt.hash(password, 12);
-    owner.password = hashedPassword;
-    owner.status = 'active';
-    owner.invitationCode = null;
-    owner.clinicName = sanitizeInput(clinicName) || owner.clinicName;
-    owner.clinicEmail = owner.email;
-    owner.clinicPhone = sanitizeInput(clinicPhone) || '';
-    owner.clinicAddress = sanitizeInput(clinicAddress) || '';
-    owner.websiteUrl = sanitizeInput(websiteUrl) || '';
-    
-    await owner.save();
-    
-    // Auto-login with secure cookie
-    const token = jwt.sign({ id: owner._id, email: owner.email }, process.env.JWT_SECRET, { expiresIn: '7d' });
-    res.cookie('token', token, { 
-      httpOnly: true, 
-      secure: true,
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000
-    });
-    
-    console.log(`[AUTH] New owner registered: ${owner.email} from ${req.ip}`);
-    res.redirect('/dashboard');
+    if (fields.emailOptOut !== client.emailOptOut) {
+      client.emailOptOutAt = new Date();
+      client.emailOptOutSource = 'dashboard';
+    }
+    Object.assign(client, fields, { updatedAt: new Date() });
+    await client.save();
+
+    if (contactChanged) {
+      const BookingsCollection = mongoose.connection.useDb('bookingdb').collection('bookings');
+      const bookings = await BookingsCollection.find({ clinicEmail: owner.email, clientId: client._id.toString() }).toArray();
+      if (bookings.length > 0) {
+        await BookingsCollection.updateMany(
+          { clinicEmail: owner.email, clientId: client._id.toString() },
+          { $set: { ...contact, updatedAt: new Date() } }
+        );
+        await recordBookingHistory(owner, getRequestActor(req), 'updated', bookings.map(b => ({ before: b, after: contact })));
+      }
+    }
+
+    res.redirect(profileUrl + '?success=' + encodeURIComponent('Client saved'));
   } catch (error) {
-    console.error(`[ERROR] Registration error: ${error.message}`);
-    res.render('register', { error: error.message, owner: null });
+    console.error('Update client error:', error);
+    res.redirect(profileUrl + '?error=' + encodeURIComponent('Failed to save client'));
   }
 });
 
-// Login Page
-app.get('/login', (req, res) => {
-  res.render('login', { error: null });
-});
+// ============================================
+// CLIENT DATA REQUESTS (GDPR access and erasure)
+// ============================================
 
-// Login Submit (with rate limiting and security)
-app.post('/login', authLimiter, async (req, res) => {
-  const { email, password } = req.body;
-  
-  // Input validation
-  if (!email || !password) {
-    return res.render('login', { error: 'Email and password are required' });
-  }
-  
-  // Sanitize email
-  const sanitizedEmail = email.toLowerCase().trim();
-  
+// Everything held about one client - by client id, or by email for someone without a client record.
+// JSON, or a ZIP with the same JSON plus the bookings as CSV.
+app.get('/dashboard/privacy/export', authenticateToken, async (req, res) => {
   try {
-    const owner = await Owner.findOne({ email: sanitizedEmail, status: 'active' });
-    if (!owner) {
-      console.warn(`[SECURITY] Failed login attempt from ${req.ip} for email: ${sanitizedEmail}`);
-      return res.render('login', { error: 'Invalid email or password' });
+    const owner = await Owner.findById(req.owner.id);
+    const email = normalizeClientEmail(req.query.email);
+    if (email && !validator.isEmail(email)) {
+      return res.redirect('/dashboard/clients?error=' + encodeURIComponent('Please enter a valid email address'));
     }
-    
-    const validPassword = await bcrypt.compare(password, owner.password);
-    if (!validPassword) {
-      console.warn(`[SECURITY] Failed login attempt from ${req.ip} for email: ${sanitizedEmail}`);
-      return res.render('login', { error: 'Invalid email or password' });
+    const subject = await findDataSubject(owner, { clientId: req.query.clientId, email });
+    if (!subject) {
+      return res.redirect('/dashboard/clients?error=' + encodeURIComponent('Client not found'));
     }
-    
-    const token = jwt.sign({ id: owner._id, email: owner.email }, process.env.JWT_SECRET, { expiresIn: '7d' });
-    res.cookie('token', token, { 
-      httpOnly: true, 
-      secure: true,
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+
+    const records = await collectDataSubjectRecords(owner, subject);
+    const bundle = buildDataSubjectExport(owner, subject, records);
+    await logDataRequest(owner, subject, 'export', countDataSubjectRecords(records), getRequestActor(req));
+
+    const filename = `client-data-${new Date().toISOString().split('T')[0]}`;
+    if (req.query.format !== 'zip') {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}.json`);
+      return res.send(JSON.stringify(bundle, null, 2));
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}.zip`);
+    const zip = archiver('zip');
+    zip.on('error', error => {
+      console.error('Client data export zip error:', error);
+      res.destroy(error);
     });
-    
-    console.log(`[AUTH] Successful login for ${sanitizedEmail} from ${req.ip}`);
-    res.redirect('/dashboard');
+    zip.pipe(res);
+    zip.append(JSON.stringify(bundle, null, 2), { name: 'client-data.json' });
+    zip.append(
+      toCsvRow(BOOKING_EXPORT_COLUMNS.map(c => c.header)) + records.bookings.map(b => toCsvRow(Object.values(bookingExportRow(b)))).join(''),
+      { name: 'bookings.csv' }
+    );
+    await zip.finalize();
   } catch (error) {
-    console.error(`[ERROR] Login error: ${error.message}`);
-    res.render('login', { error: 'Something went wrong' });
+    console.error('Client data export error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.redirect('/dashboard/clients?error=' + encodeURIComponent('Failed to export client data'));
   }
 });
 
-// Logout
-app.get('/logout', (req, res) => {
-  res.clearCookie('token');
-  res.redirect('/login');
+// Erase a client (GDPR erasure request) - anonymize their bookings or delete them
+app.post('/dashboard/privacy/erase', authenticateToken, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    const mode = req.body.mode === 'delete' ? 'delete' : 'anonymize';
+    const email = normalizeClientEmail(req.body.email);
+    if (email && !validator.isEmail(email)) {
+      return res.redirect('/dashboard/clients?error=' + encodeURIComponent('Please enter a valid email address'));
+    }
+    const subject = await findDataSubject(owner, { clientId: req.body.clientId, email });
+    if (!subject) {
+      return res.redirect('/dashboard/clients?error=' + encodeURIComponent('Client not found'));
+    }
+    const backUrl = subject.clientId ? '/dashboard/clients/' + subject.clientId : '/dashboard/clients';
+
+    const records = await collectDataSubjectRecords(owner, subject);
+
+    // Appointments still to come would be left without a client to contact
+    const today = getTodayInTimezone(getOwnerTimezone(owner));
+    const upcoming = records.bookings.filter(b => b.date >= today && ['pending', 'confirmed'].includes(getBookingStatus(b)));
+    if (upcoming.length > 0) {
+      const error = `This client has ${upcoming.length} upcoming booking${upcoming.length === 1 ? '' : 's'}. Cancel ${upcoming.length === 1 ? 'it' : 'them'} first.`;
+      return res.redirect(backUrl + '?error=' + encodeURIComponent(error));
+    }
+
+    await eraseDataSubject(owner, records, mode);
+    await logDataRequest(owner, subject, mode, countDataSubjectRecords(records), getRequestActor(req));
+
+    const message = mode === 'delete'
+      ? `Client data deleted (${records.bookings.length} bookings removed)`
+      : `Client data erased (${records.bookings.length} bookings anonymized)`;
+    res.redirect('/dashboard/clients?success=' + encodeURIComponent(message));
+  } catch (error) {
+    console.error('Client erasure error:', error);
+    res.redirect('/dashboard/clients?error=' + encodeURIComponent('Failed to erase client data'));
+  }
 });
 
 // ============================================
-// DASHBOARD ROUTES (Protected)
+// EMAIL LOG
 // ============================================
 
-// Dashboard Home - Fetches bookings from booking-api's collection
-app.get('/dashboard', authenticateToken, async (req, res) => {
+// Every email and text message sent (or still trying) for this business, newest first
+app.get('/dashboard/emails', authenticateToken, async (req, res) => {
   try {
     const owner = await Owner.findById(req.owner.id);
-    
-    // Get bookings from the shared bookingdb collection (same as booking-api)
-    const bookingDb = mongoose.connection.useDb('bookingdb');
-    const BookingsCollection = bookingDb.collection('bookings');
-    
-    const shopifyBookings = await BookingsCollection.find({ 
-      clinicEmail: owner.email
-    }).sort({ date: -1, time: -1 }).toArray();
-    
-    // Sort all bookings by date/time descending
-    const allBookings = shopifyBookings.sort((a, b) => {
-      const dateA = new Date(a.date + 'T' + a.time);
-      const dateB = new Date(b.date + 'T' + b.time);
-      return dateB - dateA;
+    const status = ['queued', 'sending', 'sent', 'failed'].includes(req.query.status) ? req.query.status : '';
+
+    const messages = await EmailOutbox.find({ ownerId: owner._id, ...(status && { status }) })
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .select('-payload')
+      .lean();
+    const counts = await EmailOutbox.aggregate([
+      { $match: { ownerId: owner._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.render('email-log', {
+      owner,
+      messages,
+      status,
+      counts: Object.fromEntries(counts.map(c => [c._id, c.count])),
+      channelLabels: NOTIFICATION_CHANNEL_LABELS,
+      timezone: getOwnerTimezone(owner),
+      success: req.query.success || null,
+      error: req.query.error || null
     });
-    
-    // Calculate stats for new dashboard
-    const today = new Date().toISOString().split('T')[0];
-    const todayBookings = allBookings.filter(b => b.date === today && b.status !== 'cancelled');
-    const completedBookings = allBookings.filter(b => b.status === 'completed').length;
-    const pendingBookings = allBookings.filter(b => !b.status || b.status === 'pending' || b.status === 'confirmed').length;
-    
-    // Get unique clients
-    const uniqueClients = new Set(allBookings.map(b => b.email)).size;
-    
-    // Use old UI by default
-    res.render('dashboard', { owner, bookings: allBookings, success: req.query.success });
   } catch (error) {
-    console.error('Dashboard error:', error);
-    res.render('dashboard', { owner: null, bookings: [], error: error.message });
+    console.error('Email log error:', error);
+    res.redirect('/dashboard?error=' + encodeURIComponent('Failed to load the email log'));
   }
 });
 
-// Add Manual Booking Page
-app.get('/dashboard/add-booking', authenticateToken, async (req, res) => {
+// Queue a failed email or text message again (fresh set of retries)
+app.post('/dashboard/emails/:id/resend', authenticateToken, async (req, res) => {
   try {
     const owner = await Owner.findById(req.owner.id);
-    res.render('add-booking', { owner, error: null });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.redirect('/dashboard/emails?error=' + encodeURIComponent('Email not found'));
+    }
+
+    const result = await EmailOutbox.updateOne(
+      { _id: req.params.id, ownerId: owner._id, status: 'failed' },
+      { $set: { status: 'queued', attemptCount: 0, nextAttemptAt: new Date(), lastError: '' } }
+    );
+    if (result.matchedCount === 0) {
+      return res.redirect('/dashboard/emails?error=' + encodeURIComponent('Only failed emails can be resent'));
+    }
+
+    setImmediate(processEmailOutbox);
+    res.redirect('/dashboard/emails?success=' + encodeURIComponent('Email queued to be sent again'));
   } catch (error) {
-    res.redirect('/dashboard');
+    console.error('Resend email error:', error);
+    res.redirect('/dashboard/emails?error=' + encodeURIComponent('Failed to resend email'));
   }
 });
 
-// Add Manual Booking Submit - Saves to bookingdb for Shopify sync
-app.post('/dashboard/add-booking', authenticateToken, async (req, res) => {
+// ============================================
+// WAITLIST
+// ============================================
+
+// Waitlist Page
+app.get('/dashboard/waitlist', authenticateToken, async (req, res) => {
   try {
     const owner = await Owner.findById(req.owner.id);
-    const { date, time, name, email, phone, service, notes, type } = req.body;
-    
-    // Get bookingdb collection
-    const bookingDb = mongoose.connection.useDb('bookingdb');
-    const BookingsCollection = bookingDb.collection('bookings');
-    
-    // Check for double-booking (slot already taken)
-    const slotsPerHour = owner.settings?.slotsPerHour || 1;
-    const existingBookings = await BookingsCollection.countDocuments({
-      date,
-      time,
-      clinicEmail: owner.email,
-      status: { $nin: ['cancelled', 'no-show'] }
+    const entries = await WaitlistEntry.find({ ownerId: owner._id, status: { $ne: 'removed' } })
+      .sort({ createdAt: 1 });
+
+    res.render('waitlist', {
+      owner,
+      entries,
+      timezone: getOwnerTimezone(owner),
+      success: req.query.success || null,
+      error: req.query.error || null
     });
-    
-    if (existingBookings >= slotsPerHour) {
-      return res.render('add-booking', { 
-        owner, 
-        error: `This time slot is already fully booked (${existingBookings}/${slotsPerHour} slots taken). Please choose another time.` 
-      });
+  } catch (error) {
+    console.error('Waitlist error:', error);
+    res.redirect('/dashboard');
+  }
+});
+
+// Add client to waitlist
+app.post('/dashboard/waitlist/add', authenticateToken, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    const { clientName, clientEmail, clientPhone, service, teamMemberId, dateFrom, dateTo, notes } = req.body;
+
+    if (!clientName || !clientEmail || !validator.isEmail(clientEmail)) {
+      return res.redirect('/dashboard/waitlist?error=' + encodeURIComponent('Please enter the client name and a valid email'));
     }
-    
-    // Get team member info if selected
-    const teamMemberId = req.body.teamMemberId || null;
+    if (!dateFrom || !dateTo || dateFrom > dateTo) {
+      return res.redirect('/dashboard/waitlist?error=' + encodeURIComponent('Please choose a valid date range'));
+    }
+
     let teamMemberName = '';
     if (teamMemberId && owner.teamMembers) {
       const member = owner.teamMembers.find(m => m._id.toString() === teamMemberId);
       if (member) teamMemberName = member.name;
     }
-    
-    const bookingData = {
+
+    await WaitlistEntry.create({
+      ownerId: owner._id,
+      clientName: sanitizeInput(clientName),
+      clientEmail: clientEmail.toLowerCase().trim(),
+      clientPhone: sanitizeInput(clientPhone) || '',
+      service: service || '',
+      teamMemberId: teamMemberName ? teamMemberId : null,
+      teamMemberName,
+      dateFrom,
+      dateTo,
+      notes: sanitizeInput(notes) || '',
+      source: 'dashboard'
+    });
+
+    res.redirect('/dashboard/waitlist?success=' + encodeURIComponent('Client added to waitlist'));
+  } catch (error) {
+    console.error('Add waitlist error:', error);
+    res.redirect('/dashboard/waitlist?error=' + encodeURIComponent('Failed to add client to waitlist'));
+  }
+});
+
+// Remove client from waitlist
+app.post('/dashboard/waitlist/remove/:id', authenticateToken, async (req, res) => {
+  try {
+    await WaitlistEntry.updateOne(
+      { _id: req.params.id, ownerId: req.owner.id },
+      { $set: { status: 'removed', 'offer.token': null } }
+    );
+    res.redirect('/dashboard/waitlist?success=' + encodeURIComponent('Client removed from waitlist'));
+  } catch (error) {
+    console.error('Remove waitlist error:', error);
+    res.redirect('/dashboard/waitlist?error=' + encodeURIComponent('Failed to remove client'));
+  }
+});
+
+// Claim Offer Page (public, link from the offer email)
+app.get('/waitlist/claim/:token', async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({ 'offer.token': req.params.token });
+    const owner = entry ? await Owner.findById(entry.ownerId) : null;
+
+    if (!entry || !owner) {
+      return res.render('waitlist-claim', { error: translate(getBrowserLocale(req), 'waitlistClaim.invalidLink'), entry: null, owner: null, success: null });
+    }
+    const locale = await getClientLocale(owner, { email: entry.clientEmail, phone: entry.clientPhone });
+    const timezone = getOwnerTimezone(owner);
+    if (entry.status === 'booked') {
+      return res.render('waitlist-claim', { error: null, entry, owner, locale, timezone, success: translate(locale, 'waitlistClaim.alreadyBooked') });
+    }
+    if (entry.status !== 'offered' || entry.offer.expiresAt <= new Date()) {
+      return res.render('waitlist-claim', { error: translate(locale, 'waitlistClaim.expired'), entry: null, owner, locale, success: null });
+    }
+
+    res.render('waitlist-claim', { error: null, entry, owner, locale, timezone, success: null });
+  } catch (error) {
+    console.error('Waitlist claim page error:', error);
+    res.render('waitlist-claim', { error: translate(getBrowserLocale(req), 'common.somethingWrong'), entry: null, owner: null, success: null });
+  }
+});
+
+// Claim Offer - books the offered slot
+app.post('/waitlist/claim/:token', apiLimiter, async (req, res) => {
+  const claimUrl = '/waitlist/claim/' + encodeURIComponent(req.params.token);
+  try {
+    // Atomic so a double click or an expiry running at the same time can't book twice
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { 'offer.token': req.params.token, status: 'offered', 'offer.expiresAt': { $gt: new Date() } },
+      { $set: { status: 'booked' } },
+      { new: true }
+    );
+    if (!entry) {
+      return res.redirect(claimUrl);
+    }
+
+    const owner = await Owner.findById(entry.ownerId);
+    const locale = await getClientLocale(owner, { email: entry.clientEmail, phone: entry.clientPhone });
+    const { date, time, service, teamMemberId, teamMemberName } = entry.offer;
+    const slotKey = `${date} ${time}`;
+
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const BookingsCollection = bookingDb.collection('bookings');
+
+    // Someone may have booked the slot directly since the offer went out
+    const releaseEntry = async () => {
+      await WaitlistEntry.updateOne(
+        { _id: entry._id },
+        { $set: { status: 'waiting', 'offer.token': null }, $addToSet: { skippedSlots: slotKey } }
+      );
+    };
+
+    const capacity = await checkSlotCapacity(BookingsCollection, owner, date, time, null, service);
+    if (!capacity.available) {
+      await releaseEntry();
+      return res.render('waitlist-claim', { error: translate(locale, 'waitlistClaim.slotTaken'), entry: null, owner, locale, success: null });
+    }
+
+    const booking = {
       id: Date.now(),
       date,
       time,
-      name: type === 'blocked' ? 'BLOCKED' : name,
-      email: type === 'blocked' ? '' : email,
-      phone: type === 'blocked' ? '' : phone,
-      service: type === 'blocked' ? 'Blocked Slot' : service,
-      notes: notes || '',
-      type: type || 'booking',
+      name: entry.clientName,
+      email: entry.clientEmail,
+      phone: entry.clientPhone || '',
+      clientId: await resolveBookingClientId(owner, { name: entry.clientName, email: entry.clientEmail, phone: entry.clientPhone }, 'waitlist'),
+      service: service || '',
+      ...getServiceBookingFields(owner, service),
+      ...getNewBookingPaymentFields(owner, service),
+      notes: entry.notes || '',
+      type: 'booking',
       status: 'confirmed',
       cancelToken: crypto.randomBytes(16).toString('hex'),
       clinicName: owner.clinicName,
@@ -1255,568 +6329,607 @@ app.post('/dashboard/add-booking', authenticateToken, async (req, res) => {
       clinicPhone: owner.clinicPhone,
       clinicAddress: owner.clinicAddress,
       websiteUrl: owner.websiteUrl,
-      teamMemberId: teamMemberId,
-      teamMemberName: teamMemberName,
+      teamMemberId: teamMemberId ? teamMemberId.toString() : null,
+      teamMemberName: teamMemberName || '',
+      waitlistEntryId: entry._id.toString(),
       createdAt: new Date(),
-      source: 'dashboard'
+      source: 'waitlist'
     };
-    
-    await BookingsCollection.insertOne(bookingData);
-    
-    // Send confirmation email to client (if not a blocked slot)
-    if (type !== 'blocked' && email) {
-      await sendBookingConfirmationEmail(bookingData, owner);
+    await BookingsCollection.insertOne(booking);
+
+    // Roll back if a concurrent booking filled the slot between the check and the insert
+    const recheck = await checkSlotCapacity(BookingsCollection, owner, date, time, null, service);
+    if (recheck.taken > recheck.slotsPerHour) {
+      await BookingsCollection.deleteOne({ id: booking.id, clinicEmail: owner.email });
+      await releaseEntry();
+      return res.render('waitlist-claim', { error: translate(locale, 'waitlistClaim.slotTaken'), entry: null, owner, locale, success: null });
     }
-    
-    res.redirect('/dashboard?success=Booking added successfully');
+
+    await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { bookingId: booking.id } });
+    await recordBookingHistory(owner, getClientActor(booking), 'created', [{ before: null, after: booking }]);
+    await sendBookingNotification('confirmation', booking, owner);
+
+    console.log(`[WAITLIST] ${entry.clientEmail} claimed ${date} ${time} (booking ${booking.id})`);
+    res.render('waitlist-claim', { error: null, entry, owner, locale, timezone: getOwnerTimezone(owner), success: translate(locale, 'waitlistClaim.booked') });
   } catch (error) {
-    console.error('Add booking error:', error);
-    const owner = await Owner.findById(req.owner.id);
-    res.render('add-booking', { owner, error: error.message });
+    console.error('Waitlist claim error:', error);
+    res.render('waitlist-claim', { error: translate(getBrowserLocale(req), 'waitlistClaim.failed'), entry: null, owner: null, success: null });
   }
 });
 
-// Cancel Booking - Marks as cancelled (doesn't delete) and frees slot if 6+ hours before
-app.post('/dashboard/cancel-booking/:id', authenticateToken, async (req, res) => {
+// ============================================
+// CLOSURES (holidays, days off, partial-day closures)
+// ============================================
+
+// Success message for a saved closure, listing bookings that still fall inside it
+function closureSavedMessage(owner, messageKey, affected) {
+  const locale = getOwnerLocale(owner);
+  const message = translate(locale, messageKey);
+  if (affected.length === 0) return message;
+  const bookings = affected.slice(0, 10).map(b => `${b.date} ${b.time} ${b.name}`).join(', ') + (affected.length > 10 ? ', ...' : '');
+  return translate(locale, 'closures.messages.affected', { message, count: affected.length, bookings });
+}
+
+// Closures Page
+app.get('/dashboard/closures', authenticateToken, async (req, res) => {
   try {
     const owner = await Owner.findById(req.owner.id);
-    const bookingId = parseInt(req.params.id);
-    
-    // Get the booking first
-    const bookingDb = mongoose.connection.useDb('bookingdb');
-    const BookingsCollection = bookingDb.collection('bookings');
-    const booking = await BookingsCollection.findOne({ id: bookingId, clinicEmail: owner.email });
-    
-    if (!booking) {
-      return res.redirect('/dashboard?error=Booking not found');
-    }
-    
-    // Check if cancellation is 6+ hours before appointment
-    const appointmentTime = new Date(booking.date + 'T' + booking.time);
-    const now = new Date();
-    const hoursUntilAppointment = (appointmentTime - now) / (1000 * 60 * 60);
-    
-    // Mark as cancelled (slot freed if 6+ hours before)
-    const updateData = {
-      status: 'cancelled',
-      cancelledAt: new Date(),
-      cancelledBy: 'owner',
-      slotFreed: hoursUntilAppointment >= 6
-    };
-    
-    await BookingsCollection.updateOne(
-      { id: bookingId, clinicEmail: owner.email },
-      { $set: updateData }
-    );
-    
-    // Send cancellation email to client
-    if (booking.email) {
-      await sendCancellationEmailToClient(booking, owner);
-    }
-    
-    const message = hoursUntilAppointment >= 6 
-      ? 'Booking cancelled and slot freed' 
-      : 'Booking cancelled (slot not freed - less than 6 hours notice)';
-    
-    res.redirect('/dashboard?success=' + encodeURIComponent(message));
+    const today = getTodayInTimezone(getOwnerTimezone(owner));
+    const showPast = req.query.past === '1';
+    
+    const closures = await Closure.find({
+      ownerId: owner._id,
+      ...(!showPast && { dateTo: { $gte: today } })
+    }).sort({ dateFrom: 1, startTime: 1 });
+    
+    const editing = req.query.edit ? closures.find(c => c._id.toString() === req.query.edit) || null : null;
+    
+    res.render('closures', {
+      owner,
+      closures,
+      editing,
+      showPast,
+      today,
+      success: req.query.success || null,
+      error: req.query.error || null
+    });
   } catch (error) {
-    console.error('Cancel booking error:', error);
-    res.redirect('/dashboard?error=' + error.message);
+    console.error('Closures error:', error);
+    res.redirect('/dashboard');
   }
 });
 
-// Send Reminder Email to Client
-app.post('/dashboard/send-reminder/:id', authenticateToken, async (req, res) => {
+// Add Closure
+app.post('/dashboard/closures/add', authenticateToken, async (req, res) => {
   try {
     const owner = await Owner.findById(req.owner.id);
-    const bookingId = parseInt(req.params.id);
-    
-    const bookingDb = mongoose.connection.useDb('bookingdb');
-    const BookingsCollection = bookingDb.collection('bookings');
-    const booking = await BookingsCollection.findOne({ id: bookingId, clinicEmail: owner.email });
-    
-    if (!booking) {
-      return res.redirect('/dashboard?error=Booking not found');
-    }
-    
-    if (!booking.email) {
-      return res.redirect('/dashboard?error=No email address for this booking');
+    const { error, closure } = parseClosureForm(req.body, owner);
+    if (error) {
+      return res.redirect('/dashboard/closures?error=' + encodeURIComponent(error));
     }
     
-    await sendReminderEmail(booking, owner);
+    await Closure.create({ ownerId: owner._id, ...closure, source: 'dashboard' });
     
-    // Mark that reminder was sent
-    await BookingsCollection.updateOne(
-      { id: bookingId },
-      { $set: { reminderSent: true, reminderSentAt: new Date() } }
-    );
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const affected = await findBookingsInClosure(bookingDb.collection('bookings'), owner, closure);
     
-    res.redirect('/dashboard?success=Reminder email sent to ' + booking.email);
+    res.redirect('/dashboard/closures?success=' + encodeURIComponent(closureSavedMessage(owner, 'closures.messages.added', affected)));
   } catch (error) {
-    console.error('Send reminder error:', error);
-    res.redirect('/dashboard?error=' + error.message);
+    console.error('Add closure error:', error);
+    res.redirect('/dashboard/closures?error=Failed to add closure');
   }
 });
 
-// Mark booking as no-show
-app.post('/dashboard/no-show/:id', authenticateToken, async (req, res) => {
+// Update Closure
+app.post('/dashboard/closures/update/:id', authenticateToken, async (req, res) => {
   try {
     const owner = await Owner.findById(req.owner.id);
-    const bookingId = parseInt(req.params.id);
+    const { error, closure } = parseClosureForm(req.body, owner);
+    if (error) {
+      return res.redirect('/dashboard/closures?edit=' + encodeURIComponent(req.params.id) + '&error=' + encodeURIComponent(error));
+    }
     
-    const bookingDb = mongoose.connection.useDb('bookingdb');
-    const BookingsCollection = bookingDb.collection('bookings');
+    const result = await Closure.updateOne({ _id: req.params.id, ownerId: owner._id }, { $set: closure });
+    if (result.matchedCount === 0) {
+      return res.redirect('/dashboard/closures?error=Closure not found');
+    }
     
-    await BookingsCollection.updateOne(
-      { id: bookingId, clinicEmail: owner.email },
-      { $set: { status: 'no-show', markedAt: new Date() } }
-    );
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const affected = await findBookingsInClosure(bookingDb.collection('bookings'), owner, closure);
     
-    res.redirect('/dashboard?success=Marked as no-show');
+    res.redirect('/dashboard/closures?success=' + encodeURIComponent(closureSavedMessage(owner, 'closures.messages.updated', affected)));
   } catch (error) {
-    res.redirect('/dashboard?error=' + error.message);
+    console.error('Update closure error:', error);
+    res.redirect('/dashboard/closures?error=Failed to update closure');
   }
 });
 
-// AI Assistant Page (placeholder)
-app.get('/ai-assistant', authenticateToken, async (req, res) => {
+// Delete Closure
+app.post('/dashboard/closures/delete/:id', authenticateToken, async (req, res) => {
   try {
-    const owner = await Owner.findById(req.owner.id);
-    res.render('ai-assistant', { owner });
+    await Closure.deleteOne({ _id: req.params.id, ownerId: req.owner.id });
+    res.redirect('/dashboard/closures?success=Closure removed');
   } catch (error) {
-    res.redirect('/dashboard?error=AI Assistant not available');
+    console.error('Delete closure error:', error);
+    res.redirect('/dashboard/closures?error=Failed to remove closure');
   }
 });
 
-// Mark booking as completed and send review request
-app.post('/dashboard/complete/:id', authenticateToken, async (req, res) => {
+// Import public holidays from an iCalendar (.ics) file.
+// The file is posted as the raw body (text/calendar) - it is larger than the form body limit.
+app.post('/dashboard/closures/import', authenticateToken, express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' }), async (req, res) => {
   try {
     const owner = await Owner.findById(req.owner.id);
-    const bookingId = parseInt(req.params.id);
-    
-    const bookingDb = mongoose.connection.useDb('bookingdb');
-    const BookingsCollection = bookingDb.collection('bookings');
-    
-    const booking = await BookingsCollection.findOne({ id: bookingId, clinicEmail: owner.email });
-    
-    // Generate review token
-    const reviewToken = require('crypto').randomBytes(32).toString('hex');
-    
-    await BookingsCollection.updateOne(
-      { id: bookingId, clinicEmail: owner.email },
-      { $set: { status: 'completed', completedAt: new Date(), reviewToken: reviewToken } }
-    );
-    
-    // Send review request email
-    if (booking && booking.email) {
-      await sendReviewRequestEmail(booking, owner, reviewToken);
+    if (typeof req.body !== 'string' || !req.body.includes('BEGIN:VCALENDAR')) {
+      return res.status(400).json({ success: false, error: 'This does not look like an iCalendar (.ics) file' });
     }
     
-    res.redirect('/dashboard?success=Marked as completed - Review request sent');
-  } catch (error) {
-    res.redirect('/dashboard?error=' + error.message);
-  }
-});
-
-// Public Review Page
-app.get('/review/:token', async (req, res) => {
-  try {
-    const bookingDb = mongoose.connection.useDb('bookingdb');
-    const BookingsCollection = bookingDb.collection('bookings');
-    
-    const booking = await BookingsCollection.findOne({ reviewToken: req.params.token });
-    
-    if (!booking) {
-      return res.render('review', { error: 'Invalid or expired review link', booking: null, owner: null });
+    const events = parseICalEvents(req.body, getOwnerTimezone(owner));
+    const member = findTeamMember(owner, req.query.teamMemberId);
+    const today = getTodayInTimezone(getOwnerTimezone(owner));
+    
+    const existing = await Closure.find({ ownerId: owner._id, source: 'ical' }).select('icalUid dateFrom');
+    const existingKeys = new Set(existing.map(c => `${c.icalUid}|${c.dateFrom}`));
+    
+    const closures = events
+      .filter(e => e.dateTo >= today && daysBetweenDates(e.dateFrom, e.dateTo) < MAX_CLOSURE_DAYS)
+      .filter(e => !existingKeys.has(`${e.uid}|${e.dateFrom}`))
+      .map(e => ({
+        ownerId: owner._id,
+        dateFrom: e.dateFrom,
+        dateTo: e.dateTo,
+        startTime: e.startTime,
+        endTime: e.endTime,
+        teamMemberId: member ? member._id : null,
+        teamMemberName: member ? member.name : '',
+        reason: sanitizeInput(e.summary).slice(0, 200),
+        source: 'ical',
+        icalUid: e.uid
+      }));
+    
+    if (closures.length > 0) {
+      await Closure.insertMany(closures);
     }
     
-    const owner = await Owner.findOne({ email: booking.clinicEmail });
-    
-    res.render('review', { booking, owner, error: null, success: null });
+    console.log(`[CLOSURES] Imported ${closures.length} of ${events.length} iCal events for ${owner.email}`);
+    res.json({ success: true, imported: closures.length, skipped: events.length - closures.length });
   } catch (error) {
-    res.render('review', { error: 'Something went wrong', booking: null, owner: null });
+    console.error('Import closures error:', error);
+    res.status(500).json({ success: false, error: 'Failed to import calendar' });
   }
 });
 
-// Submit Review
-app.post('/review/:token', async (req, res) => {
+// Quick Day Off from the dashboard - stored as a closure
+app.post('/dashboard/day-off', authenticateToken, async (req, res) => {
   try {
-    const { rating, comment } = req.body;
-    
-    const bookingDb = mongoose.connection.useDb('bookingdb');
-    const BookingsCollection = bookingDb.collection('bookings');
-    
-    const booking = await BookingsCollection.findOne({ reviewToken: req.params.token });
-    
-    if (!booking) {
-      return res.render('review', { error: 'Invalid or expired review link', booking: null, owner: null });
+    const owner = await Owner.findById(req.owner.id);
+    const { error, closure } = parseClosureForm(req.body, owner);
+    if (error) {
+      return res.redirect('/dashboard?error=' + encodeURIComponent(error));
     }
     
-    const owner = await Owner.findOne({ email: booking.clinicEmail });
-    
-    // Add review to owner's reviews array
-    await Owner.findByIdAndUpdate(owner._id, {
-      $push: {
-        reviews: {
-          bookingId: booking.id,
-          clientName: booking.name,
-          clientEmail: booking.email,
-          rating: parseInt(rating),
-          comment: comment || '',
-          service: booking.service,
-          teamMemberName: booking.teamMemberName || '',
-          isPublic: false,
-          createdAt: new Date()
-        }
-      }
-    });
+    await Closure.create({ ownerId: owner._id, ...closure, reason: closure.reason || 'Day Off', source: 'dashboard' });
     
-    // Mark review as submitted
-    await BookingsCollection.updateOne(
-      { reviewToken: req.params.token },
-      { $set: { reviewSubmitted: true } }
-    );
+    // Existing appointments still inside the time off, including long services that started earlier
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const affected = await findBookingsInClosure(bookingDb.collection('bookings'), owner, closure);
     
-    res.render('review', { booking, owner, error: null, success: 'Thank you for your feedback!' });
+    res.redirect('/dashboard?success=' + encodeURIComponent(closureSavedMessage(owner, 'closures.messages.dayOff', affected)));
   } catch (error) {
-    res.render('review', { error: 'Failed to submit review', booking: null, owner: null });
+    console.error('Day off error:', error);
+    res.redirect('/dashboard?error=Failed to schedule day off');
   }
 });
 
-// Edit Booking Page
-app.get('/dashboard/edit-booking/:id', authenticateToken, async (req, res) => {
-  try {
-    const owner = await Owner.findById(req.owner.id);
-    const bookingId = parseInt(req.params.id);
-    
-    const bookingDb = mongoose.connection.useDb('bookingdb');
-    const BookingsCollection = bookingDb.collection('bookings');
-    
-    const booking = await BookingsCollection.findOne({ id: bookingId, clinicEmail: owner.email });
-    
-    if (!booking) {
-      return res.redirect('/dashboard?error=Booking not found');
-    }
-    
-    res.render('edit-booking', { owner, booking, error: req.query.error });
-  } catch (error) {
-    res.redirect('/dashboard?error=' + error.message);
+// ============================================
+// BOOKING IMPORT (CSV from other booking tools)
+// ============================================
+
+// Raw CSV body; the column mapping and date format travel in the query string
+const importCsvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' });
+
+// Shared by preview and import: parse the upload and build the dry-run records
+async function prepareBookingImport(req, owner) {
+  const locale = getOwnerLocale(owner);
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return { error: translate(locale, 'importExport.errors.noFile') };
   }
-});
 
-// Update Booking
-app.post('/dashboard/edit-booking/:id', authenticateToken, async (req, res) => {
-  try {
-    const owner = await Owner.findById(req.owner.id);
-    const bookingId = parseInt(req.params.id);
-    const { name, email, phone, service, date, time, notes } = req.body;
-    
-    const bookingDb = mongoose.connection.useDb('bookingdb');
-    const BookingsCollection = bookingDb.collection('bookings');
-    
-    await BookingsCollection.updateOne(
-      { id: bookingId, clinicEmail: owner.email },
-      { $set: { name, email, phone, service, date, time, notes, updatedAt: new Date() } }
-    );
-    
-    res.redirect('/dashboard?success=Booking updated successfully');
-  } catch (error) {
-    res.redirect('/dashboard/edit-booking/' + req.params.id + '?error=' + error.message);
+  const rows = parseCSV(req.body);
+  if (rows.length < 2) {
+    return { error: translate(locale, 'importExport.errors.noRows') };
+  }
+  if (rows.length - 1 > MAX_IMPORT_ROWS) {
+    return { error: translate(locale, 'importExport.errors.tooManyRows', { maxRows: MAX_IMPORT_ROWS }) };
   }
-});
 
-// AI Assistant Page
-app.get('/dashboard/ai-assistant', authenticateToken, async (req, res) => {
-  try {
-    const owner = await Owner.findById(req.owner.id);
-    
-    const bookingDb = mongoose.connection.useDb('bookingdb');
-    const BookingsCollection = bookingDb.collection('bookings');
-    
-    const allBookings = await BookingsCollection.find({ clinicEmail: owner.email }).toArray();
-    
-    const today = new Date().toISOString().split('T')[0];
-    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-    
-    const confirmedBookings = allBookings.filter(b => b.type === 'booking' && b.status !== 'cancelled');
-    const completedBookings = allBookings.filter(b => b.status === 'completed');
-    const noShowBookings = allBookings.filter(b => b.status === 'no-show');
-    const todayBookings = allBookings.filter(b => b.date === today && b.status !== 'cancelled');
-    const weekBookings = allBookings.filter(b => b.date >= weekAgo && b.status !== 'cancelled');
-    
-    // Calculate busiest day
-    const dayCount = {};
-    confirmedBookings.forEach(b => {
-      const day = new Date(b.date + 'T00:00:00').toLocaleDateString('en-US', { weekday: 'long' });
-      dayCount[day] = (dayCount[day] || 0) + 1;
-    });
-    const busiestDay = Object.entries(dayCount).sort((a, b) => b[1] - a[1])[0]?.[0] || 'N/A';
-    
-    // Calculate popular service
-    const serviceCount = {};
-    confirmedBookings.forEach(b => {
-      if (b.service) serviceCount[b.service] = (serviceCount[b.service] || 0) + 1;
-    });
-    const popularService = Object.entries(serviceCount).sort((a, b) => b[1] - a[1])[0]?.[0] || 'N/A';
-    
-    const totalFinished = completedBookings.length + noShowBookings.length;
-    const completionRate = totalFinished > 0 ? Math.round((completedBookings.length / totalFinished) * 100) : 100;
-    const noShowRate = totalFinished > 0 ? Math.round((noShowBookings.length / totalFinished) * 100) : 0;
-    
-    const stats = {
-      totalBookings: confirmedBookings.length,
-      todayBookings: todayBookings.length,
-      weekBookings: weekBookings.length,
-      completionRate,
-      noShowRate,
-      popularService,
-      busiestDay
-    };
-    
-    res.render('ai-assistant', { owner, stats });
+  const headers = rows[0].map(h => h.trim());
+  const mapping = req.query.mapping ? parseImportMapping(req.query.mapping, headers.length) : guessImportMapping(headers);
+  const dateFormat = IMPORT_DATE_FORMATS.includes(req.query.dateFormat) ? req.query.dateFormat : IMPORT_DATE_FORMATS[0];
+  const missingFields = IMPORT_FIELDS.filter(f => f.required && mapping[f.key] === undefined).map(f => f.key);
+
+  const result = { headers, mapping, dateFormat, missingFields, sample: rows.slice(1, 4) };
+  if (missingFields.length === 0) {
+    const BookingsCollection = mongoose.connection.useDb('bookingdb').collection('bookings');
+    result.records = await analyzeImportRecords(BookingsCollection, owner, buildImportRecords(owner, rows.slice(1), mapping, dateFormat));
+  }
+  return result;
+}
+
+app.get('/dashboard/import', authenticateToken, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    res.render('import', {
+      owner,
+      services: getServiceCatalog(owner),
+      importFields: IMPORT_FIELDS,
+      dateFormats: IMPORT_DATE_FORMATS,
+      maxRows: MAX_IMPORT_ROWS,
+      success: req.query.success,
+      error: req.query.error
+    });
   } catch (error) {
-    console.error('AI Assistant error:', error);
-    res.redirect('/dashboard');
+    console.error('Import page error:', error);
+    res.redirect('/dashboard?error=Failed to load import');
   }
 });
 
-// Settings Page
-app.get('/dashboard/settings', authenticateToken, async (req, res) => {
+// Dry run: headers, the column mapping (guessed on first upload) and what an import would do
+app.post('/dashboard/import/preview', authenticateToken, importCsvBody, async (req, res) => {
   try {
     const owner = await Owner.findById(req.owner.id);
-    res.render('settings', { owner, success: req.query.success });
+    const { error, records, ...preview } = await prepareBookingImport(req, owner);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    res.json({ success: true, ...preview, report: records ? summarizeImportRecords(records) : null });
   } catch (error) {
-    res.redirect('/dashboard');
+    console.error('Import preview error:', error);
+    res.status(500).json({ success: false, error: translate(getBrowserLocale(req), 'importExport.upload.readFailed') });
   }
 });
 
-// Update Settings
-app.post('/dashboard/settings', authenticateToken, async (req, res) => {
+// Insert every valid row in one go. Duplicates are always skipped, conflicting rows only when asked.
+// Imported bookings are history from another tool, so no confirmation emails go out for them.
+app.post('/dashboard/import/commit', authenticateToken, importCsvBody, async (req, res) => {
   try {
-    const { 
-      clinicName, clinicPhone, clinicAddress, websiteUrl, 
-      startHour, endHour, slotsPerHour, services,
-      logoUrl, emailBusinessName, primaryColor, secondaryColor, backgroundColor, textColor,
-      confirmationSubject, confirmationMessage, 
-      cancellationSubject, cancellationMessage,
-      reminderSubject, reminderMessage, emailFooter 
-    } = req.body;
-    
-    // Parse working days from JSON string
-    let parsedWorkingDays = [1, 2, 3, 4, 5]; // default Mon-Fri
-    const workingDaysData = req.body.workingDaysData;
-    if (workingDaysData) {
-      try {
-        parsedWorkingDays = JSON.parse(workingDaysData);
-        if (!Array.isArray(parsedWorkingDays)) {
-          parsedWorkingDays = [1, 2, 3, 4, 5];
-        }
-      } catch (e) {
-        console.log('[SETTINGS] Failed to parse workingDaysData:', e.message);
-      }
+    const owner = await Owner.findById(req.owner.id);
+    const locale = getOwnerLocale(owner);
+    const { error, missingFields, records } = await prepareBookingImport(req, owner);
+    if (error || missingFields.length > 0) {
+      const fields = missingFields?.map(key => translate(locale, `importExport.fields.${key}`)).join(', ');
+      return res.status(400).json({ success: false, error: error || translate(locale, 'importExport.report.missingColumns', { fields }) });
     }
-    console.log('[SETTINGS] Working days saved:', parsedWorkingDays);
-    
-    await Owner.findByIdAndUpdate(req.owner.id, {
-      clinicName,
-      clinicPhone,
-      clinicAddress,
-      websiteUrl,
-      'settings.startHour': parseInt(startHour) || 9,
-      'settings.endHour': parseInt(endHour) || 17,
-      'settings.slotsPerHour': parseInt(slotsPerHour) || 1,
-      'settings.services': services ? services.split(',').map(s => s.trim()) : ['Consultation'],
-      'settings.workingDays': parsedWorkingDays,
-      'emailSettings.logoUrl': logoUrl || '',
-      'emailSettings.businessName': emailBusinessName || clinicName || '',
-      'emailSettings.primaryColor': primaryColor || '#10b981',
-      'emailSettings.secondaryColor': secondaryColor || '#059669',
-      'emailSettings.backgroundColor': backgroundColor || '#ffffff',
-      'emailSettings.textColor': textColor || '#374151',
-      'emailSettings.confirmationSubject': confirmationSubject || 'Booking Confirmed',
-      'emailSettings.confirmationMessage': confirmationMessage || 'Your appointment has been confirmed. Here are the details:',
-      'emailSettings.cancellationSubject': cancellationSubject || 'Booking Cancelled',
-      'emailSettings.cancellationMessage': cancellationMessage || 'Your appointment has been cancelled.',
-      'emailSettings.reminderSubject': reminderSubject || 'Appointment Reminder',
-      'emailSettings.reminderMessage': reminderMessage || 'This is a reminder for your upcoming appointment.',
-      'emailSettings.emailFooter': emailFooter || '',
-      'emailSettings.whatsappMessage': req.body.whatsappMessage || ''
-    });
-    
-    res.redirect('/dashboard/settings?success=Settings updated');
+
+    const includeConflicts = req.query.includeConflicts === 'true';
+    const importable = records.filter(r => r.booking && !r.duplicate && (includeConflicts || !r.conflict));
+    if (importable.length === 0) {
+      return res.status(400).json({ success: false, error: translate(locale, 'importExport.errors.nothingToImport') });
+    }
+
+    // Ids just below "now", so bookings created while the import runs cannot collide with them
+    const BookingsCollection = mongoose.connection.useDb('bookingdb').collection('bookings');
+    const baseId = Date.now() - importable.length;
+    if (await BookingsCollection.countDocuments({ id: { $gte: baseId, $lt: baseId + importable.length } }) > 0) {
+      return res.status(409).json({ success: false, error: translate(locale, 'importExport.errors.busy') });
+    }
+
+    const importId = crypto.randomBytes(8).toString('hex');
+    const bookings = importable.map((record, index) => ({
+      id: baseId + index,
+      ...record.booking,
+      cancelToken: crypto.randomBytes(16).toString('hex'),
+      clinicName: owner.clinicName,
+      clinicEmail: owner.email,
+      clinicPhone: owner.clinicPhone,
+      clinicAddress: owner.clinicAddress,
+      websiteUrl: owner.websiteUrl,
+      createdAt: new Date(),
+      source: 'import',
+      importId
+    }));
+
+    await BookingsCollection.insertMany(bookings);
+    await recordBookingHistory(owner, getRequestActor(req), 'imported', bookings.map(b => ({ before: null, after: b })));
+    await syncClientsFromBookings(owner, 'import');
+
+    console.log(`[IMPORT] ${bookings.length} bookings imported for ${owner.email} (batch ${importId})`);
+    res.json({ success: true, imported: bookings.length, skipped: records.length - bookings.length, importId });
   } catch (error) {
-    const owner = await Owner.findById(req.owner.id);
-    res.render('settings', { owner, error: error.message });
+    console.error('Import error:', error);
+    res.status(500).json({ success: false, error: translate(getBrowserLocale(req), 'importExport.report.importFailed') });
   }
 });
 
 // ============================================
-// TEAM MEMBERS MANAGEMENT
+// PUBLIC BOOKING API (website widgets)
 // ============================================
 
-// Add Team Member
-app.post('/dashboard/team/add', authenticateToken, async (req, res) => {
+// The widget runs on the owner's own website, so these endpoints answer cross-origin requests
+app.use('/api/public', (req, res, next) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.sendStatus(204);
+  next();
+});
+
+async function findPublicOwner(slug) {
+  return Owner.findOne({ slug: String(slug || '').toLowerCase(), status: 'active' });
+}
+
+// Free start times per day for a date range (?from=&to=, optional ?service= and ?teamMemberId=)
+app.get('/api/public/:ownerSlug/availability', apiLimiter, async (req, res) => {
   try {
-    const { name, role, email, phone, color } = req.body;
-    console.log('[TEAM] Adding team member:', { name, role, email, phone, color, ownerId: req.owner.id });
-    
-    if (!name || name.trim() === '') {
-      return res.redirect('/dashboard/settings?error=Team member name is required');
+    const owner = await findPublicOwner(req.params.ownerSlug);
+    if (!owner) {
+      return res.status(404).json({ success: false, error: 'Business not found' });
     }
     
-    const result = await Owner.findByIdAndUpdate(
-      req.owner.id, 
-      {
-        $push: {
-          teamMembers: {
-            name: name.trim(),
-            role: role || 'Specialist',
-            email: email || '',
-            phone: phone || '',
-            color: color || '#10b981',
-            isActive: true
-          }
-        }
-      },
-      { new: true }
-    );
+    const today = getTodayInTimezone(getOwnerTimezone(owner));
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+    const from = isDate(req.query.from) && req.query.from > today ? req.query.from : today;
+    const to = isDate(req.query.to) ? req.query.to : from;
+    if (to < from || daysBetweenDates(from, to) >= MAX_AVAILABILITY_DAYS) {
+      return res.status(400).json({ success: false, error: `Please ask for at most ${MAX_AVAILABILITY_DAYS} days, with "to" on or after "from"` });
+    }
     
-    console.log('[TEAM] Team members after add:', result?.teamMembers);
-    res.redirect('/dashboard/settings?success=Team member added');
-  } catch (error) {
-    console.error('Add team member error:', error);
-    res.redirect('/dashboard/settings?error=Failed to add team member');
-  }
-});
-
-// Update Team Member
-app.post('/dashboard/team/update/:memberId', authenticateToken, async (req, res) => {
-  try {
-    const { memberId } = req.params;
-    const { name, role, email, phone, color, isActive } = req.body;
+    let serviceName = null;
+    if (req.query.service) {
+      const service = findService(owner, req.query.service);
+      if (!service || service.isActive === false) {
+        return res.status(400).json({ success: false, error: 'Unknown service' });
+      }
+      serviceName = service.name;
+    }
     
-    await Owner.findOneAndUpdate(
-      { _id: req.owner.id, 'teamMembers._id': memberId },
-      {
-        $set: {
-          'teamMembers.$.name': name,
-          'teamMembers.$.role': role || 'Specialist',
-          'teamMembers.$.email': email || '',
-          'teamMembers.$.phone': phone || '',
-          'teamMembers.$.color': color || '#10b981',
-          'teamMembers.$.isActive': isActive === 'true' || isActive === true
-        }
+    let member = null;
+    if (req.query.teamMemberId) {
+      member = findTeamMember(owner, req.query.teamMemberId);
+      if (!member || member.isActive === false) {
+        return res.status(400).json({ success: false, error: 'Unknown team member' });
       }
-    );
+      if (!isTeamMemberAllowedForService(owner, serviceName, member._id)) {
+        return res.status(400).json({ success: false, error: `${member.name} does not offer ${serviceName}` });
+      }
+    }
     
-    res.redirect('/dashboard/settings?success=Team member updated');
-  } catch (error) {
-    console.error('Update team member error:', error);
-    res.redirect('/dashboard/settings?error=Failed to update team member');
-  }
-});
-
-// Delete Team Member
-app.post('/dashboard/team/delete/:memberId', authenticateToken, async (req, res) => {
-  try {
-    const { memberId } = req.params;
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const BookingsCollection = bookingDb.collection('bookings');
     
-    await Owner.findByIdAndUpdate(req.owner.id, {
-      $pull: { teamMembers: { _id: memberId } }
-    });
+    const calendar = await loadCalendar(BookingsCollection, owner, from, to);
+    const days = [];
+    for (let date = from; date <= to; date = addDaysToDate(date, 1)) {
+      days.push({ date, slots: await getBookableSlots(BookingsCollection, owner, date, serviceName, member, calendar) });
+    }
     
-    res.redirect('/dashboard/settings?success=Team member removed');
+    res.json({
+      success: true,
+      timezone: getOwnerTimezone(owner),
+      service: serviceName,
+      teamMemberId: member ? member._id : null,
+      days
+    });
   } catch (error) {
-    console.error('Delete team member error:', error);
-    res.redirect('/dashboard/settings?error=Failed to remove team member');
+    console.error('Public availability error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load availability' });
   }
 });
 
-// ============================================
-// ASSIGN TEAM MEMBER TO BOOKING
-// ============================================
-
-app.post('/api/assign-team-member', authenticateToken, async (req, res) => {
+// Create a booking from the widget - same slot, closure and team member checks as the dashboard
+app.post('/api/public/:ownerSlug/bookings', apiLimiter, async (req, res) => {
   try {
-    const { bookingId, teamMemberId, teamMemberName } = req.body;
-    const owner = await Owner.findById(req.owner.id);
+    const owner = await findPublicOwner(req.params.ownerSlug);
+    if (!owner) {
+      return res.status(404).json({ success: false, error: 'Business not found' });
+    }
+    
+    const { date, time, service, teamMemberId } = req.body;
+    const clean = (value, max) => String(value || '').replace(/[<>]/g, '').trim().slice(0, max);
+    const name = clean(req.body.name, 100);
+    const email = clean(req.body.email, 200).toLowerCase();
+    const phone = clean(req.body.phone, 40);
+    const notes = clean(req.body.notes, 1000);
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || !/^\d{2}:\d{2}$/.test(time || '')) {
+      return res.status(400).json({ success: false, error: 'Please choose a date and time' });
+    }
+    if (!name || !validator.isEmail(email)) {
+      return res.status(400).json({ success: false, error: 'Please enter your name and a valid email address' });
+    }
+    
+    const activeServices = getServiceCatalog(owner).filter(s => s.isActive !== false);
+    const selectedService = activeServices.find(s => s.name === service) || null;
+    if (activeServices.length > 0 && !selectedService) {
+      return res.status(400).json({ success: false, error: 'Please choose one of the available services' });
+    }
+    const serviceName = selectedService ? selectedService.name : null;
     
-    console.log('Assign team member:', { bookingId, teamMemberId, teamMemberName, ownerEmail: owner.email });
+    let member = null;
+    if (teamMemberId) {
+      member = findTeamMember(owner, teamMemberId);
+      if (!member || member.isActive === false) {
+        return res.status(400).json({ success: false, error: 'Unknown team member' });
+      }
+      if (!isTeamMemberAllowedForService(owner, serviceName, member._id)) {
+        return res.status(400).json({ success: false, error: `${member.name} does not offer ${serviceName}` });
+      }
+    }
     
     const bookingDb = mongoose.connection.useDb('bookingdb');
     const BookingsCollection = bookingDb.collection('bookings');
     
-    // Try to find the booking first
-    const booking = await BookingsCollection.findOne({ id: parseInt(bookingId) });
-    console.log('Found booking:', booking ? { id: booking.id, clinicEmail: booking.clinicEmail } : 'NOT FOUND');
-    
-    // Update without clinicEmail filter first (booking might have different email)
-    const result = await BookingsCollection.updateOne(
-      { id: parseInt(bookingId) },
-      { $set: { teamMemberId: teamMemberId || '', teamMemberName: teamMemberName || '' } }
-    );
+    const slots = await getBookableSlots(BookingsCollection, owner, date, serviceName, member);
+    if (!slots.includes(time)) {
+      return res.status(409).json({ success: false, error: 'This time is not available. Please choose another time.' });
+    }
     
-    console.log('Update result:', { matchedCount: result.matchedCount, modifiedCount: result.modifiedCount });
+    // When every booking needs a team member, the first free one takes it
+    const assigned = member || await findAvailableTeamMember(BookingsCollection, owner, getCandidateTeamMembers(owner, serviceName), date, time, serviceName);
     
-    if (result.matchedCount === 0) {
-      return res.json({ success: false, error: 'Booking not found' });
+    const booking = {
+      id: Date.now(),
+      date,
+      time,
+      name,
+      email,
+      phone,
+      clientId: await resolveBookingClientId(owner, { name, email, phone }, 'widget'),
+      service: serviceName || '',
+      ...getServiceBookingFields(owner, serviceName),
+      ...getNewBookingPaymentFields(owner, serviceName),
+      notes,
+      type: 'booking',
+      status: 'confirmed',
+      cancelToken: crypto.randomBytes(16).toString('hex'),
+      clinicName: owner.clinicName,
+      clinicEmail: owner.email,
+      clinicPhone: owner.clinicPhone,
+      clinicAddress: owner.clinicAddress,
+      websiteUrl: owner.websiteUrl,
+      teamMemberId: assigned ? assigned._id.toString() : null,
+      teamMemberName: assigned ? assigned.name : '',
+      createdAt: new Date(),
+      source: 'widget'
+    };
+    await BookingsCollection.insertOne(booking);
+    
+    // Roll back if a concurrent booking filled the slot between the check and the insert
+    const recheck = await checkSlotCapacity(BookingsCollection, owner, date, time, null, serviceName);
+    const memberRecheck = assigned && await checkTeamMemberAvailability(BookingsCollection, owner, assigned, date, time, serviceName, booking.id);
+    if (recheck.taken > recheck.slotsPerHour || (memberRecheck && !memberRecheck.available)) {
+      await BookingsCollection.deleteOne({ id: booking.id, clinicEmail: owner.email });
+      return res.status(409).json({ success: false, error: 'This time was just taken. Please choose another time.' });
     }
     
-    res.json({ success: true, modified: result.modifiedCount });
+    await recordBookingHistory(owner, getClientActor(booking), 'created', [{ before: null, after: booking }]);
+    await sendBookingNotification('confirmation', booking, owner);
+    
+    console.log(`[PUBLIC API] Booking ${booking.id} created for ${owner.email} on ${date} ${time}`);
+    res.status(201).json({
+      success: true,
+      booking: {
+        id: booking.id,
+        date,
+        time,
+        service: booking.service,
+        duration: booking.duration || getSlotMinutes(owner),
+        price: booking.price,
+        teamMemberName: booking.teamMemberName,
+        manageUrl: `${process.env.APP_URL || 'https://dashboard.buildhaze.com'}/booking/${booking.cancelToken}`
+      }
+    });
   } catch (error) {
-    console.error('Assign team member error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    console.error('Public booking error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create booking' });
   }
 });
 
 // ============================================
-// QUICK DAY-OFF (Block entire day or time range)
+// CALENDAR FEEDS (iCal subscriptions)
 // ============================================
 
-app.post('/dashboard/day-off', authenticateToken, async (req, res) => {
+function getCalendarFeedUrl(token) {
+  return `${process.env.APP_URL || 'https://dashboard.buildhaze.com'}/calendar/${token}.ics`;
+}
+
+// Feed list for the settings page: the whole clinic first, then one per team member
+function getCalendarFeeds(owner) {
+  return [
+    { key: 'owner', label: 'Whole clinic', url: getCalendarFeedUrl(owner.calendarFeedToken) },
+    ...(owner.teamMembers || []).filter(m => m.calendarFeedToken).map(m => ({
+      key: m._id.toString(),
+      label: m.name,
+      url: getCalendarFeedUrl(m.calendarFeedToken)
+    }))
+  ];
+}
+
+// Secret feed for calendar apps - the token in the URL is the only credential
+app.get('/calendar/:token.ics', apiLimiter, async (req, res) => {
   try {
-    const { date, startTime, endTime, reason, teamMemberId } = req.body;
-    const owner = await Owner.findById(req.owner.id);
+    const token = String(req.params.token || '');
+    if (!/^[a-f0-9]{48}$/.test(token)) {
+      return res.status(404).send('Calendar not found');
+    }
     
-    const bookingDb = mongoose.connection.useDb('bookingdb');
-    const BookingCollection = bookingDb.collection('bookings');
+    const owner = await Owner.findOne({
+      status: 'active',
+      $or: [{ calendarFeedToken: token }, { 'teamMembers.calendarFeedToken': token }]
+    });
+    if (!owner) {
+      return res.status(404).send('Calendar not found');
+    }
+    const member = owner.calendarFeedToken === token
+      ? null
+      : owner.teamMembers.find(m => m.calendarFeedToken === token);
     
-    // Generate time slots to block
-    const start = parseInt(startTime?.split(':')[0]) || owner.settings.startHour;
-    const end = parseInt(endTime?.split(':')[0]) || owner.settings.endHour;
-    const slotsPerHour = owner.settings.slotsPerHour || 1;
+    // Upcoming only; a member's feed shows their own bookings plus blocks and closures that apply to everyone
+    const today = getTodayInTimezone(getOwnerTimezone(owner));
+    const BookingCollection = mongoose.connection.useDb('bookingdb').collection('bookings');
+    const bookings = await BookingCollection.find({
+      clinicEmail: owner.email,
+      date: { $gte: today },
+      status: { $nin: ['cancelled', 'no-show'] },
+      cancelled: { $ne: true },
+      ...(member && {
+        $or: [
+          { teamMemberId: member._id.toString() },
+          { type: 'blocked', teamMemberId: { $in: [null, ''] } }
+        ]
+      })
+    }).sort({ date: 1, time: 1 }).toArray();
     
-    const blockedSlots = [];
-    for (let hour = start; hour < end; hour++) {
-      for (let slot = 0; slot < slotsPerHour; slot++) {
-        const minutes = Math.floor((60 / slotsPerHour) * slot);
-        const time = `${hour.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
-        
-        blockedSlots.push({
-          id: Date.now() + Math.random(),
-          date: date,
-          time: time,
-          type: 'blocked',
-          status: 'blocked',
-          name: reason || 'Day Off',
-          notes: reason || 'Blocked by owner',
-          clinicEmail: owner.email,
-          clinicName: owner.clinicName,
-          teamMemberId: teamMemberId || null,
-          teamMemberName: teamMemberId ? owner.teamMembers.find(m => m._id.toString() === teamMemberId)?.name : '',
-          createdAt: new Date()
-        });
-      }
-    }
+    const closures = await Closure.find({
+      ownerId: owner._id,
+      dateTo: { $gte: today },
+      ...(member && { teamMemberId: { $in: [null, member._id] } })
+    });
     
-    if (blockedSlots.length > 0) {
-      await BookingCollection.insertMany(blockedSlots);
+    const calendarName = member
+      ? `${member.name} - ${owner.clinicName || 'Bookings'}`
+      : owner.clinicName || 'Bookings';
+    const events = [
+      ...bookings.map(booking => bookingToICalEvent(owner, booking)),
+      ...closures.flatMap(closure => closureToICalEvents(owner, closure))
+    ];
+    
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="bookings.ics"');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(buildICalendar(events, { name: calendarName }));
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).send('Failed to build calendar');
+  }
+});
+
+// New secret for one feed (owner or a team member); the old URL stops working straight away
+app.post('/dashboard/calendar-feeds/regenerate', authenticateToken, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    const feed = String(req.body.feed || '');
+    
+    let label;
+    if (feed === 'owner') {
+      owner.calendarFeedToken = generateCalendarFeedToken();
+      label = 'clinic';
+    } else {
+      const member = findTeamMember(owner, feed);
+      if (!member) {
+        return res.redirect('/dashboard/settings?error=' + encodeURIComponent('Team member not found'));
+      }
+      member.calendarFeedToken = generateCalendarFeedToken();
+      label = member.name;
     }
+    await owner.save();
     
-    res.redirect('/dashboard?success=Day off scheduled');
+    console.log(`[CALENDAR] Regenerated ${label} feed token for ${owner.email}`);
+    res.redirect('/dashboard/settings?success=' + encodeURIComponent(`New calendar link created for ${label}. The old link no longer works.`));
   } catch (error) {
-    console.error('Day off error:', error);
-    res.redirect('/dashboard?error=Failed to schedule day off');
+    console.error('Regenerate calendar feed error:', error);
+    res.redirect('/dashboard/settings?error=' + encodeURIComponent('Failed to regenerate calendar link'));
   }
 });
 
@@ -1828,11 +6941,11 @@ app.get('/', (req, res) => {
   res.redirect('/login');
 });
 
-// Client History API
+// Client History API - a client's recent bookings, by client id (or email for older links)
 app.get('/api/client-history', authenticateToken, async (req, res) => {
   try {
-    const { email } = req.query;
-    if (!email) {
+    const { clientId, email } = req.query;
+    if (!clientId && !email) {
       return res.json({ bookings: [], stats: { total: 0, completed: 0, cancelled: 0 } });
     }
     
@@ -1842,7 +6955,7 @@ app.get('/api/client-history', authenticateToken, async (req, res) => {
     
     const bookings = await BookingCollection.find({
       clinicEmail: owner.email,
-      email: email,
+      ...(clientId ? { clientId: String(clientId) } : { email: String(email) }),
       type: { $ne: 'blocked' }
     }).sort({ date: -1, time: -1 }).limit(50).toArray();
     
@@ -1859,59 +6972,123 @@ app.get('/api/client-history', authenticateToken, async (req, res) => {
   }
 });
 
-// Export Clients API
+// Export Clients API - the client records with their booking totals.
+// With a date range, only clients who booked in that range (totals cover the range).
 app.get('/api/export-clients', authenticateToken, async (req, res) => {
   try {
     const owner = await Owner.findById(req.owner.id);
-    const bookingDb = mongoose.connection.useDb('bookingdb');
-    const BookingCollection = bookingDb.collection('bookings');
     
     const { startDate, endDate, format } = req.query;
+    const ranged = Boolean(startDate && endDate);
     
-    let query = { clinicEmail: owner.email, type: { $ne: 'blocked' } };
-    if (startDate && endDate) {
-      query.date = { $gte: startDate, $lte: endDate };
-    }
-    
-    const bookings = await BookingCollection.find(query).sort({ date: -1 }).toArray();
+    const stats = await getClientBookingStats(owner, ranged ? { from: startDate, to: endDate } : {});
+    const records = await Client.find({
+      ownerId: owner._id,
+      ...(ranged && { _id: { $in: [...stats.keys()].filter(id => mongoose.Types.ObjectId.isValid(id)) } })
+    }).sort({ name: 1 }).lean();
     
-    // Get unique clients
-    const clientsMap = new Map();
-    bookings.forEach(b => {
-      if (b.email && !clientsMap.has(b.email)) {
-        clientsMap.set(b.email, {
-          name: b.name,
-          email: b.email,
-          phone: b.phone || '',
-          totalBookings: 0,
-          lastVisit: b.date
-        });
-      }
-      if (b.email) {
-        const client = clientsMap.get(b.email);
-        client.totalBookings++;
-      }
+    const clients = records.map(c => {
+      const s = stats.get(c._id.toString()) || {};
+      return {
+        id: c._id.toString(),
+        name: c.name,
+        email: c.email,
+        phone: c.phone || '',
+        tags: c.tags || [],
+        dateOfBirth: c.dateOfBirth || '',
+        marketingConsent: Boolean(c.marketingConsent),
+        emailOptOut: Boolean(c.emailOptOut),
+        totalBookings: s.totalBookings || 0,
+        lastVisit: s.lastVisit || '',
+        lifetimeSpend: s.lifetimeSpend || 0,
+        outstanding: s.outstanding || 0
+      };
     });
     
-    const clients = Array.from(clientsMap.values());
-    
     if (format === 'csv') {
-      let csv = 'Name,Email,Phone,Total Bookings,Last Visit\n';
+      let csv = toCsvRow(['Name', 'Email', 'Phone', 'Tags', 'Date of Birth', 'Marketing Consent', 'Unsubscribed', 'Total Bookings', 'Last Visit', 'Lifetime Spend', 'Outstanding']);
       clients.forEach(c => {
-        csv += `"${c.name}","${c.email}","${c.phone}",${c.totalBookings},"${c.lastVisit}"\n`;
+        csv += toCsvRow([c.name, c.email, c.phone, c.tags.join(', '), c.dateOfBirth, c.marketingConsent ? 'yes' : 'no', c.emailOptOut ? 'yes' : 'no', c.totalBookings, c.lastVisit, c.lifetimeSpend.toFixed(2), c.outstanding.toFixed(2)]);
       });
       res.setHeader('Content-Type', 'text/csv');
       res.setHeader('Content-Disposition', 'attachment; filename=clients.csv');
       return res.send(csv);
     }
     
-    res.json({ clients, total: clients.length });
+    const totalSpend = Math.round(clients.reduce((sum, c) => sum + c.lifetimeSpend, 0) * 100) / 100;
+    res.json({ clients, total: clients.length, totalSpend });
   } catch (error) {
     console.error('Export clients error:', error);
     res.status(500).json({ error: 'Failed to export clients' });
   }
 });
 
+// Export Bookings API - one row per booking, filtered by date range, status, service, team member and source.
+// Rows are streamed from a cursor so large exports never sit in memory.
+app.get('/api/export-bookings', authenticateToken, async (req, res) => {
+  let cursor = null;
+  try {
+    const owner = await Owner.findById(req.owner.id);
+    const bookingDb = mongoose.connection.useDb('bookingdb');
+    const BookingCollection = bookingDb.collection('bookings');
+    
+    const format = EXPORT_FORMATS.includes(req.query.format) ? req.query.format : 'csv';
+    const statuses = parseExportStatuses(req.query.status);
+    
+    cursor = BookingCollection.find(buildBookingExportQuery(owner, req.query)).sort({ date: 1, time: 1 });
+    const rows = (async function* () {
+      for await (const booking of cursor) {
+        if (res.destroyed) return; // client went away
+        if (statuses.length === 0 || statuses.includes(getBookingStatus(booking))) yield bookingExportRow(booking);
+      }
+    })();
+    
+    const filename = `bookings-${getTodayInTimezone(getOwnerTimezone(owner))}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    
+    let total = 0;
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+      const sheet = workbook.addWorksheet('Bookings');
+      sheet.columns = BOOKING_EXPORT_COLUMNS.map(c => ({ header: c.header, key: c.key, width: c.width }));
+      for await (const row of rows) {
+        sheet.addRow(row).commit();
+        total++;
+      }
+      sheet.commit();
+      await workbook.commit(); // finishes the zip and ends the response
+    } else if (format === 'json') {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      await writeExportChunk(res, '{"bookings":[');
+      for await (const row of rows) {
+        await writeExportChunk(res, (total > 0 ? ',' : '') + JSON.stringify(row));
+        total++;
+      }
+      res.end(`],"total":${total}}`);
+    } else {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      await writeExportChunk(res, toCsvRow(BOOKING_EXPORT_COLUMNS.map(c => c.header)));
+      for await (const row of rows) {
+        await writeExportChunk(res, toCsvRow(BOOKING_EXPORT_COLUMNS.map(c => row[c.key])));
+        total++;
+      }
+      res.end();
+    }
+    
+    console.log(`[EXPORT] ${total} bookings exported as ${format} for ${owner.email}`);
+  } catch (error) {
+    console.error('Export bookings error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to export bookings' });
+    }
+    // Part of the file is already out - cut the download rather than let it look complete
+    res.destroy(error);
+  } finally {
+    if (cursor) await cursor.close().catch(() => {});
+  }
+});
+
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
@@ -1937,50 +7114,71 @@ app.use((err, req, res, next) => {
 });
 
 // ============================================
-// AUTOMATIC REMINDER SYSTEM (runs every hour)
+// AUTOMATIC REMINDER SYSTEM (runs every 15 minutes)
 // ============================================
 async function sendAutomaticReminders() {
   try {
-    console.log('[REMINDER] Checking for appointments tomorrow...');
+    console.log('[REMINDER] Checking for due reminders...');
     
-    // Get tomorrow's date
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    const tomorrowStr = tomorrow.toISOString().split('T')[0];
+    // Bookings up to the longest reminder offset ahead, in any timezone
+    const utcToday = getTodayInTimezone('UTC');
+    const firstDate = addDaysToDate(utcToday, -1);
+    const lastDate = addDaysToDate(utcToday, Math.ceil(MAX_REMINDER_HOURS / 24) + 1);
     
     const bookingDb = mongoose.connection.useDb('bookingdb');
     const BookingsCollection = bookingDb.collection('bookings');
     
-    // Find all confirmed bookings for tomorrow that haven't received a reminder
-    const bookingsForTomorrow = await BookingsCollection.find({
-      date: tomorrowStr,
-      status: { $nin: ['cancelled', 'no-show', 'completed'] },
-      reminderSent: { $ne: true },
-      email: { $exists: true, $ne: '' }
+    const candidateBookings = await BookingsCollection.find({
+      date: { $gte: firstDate, $lte: lastDate },
+      status: { $nin: ['cancelled', 'no-show', 'completed', 'pending'] },
+      $or: [{ email: { $exists: true, $ne: '' } }, { phone: { $exists: true, $ne: '' } }]
     }).toArray();
     
-    console.log(`[REMINDER] Found ${bookingsForTomorrow.length} bookings for tomorrow (${tomorrowStr})`);
+    console.log(`[REMINDER] Found ${candidateBookings.length} bookings between ${firstDate} and ${lastDate}`);
     
-    for (const booking of bookingsForTomorrow) {
+    const ownersByEmail = {};
+    for (const booking of candidateBookings) {
       try {
         // Get the owner for this booking
-        const owner = await Owner.findOne({ email: booking.clinicEmail });
+        if (!(booking.clinicEmail in ownersByEmail)) {
+          ownersByEmail[booking.clinicEmail] = await Owner.findOne({ email: booking.clinicEmail });
+        }
+        const owner = ownersByEmail[booking.clinicEmail];
         if (!owner) {
           console.log(`[REMINDER] No owner found for ${booking.clinicEmail}`);
           continue;
         }
         
-        // Send reminder email
-        const sent = await sendReminderEmail(booking, owner);
+        const stage = getDueReminderStage(owner, booking);
+        if (!stage) continue;
         
-        if (sent) {
-          // Mark reminder as sent
-          await BookingsCollection.updateOne(
-            { id: booking.id },
-            { $set: { reminderSent: true, reminderSentAt: new Date(), reminderType: 'automatic' } }
-          );
-          console.log(`[REMINDER] Sent automatic reminder to ${booking.email} for ${booking.date} ${booking.time}`);
+        // Claim the stage first, so an overlapping run can't send it too
+        const stageField = `remindersSent.${getReminderStageKey(stage)}`;
+        const claim = await BookingsCollection.updateOne(
+          { id: booking.id, [stageField]: { $exists: false } },
+          { $set: { [stageField]: new Date() } }
+        );
+        if (claim.modifiedCount === 0) continue;
+        
+        // Email, SMS and/or WhatsApp as the stage or client says (emails skip clients who unsubscribed).
+        // If nothing went out the claim is released, so the next run tries again.
+        let sentBy = [];
+        try {
+          sentBy = await sendBookingNotification(stage.template, booking, owner, { notifyBy: stage.notifyBy });
+        } finally {
+          if (sentBy.length === 0) {
+            await BookingsCollection.updateOne({ id: booking.id }, { $unset: { [stageField]: '' } });
+          }
         }
+        if (sentBy.length === 0) continue;
+        
+        const reminderUpdate = { reminderSent: true, reminderSentAt: new Date(), reminderType: 'automatic', reminderStage: getReminderStageKey(stage) };
+        await BookingsCollection.updateOne(
+          { id: booking.id },
+          { $set: reminderUpdate }
+        );
+        await recordBookingHistory(owner, getSystemActor('Automatic reminders'), 'reminder-sent', [{ before: booking, after: reminderUpdate }]);
+        console.log(`[REMINDER] Sent ${getReminderStageKey(stage)} reminder to ${booking.email || booking.phone} by ${sentBy.join(', ')} for ${booking.date} ${booking.time}`);
       } catch (err) {
         console.error(`[REMINDER] Error sending reminder for booking ${booking.id}:`, err.message);
       }
@@ -1992,8 +7190,17 @@ async function sendAutomaticReminders() {
   }
 }
 
-// Run reminder check every hour
-setInterval(sendAutomaticReminders, 60 * 60 * 1000); // Every hour
+// Run reminder check every 15 minutes, so short offsets (e.g. 2 hours before) go out on time
+setInterval(sendAutomaticReminders, 15 * 60 * 1000);
+
+// Expire unclaimed waitlist offers and pass the slot on
+setInterval(processExpiredWaitlistOffers, 5 * 60 * 1000); // Every 5 minutes
+
+// Link bookings from the Shopify booking-api to client records
+setInterval(linkBookingsToClients, 5 * 60 * 1000); // Every 5 minutes
+
+// Send queued emails and retry failed ones
+setInterval(processEmailOutbox, 30 * 1000); // Every 30 seconds
 
 // Health check endpoint (for monitoring and keep-alive)
 app.get('/health', (req, res) => {
@@ -2014,9 +7221,11 @@ app.listen(PORT, '0.0.0.0', () => {
 ║  Port: ${PORT}                                    ║
 ║  Host: 0.0.0.0                                 ║
 ║  Status: Running                               ║
-║  Auto-Reminders: Active (hourly)               ║
+║  Auto-Reminders: Active (every 15 min)         ║
 ╚════════════════════════════════════════════════╝
   `);
+  console.log(`[EMAIL] Transport: ${getEmailTransport()?.name || 'none configured, emails are skipped'}`);
+  console.log(`[MESSAGES] SMS: ${getTextMessageProvider('sms')?.name || 'not set up'}, WhatsApp: ${getTextMessageProvider('whatsapp')?.name || 'not set up'}`);
   console.log('Routes registered:');
   console.log('  GET  /');
   console.log('  GET  /login');
@@ -2029,6 +7238,7 @@ app.listen(PORT, '0.0.0.0', () => {
   
   // Run reminder check on startup (after 30 seconds to allow DB connection)
   setTimeout(sendAutomaticReminders, 30000);
+  setTimeout(linkBookingsToClients, 30000);
   console.log('  GET  /super-admin/dashboard');
   console.log('  GET  /health');
 });